@@ -2,89 +2,394 @@ import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
 import { promises as fs } from "fs";
-import OpenAI from "openai";
 import path from "path";
 import { fileURLToPath } from "url";
 import ElevenLabsService from "./services/ElevenLabsService.js";
+import PersonaRegistry from "./services/PersonaRegistry.js";
+import KnowledgeBase from "./services/knowledge/KnowledgeBase.js";
+import KnowledgeRepository, {
+  KnowledgeDocumentError,
+} from "./services/knowledge/KnowledgeRepository.js";
+import { requireAdminToken } from "./utils/adminAuth.js";
+import TriviaEngine from "./services/trivia/TriviaEngine.js";
+import PrizeInventory, {
+  PrizeRedemptionError,
+} from "./services/prizes/PrizeInventory.js";
+import LeadArchive from "./services/leads/LeadArchive.js";
+import LeadExtractor from "./services/leads/LeadExtractor.js";
+import {
+  LEAD_EXPORT_FORMATS,
+  buildLeadRows,
+  formatLeads,
+} from "./services/leads/exportLeads.js";
+import AppointmentBook, {
+  AppointmentError,
+} from "./services/appointments/AppointmentBook.js";
+import createAppointmentTools from "./services/appointments/appointmentTools.js";
+import renderAppointmentCalendar from "./services/appointments/appointmentCalendar.js";
+import WebhookDispatcher from "./services/webhooks/WebhookDispatcher.js";
+import RealtimeGateway from "./services/RealtimeGateway.js";
+import ConversationMemory from "./services/sessions/ConversationMemory.js";
+import createSessionStore from "./services/sessions/createSessionStore.js";
+import querySessions from "./services/sessions/querySessions.js";
+import SessionRollover, {
+  SessionRetiredError,
+} from "./services/sessions/SessionRollover.js";
+import SessionSweeper from "./services/sessions/SessionSweeper.js";
+import LLMProviderRegistry from "./services/llm/LLMProviderRegistry.js";
+import AudioStorage from "./services/tts/AudioStorage.js";
+import TTSCache from "./services/tts/TTSCache.js";
+import TTSProviderRegistry from "./services/tts/TTSProviderRegistry.js";
+import TTSScheduler from "./services/tts/TTSScheduler.js";
+import AudioErrorHandler from "./utils/AudioErrorHandler.js";
+import ResponseValidator from "./utils/ResponseValidator.js";
+import { buildPrompt } from "./utils/promptBuilder.js";
+import { normalizeUsage } from "./utils/tokenCounter.js";
 
 dotenv.config();
 
-// ======== OpenAI ========
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY || "-" });
+// ======== Paths ========
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ======== Proveedores LLM ========
+// openai, local (endpoint compatible con OpenAI) y scripted (respuestas fijas para
+// pruebas; solo con LLM_SCRIPT_FILE o LLM_PROVIDER=scripted)
+const llmProviders = LLMProviderRegistry.fromEnv();
+
+// ======== Personas ========
+// Prompt, voz, expresiones y mensajes fijos de cada asistente (personas/*.yaml|json)
+const personaRegistry = new PersonaRegistry({
+  directory: path.resolve(__dirname, process.env.PERSONAS_DIR || "personas"),
+  defaultPersona: process.env.DEFAULT_PERSONA,
+});
+personaRegistry.load();
+if (process.env.PERSONAS_HOT_RELOAD !== "false") personaRegistry.watch();
+
+// ======== Base de conocimiento ========
+// Documentos locales (knowledge/*.md|html|json) indexados con BM25; los pasajes
+// relevantes se inyectan en cada turno y se devuelven como fuentes.
+// Versiones y estado (activo/fijo) se gestionan desde /admin/knowledge
+const knowledgeDir = path.resolve(
+  __dirname,
+  process.env.KNOWLEDGE_DIR || "knowledge"
+);
+const knowledgeRepository = await new KnowledgeRepository({
+  directory: knowledgeDir,
+}).load();
+const knowledgeBase = new KnowledgeBase({
+  directory: knowledgeDir,
+  documentOptions: (id) => knowledgeRepository.getMeta(id),
+  topK: Number(process.env.KNOWLEDGE_TOP_K || 3),
+  minScore: Number(process.env.KNOWLEDGE_MIN_SCORE || 1),
+  maxTokens: Number(process.env.KNOWLEDGE_MAX_TOKENS || 800),
+});
+const knowledgeIndex = await knowledgeBase.load();
+console.log(
+  `[knowledge] Indexed ${knowledgeIndex.passages} passage(s) from ${knowledgeIndex.documents} document(s)`
+);
+
+// ======== Premios ========
+// Stock por tipo de premio (config/prizes.json) y códigos de canje de los ganadores
+const prizeInventory = PrizeInventory.fromFile(
+  path.resolve(__dirname, process.env.PRIZES_FILE || "config/prizes.json"),
+  {
+    file: path.resolve(
+      __dirname,
+      process.env.PRIZES_STORE_FILE || "storage/prizes.json"
+    ),
+  }
+);
+await prizeInventory.load();
+
+// ======== Trivia de feria ========
+// Preguntas, niveles, premios y corrección viven en código; el modelo solo redacta
+const triviaEngine = TriviaEngine.fromFile(
+  path.resolve(
+    __dirname,
+    process.env.TRIVIA_QUESTIONS_FILE || "config/trivia-questions.json"
+  ),
+  {
+    isPrizeAvailable: (prizeId) => prizeInventory.isAvailable(prizeId),
+    prizeName: (prizeId) => prizeInventory.nameOf(prizeId),
+  }
+);
+for (const level of triviaEngine.levels) {
+  if (level.prize && !prizeInventory.has(level.prize)) {
+    console.warn(
+      `[trivia] Level "${level.id}" awards unknown prize "${level.prize}"`
+    );
+  }
+}
+
+// ======== Leads ========
+// Datos del prospecto (nombre, empresa, rubro, herramienta actual...) extraídos turno a turno
+const leadExtractor = new LeadExtractor();
+// Leads de sesiones que expiraron o se borraron (siguen saliendo en la exportación)
+const leadArchive = new LeadArchive({
+  file: path.resolve(
+    __dirname,
+    process.env.LEADS_STORE_FILE || "storage/leads.json"
+  ),
+});
+await leadArchive.load();
+
+// ======== Webhooks ========
+// Eventos hacia el CRM y herramientas de chat: WEBHOOKS_FILE (url, secret y
+// eventos por endpoint) o WEBHOOK_URLS separadas por comas
+const webhookOptions = {
+  secret: process.env.WEBHOOK_SECRET || null,
+  file: path.resolve(
+    __dirname,
+    process.env.WEBHOOKS_STORE_FILE || "storage/webhooks.json"
+  ),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000),
+};
+const webhooks = process.env.WEBHOOKS_FILE
+  ? WebhookDispatcher.fromFile(
+      path.resolve(__dirname, process.env.WEBHOOKS_FILE),
+      webhookOptions
+    )
+  : new WebhookDispatcher({
+      ...webhookOptions,
+      endpoints: (process.env.WEBHOOK_URLS || "")
+        .split(",")
+        .map((url) => url.trim())
+        .filter(Boolean)
+        .map((url) => ({ url })),
+    });
+await webhooks.load();
+
+// ======== Agenda de reuniones ========
+// Horario de atención, zona horaria y duración en config/appointments.json;
+// el modelo consulta horarios libres y reserva mediante herramientas
+const appointmentBook = AppointmentBook.fromFile(
+  path.resolve(
+    __dirname,
+    process.env.APPOINTMENTS_FILE || "config/appointments.json"
+  ),
+  {
+    file: path.resolve(
+      __dirname,
+      process.env.APPOINTMENTS_STORE_FILE || "storage/appointments.json"
+    ),
+  }
+);
+await appointmentBook.load();
+const appointmentTools = createAppointmentTools(appointmentBook);
+// Rondas de herramientas por turno antes de exigir la respuesta final
+const MAX_TOOL_ROUNDS = 3;
+// Últimos mensajes del visitante que se copian en la invitación (.ics)
+const INVITE_RECENT_QUESTIONS = 3;
+
+// Descripción de la invitación: lo que se sabe del lead y lo último que preguntó
+// (nombre, empresa y contacto ya van aparte en la invitación)
+const summarizeVisitorInterest = (session) => {
+  const interests = leadExtractor
+    .facts(session?.lead)
+    .filter((fact) => !/^(Nombre|Empresa|Contacto):/.test(fact));
+  const questions = (session?.history || [])
+    .filter((m) => m.role === "user")
+    .slice(-INVITE_RECENT_QUESTIONS)
+    .map((m) => m.content.replace(/\s+/g, " ").trim().slice(0, 200));
+
+  const lines = [];
+  if (interests.length) lines.push("Lo que contó:", ...interests.map((f) => `- ${f}`));
+  if (questions.length) {
+    lines.push("Últimos mensajes:", ...questions.map((q) => `- ${q}`));
+  }
+  return lines.join("\n") || null;
+};
+
+// Enlace público de la invitación (QR / botón en el frontend)
+const appointmentIcsUrl = (id) =>
+  `${process.env.PUBLIC_BASE_URL || ""}/appointments/${encodeURIComponent(id)}.ics`;
+
+// Evento session.ended (sesión borrada o expirada)
+const emitSessionEnded = (session, reason) => {
+  webhooks.emit("session.ended", {
+    sessionId: session.sessionId,
+    reason,
+    persona: session.personaId || null,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    turns: session.turnCount,
+    lead: session.lead || null,
+  });
+};
+
+// Valida y repara el JSON de respuesta antes de enviarlo al avatar,
+// con las expresiones y animaciones permitidas por cada persona
+const responseValidators = new WeakMap();
+const getResponseValidator = (persona) => {
+  if (!responseValidators.has(persona)) {
+    responseValidators.set(
+      persona,
+      new ResponseValidator({
+        expressions: persona.expressions,
+        animations: persona.animations,
+        defaultExpression: persona.defaultExpression,
+        defaultAnimation: persona.defaultAnimation,
+      })
+    );
+  }
+  return responseValidators.get(persona);
+};
 
 // ======== ElevenLabs ========
 const elevenLabsApiKey = process.env.ELEVEN_LABS_API_KEY;
 const voiceID = process.env.VOICE_ID || "86V9x9hrQds83qf7zaGn";
 const elevenLabsService = new ElevenLabsService(elevenLabsApiKey, voiceID);
 
+// ======== Proveedores TTS ========
+// Caché de audio por (proveedor, voz, texto): las frases repetidas no gastan
+// caracteres de ElevenLabs. TTS_CACHE=false la desactiva.
+const ttsCache =
+  process.env.TTS_CACHE === "false"
+    ? null
+    : new TTSCache({
+        directory: path.resolve(
+          __dirname,
+          process.env.TTS_CACHE_DIR || "audios/cache"
+        ),
+        maxBytes: (Number(process.env.TTS_CACHE_MAX_MB) || 200) * 1024 * 1024,
+        maxAgeMs:
+          (Number(process.env.TTS_CACHE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000,
+      });
+if (ttsCache) await ttsCache.load();
+
+// TTS_PROVIDERS en orden de respaldo: elevenlabs, openai, local (comando) y silent.
+// Si uno falla sin remedio (cuota agotada, llave inválida) se usa el siguiente.
+const ttsProviders = TTSProviderRegistry.fromEnv(process.env, {
+  elevenLabsService,
+  cache: ttsCache,
+});
+
+// Síntesis simultáneas entre todas las sesiones (límite del plan de ElevenLabs);
+// los huecos libres se reparten por turnos entre sesiones
+const ttsScheduler = new TTSScheduler({
+  concurrency: Number(process.env.TTS_CONCURRENCY) || 2,
+});
+
+// Audio de cada turno: archivos temporales que se borran al pasarlos a base64;
+// un barrido elimina los que queden tras la retención o por encima del tope
+const audioStorage = new AudioStorage({
+  directory: path.resolve(
+    __dirname,
+    process.env.AUDIO_TMP_DIR || path.join("audios", "tmp")
+  ),
+  errorHandler: new AudioErrorHandler(path.join(__dirname, "audios")),
+  retentionMs: Number(process.env.AUDIO_RETENTION_MINUTES || 10) * 60 * 1000,
+  maxBytes: Number(process.env.AUDIO_MAX_MB || 100) * 1024 * 1024,
+  keepFiles: process.env.AUDIO_KEEP_FILES === "true",
+});
+await audioStorage.start();
+
+// Voz de la persona para cada proveedor (voiceId es la de ElevenLabs)
+const personaVoices = (persona) => ({
+  elevenlabs: persona?.voiceId || undefined,
+  ...persona?.voices,
+});
+
 // ======== MEMORIA DE CONVERSACIONES ========
-// Almacena las conversaciones por sesión/cliente
-const conversationHistory = new Map();
+// Almacena las conversaciones por sesión/cliente (SESSION_STORE=file|memory)
+const sessionStore = createSessionStore(__dirname);
+const loadedSessions = await sessionStore.load();
+if (loadedSessions > 0) {
+  console.log(
+    `[sessions] Restored ${loadedSessions} session(s) from ${sessionStore.type} store`
+  );
+}
+// Sesiones guardadas antes de registrar actividad
+for (const session of sessionStore.values()) {
+  session.createdAt ??= session.updatedAt || new Date().toISOString();
+  session.lastActivity ??= session.updatedAt || session.createdAt;
+  session.turnCount ??= session.history.filter((m) => m.role === "user").length;
+  session.totalTokens ??= 0;
+  session.promptTokens ??= 0;
+  session.completionTokens ??= 0;
+  // El prompt del sistema ya no se guarda en el historial: sale de la persona
+  if (!session.personaId) {
+    if (session.history[0]?.role === "system") session.history.shift();
+    session.personaId = personaRegistry.defaultPersona;
+  }
+}
+
+// Expira sesiones inactivas (SESSION_IDLE_TTL_MS=0 desactiva la expiración)
+const sessionSweeper = new SessionSweeper({
+  store: sessionStore,
+  idleTtlMs: Number(process.env.SESSION_IDLE_TTL_MS ?? 2 * 60 * 60 * 1000),
+  intervalMs: Number(process.env.SESSION_SWEEP_INTERVAL_MS || 60 * 1000),
+  onExpire: (session) => {
+    console.log(
+      `[sessions] Session ${session.sessionId} expired after ${session.turnCount} turn(s)`
+    );
+    leadArchive.archive(session, "expired");
+    emitSessionEnded(session, "expired");
+    audioStorage.cleanupSession(session.sessionId).catch(() => {});
+  },
+}).start();
 
 // Función para obtener o crear el historial de conversación
-const getConversationHistory = (sessionId = "default") => {
-  if (!conversationHistory.has(sessionId)) {
-    conversationHistory.set(sessionId, [
-      {
-        role: "system",
-        content: `Eres Laura, asesora comercial de Control Facilito. Tu rol es asistir a clientes potenciales en una feria, resolviendo dudas de manera clara, breve y profesional. Tu meta es explicar cómo Control Facilito puede ayudar a su negocio y motivarlos a agendar una reunión.
-
-### Estilo de conversación
-- Tono amigable, humano y profesional.
-- Responde de forma conversacional, no robótica.
-- Personaliza según el rubro o la empresa del cliente si lo menciona.
-
-## FORMATO DE RESPUESTA:
-Siempre responde con un JSON con máximo 3 mensajes.
-Cada mensaje debe incluir: text, facialExpression, animation.
-Expresiones disponibles: smile, sad, angry, surprised, funnyFace, default
-Animaciones disponibles: Talking_0, Talking_1, Talking_2, Laughing, Rumba, Idle, Terrified, Angry
-
-### Reglas
-- Responde solo con información de www.controlfacilito.com.
-- Si preguntan por precios, menciona que los planes inician en 480 $us anuales.
-
-### Información clave de Control Facilito
-- Software en la nube para pymes y emprendedores, accesible desde cualquier lugar.
-- Ayuda a gestionar ventas, compras, inventarios, facturación, clientes, finanzas y más.
-- Sectores donde se aplica:
-  - Supermercados: ventas ágiles con lector de códigos y control de inventarios.
-  - Restaurantes: control de insumos y recetas con punto de venta fácil.
-  - Ferreterías: inventario actualizado e informes de ganancias.
-  - Tiendas: integración con lector de códigos y gestión de stock.
-  - Distribuidoras: control de productos, cuentas por cobrar y clientes.
-  - Importadoras: control de stock y reportes de ganancias rápidos.
-
-### Módulos disponibles
-Facturación, Contabilidad, Ventas, Compras, Inventarios, Clientes, Distribución, Producción, Finanzas, Tienda virtual, Descuentos, Gastos, Inteligencia de negocios, y más.
-
-### Planes de precios
-- Estándar: módulos básicos (ventas, compras, inventarios) para 1 usuario y 1 sucursal.
-- Estándar Facturador: incluye facturación (hasta 4000 facturas/mes), 5 usuarios y 2 sucursales.
-- Empresarial: facturación ilimitada, contabilidad, distribución/producción, finanzas, BI, hasta 15 usuarios y 5 sucursales.
-- Personalizado: módulos a medida, integraciones API, WhatsApp, automatización de cobranzas, BI, etc.
-
-### Dinámica en feria
-- Puedes hacer preguntas para involucrar al cliente:
-  - ¿Cómo gestionan hoy su negocio: papel, Excel o sistema?
-  - ¿Qué área les genera más problemas: ventas, inventario, facturación?
-
-### Juego de Feria (Trivia)
-- Si el usuario dice que quiere jugar, usa SOLO 1 pregunta por turno.
-- Haz la pregunta en tono motivador (ej.: "¡Vamos con una rápida por premio!").
-- Espera la respuesta del usuario antes de revelar la solución.
-- Si la respuesta es correcta, felicita y menciona el premio. Si no, da la respuesta breve y sigue.
-- Alterna niveles: fácil → intermedio → avanzado → bonus (si aplica).
-- Si el usuario prefiere conocer el producto, ofrece video demo y/o agendar reunión (L-V, 09:00–18:00).`,
-      },
-    ]);
+const getConversationHistory = (
+  sessionId = "default",
+  personaId = personaRegistry.defaultPersona
+) => {
+  if (!sessionStore.has(sessionId)) {
+    const now = new Date().toISOString();
+    sessionStore.set(sessionId, {
+      personaId,
+      createdAt: now,
+      lastActivity: now,
+      turnCount: 0,
+      totalTokens: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      history: [],
+    });
   }
-  return conversationHistory.get(sessionId);
+  return sessionStore.get(sessionId).history;
+};
+
+// Persona de la sesión; las sesiones nuevas usan la solicitada o la por defecto
+const getSessionPersona = (sessionId, requestedPersona) => {
+  const session = sessionStore.get(sessionId);
+  if (session) {
+    return (
+      personaRegistry.resolve(session.personaId) || personaRegistry.resolve()
+    );
+  }
+  return personaRegistry.resolve(requestedPersona) || personaRegistry.resolve();
 };
 
 // ======== CONFIGURACIÓN DE LÍMITES ========
 const MAX_MESSAGES_PER_SESSION = 20; // Máximo de mensajes por sesión
-const MAX_CONTEXT_MESSAGES = 15; // Mensajes a mantener en contexto antes de reset
+
+// Presupuesto de tokens por llamada: contexto del modelo y tokens de respuesta
+const LLM_CONTEXT_TOKENS = Number(process.env.LLM_CONTEXT_TOKENS || 8000);
+const LLM_MAX_COMPLETION_TOKENS = Number(
+  process.env.LLM_MAX_COMPLETION_TOKENS || 1000
+);
+
+// Memoria con resumen: los turnos antiguos se condensan en lugar de borrarse
+const conversationMemory = new ConversationMemory({
+  tokenBudget: Number(process.env.MEMORY_TOKEN_BUDGET || 1500),
+  keepRecent: Number(process.env.MEMORY_KEEP_RECENT || 6),
+});
+
+// Al llegar al límite el servidor crea la nueva sesión con un resumen de la anterior.
+// SESSION_RETIRED_POLICY: redirect (escribe en la sesión nueva) | reject (409)
+const sessionRollover = new SessionRollover({
+  store: sessionStore,
+  policy: process.env.SESSION_RETIRED_POLICY || "redirect",
+  // el juego y los datos del prospecto continúan en la sesión nueva
+  carryOverFields: ["trivia", "lead"],
+});
+
+// Mensajes de la conversación (sin prompt del sistema ni resúmenes fijados)
+const countConversationMessages = (history) =>
+  history.filter((m) => m.role !== "system").length;
 
 // Función para generar nuevo sessionId
 const generateNewSessionId = (baseSessionId) => {
@@ -96,23 +401,40 @@ const generateNewSessionId = (baseSessionId) => {
 };
 
 // Función para añadir mensaje al historial (SIN verificación de límites)
-const addToConversationHistory = (sessionId, role, content) => {
+// El historial completo se conserva; el contexto lo arma conversationMemory
+const addToConversationHistory = (sessionId, role, content, extra = {}) => {
   const history = getConversationHistory(sessionId);
-  history.push({ role, content });
+  history.push({ role, content, ...extra });
+  sessionStore.get(sessionId).lastActivity = new Date().toISOString();
+  sessionStore.save(sessionId);
+};
 
-  // Solo limpiar mensajes antiguos si excede el contexto
-  const conversationLength = history.length - 1; // Excluir system message
-  if (conversationLength > MAX_CONTEXT_MESSAGES + 5) {
-    // Buffer adicional
-    const messagesToRemove = conversationLength - MAX_CONTEXT_MESSAGES;
-    history.splice(1, messagesToRemove); // Mantener system message
-  }
+// Condensa turnos antiguos en segundo plano cuando superan el presupuesto
+const scheduleMemorySummary = (sessionId, provider) => {
+  const session = sessionStore.get(sessionId);
+  if (!session || !conversationMemory.needsSummary(session)) return;
+
+  conversationMemory.summarize(session, provider).then((updated) => {
+    if (updated && sessionStore.has(sessionId)) sessionStore.save(sessionId);
+  });
+};
+
+// Registra un turno completo y los tokens consumidos en la sesión
+const recordSessionTurn = (sessionId, usage) => {
+  const session = sessionStore.get(sessionId);
+  if (!session) return;
+  session.turnCount += 1;
+  session.totalTokens += usage.totalTokens;
+  session.promptTokens += usage.promptTokens;
+  session.completionTokens += usage.completionTokens;
+  session.lastActivity = new Date().toISOString();
+  sessionStore.save(sessionId);
 };
 
 // Nueva función para verificar límites ANTES de procesar
 const checkSessionLimits = (sessionId) => {
   const history = getConversationHistory(sessionId);
-  const conversationLength = history.length - 1; // Excluir system message
+  const conversationLength = countConversationMessages(history);
 
   if (conversationLength >= MAX_MESSAGES_PER_SESSION) {
     return { shouldReset: true, newSessionId: generateNewSessionId(sessionId) };
@@ -121,11 +443,22 @@ const checkSessionLimits = (sessionId) => {
   return { shouldReset: false };
 };
 
-// ======== Paths ========
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Retira la sesión y crea la nueva con el resumen de la anterior.
+// Devuelve el id de la sesión nueva (la ya creada si otro turno se adelantó)
+// o null si la sesión se borró o expiró mientras se generaba el resumen
+const performSessionRollover = async (sessionId, newSessionId, provider) => {
+  const session = sessionStore.get(sessionId);
+  if (!session) return null;
+  return sessionRollover.rollOver(sessionId, newSessionId, provider, {
+    facts: [...leadExtractor.facts(session.lead), ...triviaEngine.facts(session)],
+    // La sesión nueva conserva la persona de la anterior
+    createSuccessor: (id, personaId) => getConversationHistory(id, personaId),
+  });
+};
+
+// ======== Servidor ========
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: "1mb" })); // documentos de /admin/knowledge
 app.use(cors());
 const port = process.env.PORT || 3000;
 
@@ -162,67 +495,399 @@ const initializeDefaultAudios = async () => {
     try {
       await fs.access(mp3);
     } catch {
-      try {
-        if (!elevenLabsApiKey) throw new Error("no-elevenlabs-key");
-        const tts = await elevenLabsService.generateAudio(msg.text, mp3);
-        if (!tts.success) throw new Error(tts.error || "elevenlabs-failed");
-      } catch (e) {
+      // Las personas referencian estos archivos como .mp3: solo proveedores MP3
+      const tts = await ttsProviders.synthesize(
+        msg.text,
+        path.join(audiosDir, msg.file),
+        { extensions: ["mp3"] }
+      );
+      if (!tts.success) {
         console.warn(
           `Failed to generate default audio for ${msg.file}:`,
-          e.message
+          tts.error
         );
       }
     }
   }
 };
 
-// ======== Chat (OpenAI) CON MEMORIA ========
-const callOpenAI = async (userMessage, sessionId = "default") => {
+// Bloque de referencia con los pasajes recuperados, numerados con su fuente
+const buildKnowledgeContext = (passages, persona) =>
+  [
+    `Información de referencia de ${persona.company || persona.name} para la última pregunta del cliente. Básate en ella; si la respuesta no está aquí ni en tus instrucciones, dilo y ofrece agendar una reunión en lugar de inventar datos.`,
+    ...passages.map(
+      (p, i) =>
+        `[${i + 1}] ${[p.title, p.heading].filter(Boolean).join(" > ")} (${p.source})\n${p.text}`
+    ),
+  ].join("\n\n");
+
+// Nota de sistema con el resultado del motor de trivia para que el modelo lo redacte
+const formatTriviaQuestion = (q) =>
+  `"${q.question}"${
+    q.options.length
+      ? ` Opciones: ${q.options
+          .map((o, i) => `${String.fromCharCode(97 + i)}) ${o}`)
+          .join("; ")}.`
+      : ""
+  }`;
+
+const buildTriviaNote = (event) => {
+  const prizes = event.prizes.length
+    ? ` y estos premios: ${event.prizes.join(", ")}`
+    : "";
+  const askNext = (question) =>
+    `Haz esta pregunta de nivel ${event.level.name}${
+      event.level.prize ? ` (premio: ${event.level.prize})` : ""
+    } en tono motivador, sin revelar la respuesta: ${formatTriviaQuestion(
+      question
+    )}`;
+  const lines = [
+    "TRIVIA (resultado calculado por el sistema; no lo cambies ni inventes preguntas, respuestas o premios):",
+  ];
+
+  if (event.type === "started") {
+    lines.push(`El cliente quiere jugar. ${askNext(event.question)}`);
+  } else if (event.type === "pending") {
+    lines.push(
+      `Hay una pregunta pendiente y el cliente no la respondió. Responde brevemente a lo que dijo y vuelve a plantearla: ${formatTriviaQuestion(
+        event.question
+      )}`
+    );
+  } else if (event.type === "stopped") {
+    lines.push(
+      `El cliente dejó el juego con ${event.correctAnswers} respuesta(s) correcta(s)${prizes}. Agradécele y ofrece conocer el producto o agendar una reunión.`
+    );
+  } else if (event.type === "answered") {
+    const explanation = event.explanation ? ` ${event.explanation}` : "";
+    lines.push(
+      event.correct
+        ? `La respuesta del cliente es CORRECTA.${explanation}`
+        : `La respuesta del cliente es INCORRECTA. La respuesta correcta es: ${event.expectedAnswer}.${explanation}`
+    );
+    if (event.prize) {
+      lines.push(
+        `Ganó el premio: ${event.prizeName}. Felicítalo y dile que su código de canje aparece en pantalla para reclamarlo en el stand.`
+      );
+    } else if (event.prizeOutOfStock) {
+      lines.push(
+        "El premio de este nivel se agotó; felicítalo igual y discúlpate por no poder entregarlo."
+      );
+    } else if (event.prizeAlreadyWon) {
+      lines.push("Ya ganó el premio de este nivel antes; no ofrezcas otro.");
+    }
+    lines.push(
+      event.nextQuestion
+        ? askNext(event.nextQuestion)
+        : `El juego terminó con ${event.score} puntos${prizes}. Agradécele y ofrece video demo o agendar una reunión.`
+    );
+  }
+  return lines.join("\n");
+};
+
+// Entrega los premios de trivia ganados y aún sin código (descuenta stock).
+// También cubre turnos anteriores cuya respuesta falló antes de entregarse.
+const awardTriviaPrizes = (sessionId) => {
+  const state = sessionStore.get(sessionId)?.trivia;
+  if (!state) return [];
+
+  const awards = [];
+  for (const won of state.prizes.filter((p) => !p.code)) {
+    const award = prizeInventory.award(won.prize, {
+      sessionId,
+      questionId: won.questionId,
+    });
+    if (award) {
+      won.code = award.code;
+      awards.push(award);
+      console.log(
+        `[prizes] Session ${sessionId} won ${award.prizeId} (${award.code})`
+      );
+      webhooks.emit("trivia.prize_won", {
+        sessionId,
+        code: award.code,
+        prizeId: award.prizeId,
+        prizeName: award.prizeName,
+        level: won.level,
+        questionId: won.questionId,
+        awardedAt: award.awardedAt,
+      });
+    } else {
+      // Se agotó entre la pregunta y la respuesta
+      state.prizes.splice(state.prizes.indexOf(won), 1);
+      console.warn(`[prizes] ${won.prize} out of stock for ${sessionId}`);
+    }
+  }
+  return awards.map(({ code, prizeId, prizeName, awardedAt }) => ({
+    code,
+    prizeId,
+    name: prizeName,
+    awardedAt,
+  }));
+};
+
+// Pide la respuesta al modelo resolviendo sus llamadas a herramientas (agenda).
+// Devuelve la respuesta final, los mensajes enviados y las reservas del turno.
+const completeWithTools = async (provider, messages, sessionId) => {
+  const conversation = [...messages];
+  const usage = {
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimated: false,
+  };
+  const appointments = [];
+
+  for (let round = 0; ; round++) {
+    const offerTools = provider.supportsTools && round < MAX_TOOL_ROUNDS;
+    const completion = await provider.complete({
+      messages: conversation,
+      maxTokens: LLM_MAX_COMPLETION_TOKENS,
+      temperature: 0.7,
+      ...(offerTools ? { tools: appointmentTools.definitions } : {}),
+    });
+    const roundUsage = normalizeUsage(
+      completion.usage,
+      conversation,
+      completion.content || ""
+    );
+    usage.promptTokens += roundUsage.promptTokens;
+    usage.completionTokens += roundUsage.completionTokens;
+    usage.totalTokens += roundUsage.totalTokens;
+    usage.estimated = usage.estimated || roundUsage.estimated;
+
+    if (!offerTools || !completion.toolCalls?.length) {
+      return { completion, messages: conversation, usage, appointments };
+    }
+
+    conversation.push({
+      role: "assistant",
+      content: completion.content || null,
+      tool_calls: completion.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    });
+    for (const call of completion.toolCalls) {
+      const session = sessionStore.get(sessionId);
+      const result = appointmentTools.execute(call.name, call.arguments, {
+        sessionId,
+        lead: session?.lead,
+        summary: summarizeVisitorInterest(session),
+      });
+      console.log(
+        `[tools] Session: ${sessionId}, ${call.name} -> ${
+          result.error ? `error: ${result.error}` : "ok"
+        }`
+      );
+      if (result.booked) {
+        const appointment = appointmentBook.get(result.appointment.id);
+        appointments.push(appointment);
+        // Reserva real: el CRM la recibe con el lead (rescheduledFrom si reemplaza otra)
+        webhooks.emit("meeting.booked", {
+          sessionId,
+          persona: session?.personaId,
+          appointment: {
+            ...appointment,
+            icsUrl: appointmentIcsUrl(appointment.id),
+          },
+          lead: session?.lead || null,
+        });
+      }
+      conversation.push({
+        role: "tool",
+        tool_call_id: call.id,
+        content: JSON.stringify(result),
+      });
+    }
+  }
+};
+
+// ======== Chat (proveedor LLM) CON MEMORIA ========
+const callOpenAI = async (
+  userMessage,
+  sessionId = "default",
+  provider = llmProviders.resolve(),
+  persona = getSessionPersona(sessionId)
+) => {
+  getConversationHistory(sessionId, persona.id);
+  const responseValidator = getResponseValidator(persona);
+
   // VERIFICAR LÍMITES ANTES de agregar mensajes
   const limitCheck = checkSessionLimits(sessionId);
 
-  // Obtener historial de conversación
-  const conversationMessages = getConversationHistory(sessionId);
+  // Respuesta del asistente a la que contesta el usuario (para el lead)
+  const previousAssistant =
+    getConversationHistory(sessionId)
+      .filter((m) => m.role === "assistant")
+      .at(-1)?.content || "";
 
   // Añadir mensaje del usuario al historial
   addToConversationHistory(sessionId, "user", userMessage);
 
-  // Crear mensajes para OpenAI (incluye todo el historial)
-  const messages = [
-    ...conversationMessages,
-    { role: "user", content: userMessage },
-  ];
-
-  console.log(
-    `[chat] Session: ${sessionId}, Total messages in history: ${messages.length}`
+  // Actualizar el lead con lo que el usuario cuenta en este turno
+  const leadChanges = leadExtractor.update(
+    sessionStore.get(sessionId),
+    userMessage,
+    { previousAssistant }
   );
+  if (leadChanges.length > 0) {
+    sessionStore.save(sessionId);
+    console.log(`[lead] Session: ${sessionId}, updated ${leadChanges.join(", ")}`);
+    const { personaId, lead } = sessionStore.get(sessionId);
+    const leadEvent = { sessionId, persona: personaId, lead };
+    if (leadChanges.includes("qualified")) {
+      webhooks.emit("lead.qualified", leadEvent);
+    }
+    if (leadChanges.includes("meetingRequested")) {
+      webhooks.emit("meeting.requested", leadEvent);
+    }
+  }
+
+  // Notas de sistema solo para este turno
+  const notes = [];
 
   // Agregar mensaje especial si estamos cerca del límite
   if (limitCheck.shouldReset) {
-    messages.push({
-      role: "system",
-      content: `IMPORTANTE: Esta conversación está llegando a su límite natural. En tu respuesta, sugiere de manera amigable que podemos continuar en una nueva conversación para un mejor rendimiento. No hagas esto muy obvio, intégralo naturalmente en tu respuesta.`,
-    });
+    notes.push(
+      `IMPORTANTE: Esta conversación está llegando a su límite natural. En tu respuesta, sugiere de manera amigable que podemos continuar en una nueva conversación para un mejor rendimiento. No hagas esto muy obvio, intégralo naturalmente en tu respuesta.`
+    );
+  }
+
+  // La trivia se resuelve en código; el modelo solo redacta el resultado
+  const trivia = triviaEngine.handleTurn(sessionStore.get(sessionId), userMessage);
+  if (trivia) notes.push(buildTriviaNote(trivia));
+
+  // Sin function calling el modelo no puede reservar: al menos ve horarios reales
+  if (!provider.supportsTools && sessionStore.get(sessionId).lead?.meetingRequested) {
+    const slots = appointmentBook.availableSlots({ limit: 3 });
+    notes.push(
+      `AGENDA: horarios libres (${appointmentBook.describeHours()}): ${
+        slots.map((slot) => slot.label).join("; ") || "ninguno en los próximos días"
+      }. No confirmes ninguna reserva: un asesor la confirmará por correo o teléfono.`
+    );
   }
 
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    max_tokens: 1000,
-    temperature: 0.7,
-    response_format: { type: "json_object" },
-    messages: messages,
+  // Pasajes de la base de conocimiento relevantes para este turno
+  const passages = knowledgeBase.search(userMessage);
+  const context = passages.length > 0 ? [buildKnowledgeContext(passages, persona)] : [];
+
+  // System prompt + resumen + conocimiento + historial (ya incluye el mensaje del usuario) + notas
+  const parts = conversationMemory.getPromptParts(sessionStore.get(sessionId));
+  const prompt = buildPrompt({
+    ...parts,
+    context,
+    systemMessages: [
+      {
+        role: "system",
+        content: personaRegistry.renderSystemPrompt(persona, {
+          meetingHours: appointmentBook.describeHours(),
+        }),
+      },
+      ...parts.systemMessages,
+    ],
+    notes,
+    tokenBudget: LLM_CONTEXT_TOKENS - LLM_MAX_COMPLETION_TOKENS,
   });
+  const messages = prompt.messages;
+
+  console.log(
+    `[chat] Session: ${sessionId}, Provider: ${provider.name}, Total messages in history: ${messages.length}, ~${prompt.tokens} prompt tokens${
+      prompt.dropped ? ` (${prompt.dropped} dropped)` : ""
+    }, ${passages.length} knowledge passage(s)`
+  );
+
+  const turn = await completeWithTools(provider, messages, sessionId);
+  const { completion, usage } = turn;
 
-  const responseContent = completion.choices[0].message.content;
-  let assistantMessages = JSON.parse(responseContent);
-  if (assistantMessages.messages)
-    assistantMessages = assistantMessages.messages;
+  let reply = responseValidator.process(completion.content);
+
+  // Si el JSON no es utilizable, pedir al modelo que lo corrija una sola vez
+  if (!reply.ok) {
+    console.warn(
+      `[chat] Session: ${sessionId}, invalid reply (${reply.error}), re-asking`
+    );
+    const retryCompletion = await provider.complete({
+      messages: [
+        ...turn.messages,
+        { role: "assistant", content: completion.content || "" },
+        {
+          role: "system",
+          content: `Tu respuesta anterior no cumplió el formato (${reply.error}). Responde SOLO con un JSON válido de la forma {"messages": [{"text": "...", "facialExpression": "...", "animation": "..."}]} con máximo 3 mensajes.`,
+        },
+      ],
+      maxTokens: LLM_MAX_COMPLETION_TOKENS,
+      temperature: 0.7,
+    });
+    const retryUsage = normalizeUsage(
+      retryCompletion.usage,
+      turn.messages,
+      retryCompletion.content
+    );
+    usage.promptTokens += retryUsage.promptTokens;
+    usage.completionTokens += retryUsage.completionTokens;
+    usage.totalTokens += retryUsage.totalTokens;
+    usage.estimated = usage.estimated || retryUsage.estimated;
+    reply = responseValidator.process(retryCompletion.content);
+
+    if (!reply.ok) {
+      const salvaged = responseValidator.fromPlainText(retryCompletion.content);
+      if (salvaged.length === 0) {
+        throw new Error(`Invalid reply after retry: ${reply.error}`);
+      }
+      reply = { ok: true, messages: salvaged, repairs: ["wrapped plain text"] };
+    }
+  }
+
+  if (reply.repairs.length > 0) {
+    console.warn(
+      `[chat] Session: ${sessionId}, repaired reply: ${reply.repairs.join("; ")}`
+    );
+  }
+  const assistantMessages = reply.messages;
+
+  // El premio se descuenta del stock solo cuando la respuesta se entrega
+  const prizes = awardTriviaPrizes(sessionId);
 
   // Añadir respuesta del asistente al historial
   const assistantText = assistantMessages.map((msg) => msg.text).join(" ");
-  addToConversationHistory(sessionId, "assistant", assistantText);
+  addToConversationHistory(sessionId, "assistant", assistantText, { usage });
+  recordSessionTurn(sessionId, usage);
+
+  if (limitCheck.shouldReset) {
+    const successorId = await performSessionRollover(
+      sessionId,
+      limitCheck.newSessionId,
+      provider
+    );
+    // Sin sesión que retirar, el cliente sigue con la suya
+    if (successorId) {
+      limitCheck.newSessionId = successorId;
+    } else {
+      limitCheck.shouldReset = false;
+      delete limitCheck.newSessionId;
+    }
+  } else {
+    scheduleMemorySummary(sessionId, provider);
+  }
+
+  const sources = passages.map(({ id, title, heading, source, score }) => ({
+    id,
+    title,
+    heading,
+    source,
+    score,
+  }));
 
-  return { messages: assistantMessages, resetInfo: limitCheck };
+  return {
+    messages: assistantMessages,
+    resetInfo: limitCheck,
+    usage,
+    sources,
+    trivia,
+    prize: prizes.at(-1) || null,
+    appointment: turn.appointments.at(-1) || null,
+  };
 };
 
 // ======== API ========
@@ -239,151 +904,337 @@ app.get("/voices", async (req, res) => {
   }
 });
 
+// ======== TURNO DE CHAT (compartido por /chat, /chat/stream y WebSocket) ========
+// Respaldo si la persona no define mensajes de error
+const TECHNICAL_ERROR_MESSAGES = [
+  {
+    text: "Lo siento, tengo dificultades técnicas ahora.",
+    facialExpression: "sad",
+    animation: "Crying",
+    audio: "",
+    audioMime: "audio/mpeg",
+  },
+];
+
+const buildErrorMessages = (persona) =>
+  persona?.errorMessages?.technical?.length
+    ? persona.errorMessages.technical.map(({ audioFile, ...m }) => ({
+        ...m,
+        audio: "",
+        audioMime: "audio/mpeg",
+      }))
+    : TECHNICAL_ERROR_MESSAGES;
+
+// Mensajes fijos de la persona: usan el audio pregenerado (audioFile) si existe
+// y, si se permite, sintetizan el resto con la voz de la persona
+const buildCannedMessages = async (
+  messages = [],
+  { persona, sessionId, synthesize = false }
+) =>
+  Promise.all(
+    messages.map(async ({ audioFile, ...message }, i) => {
+      const m = { ...message, audio: "", audioMime: "audio/mpeg" };
+      if (audioFile) {
+        m.audio = await audioFileToBase64(path.join(audiosDir, audioFile));
+      } else if (synthesize) {
+        await synthesizeMessageAudio(m, sessionId, `canned_${i}`, persona);
+      }
+      return m;
+    })
+  );
+
+// Mensaje de bienvenida personalizado
+const buildWelcomeMessages = async (sessionId, persona) => {
+  const history = getConversationHistory(sessionId, persona.id);
+  const isFirstTime = history.length === 0;
+
+  return buildCannedMessages(
+    isFirstTime ? persona.greetings.firstTime : persona.greetings.returning,
+    { persona, sessionId, synthesize: true }
+  );
+};
+
+const buildMissingKeysMessages = async (persona) =>
+  buildCannedMessages(persona.errorMessages.missingKeys, { persona });
+
+// Genera el audio de un mensaje y lo adjunta en base64 (vacío si falla)
+const synthesizeMessageAudio = async (m, sessionId, i, persona) => {
+  const outputBase = audioStorage.outputBase(sessionId, i);
+  const label = path.basename(outputBase);
+
+  try {
+    console.log(`[chat] TTS -> ${label}`);
+    const audioResult = await ttsScheduler.run(sessionId, () =>
+      ttsProviders.synthesize(m.text, outputBase, {
+        voices: personaVoices(persona),
+      })
+    );
+    if (!audioResult.success) throw new Error(audioResult.error || "tts-failed");
+
+    m.audio = await audioStorage.encode(audioResult.file);
+    m.audioMime = audioResult.mimeType;
+  } catch (e) {
+    console.error(`[chat] Audio exception (${label}):`, e.message);
+    m.audio = "";
+    m.audioMime = "audio/mpeg";
+  }
+  return m;
+};
+
+/**
+ * Ejecuta un turno completo y devuelve el cuerpo de respuesta de /chat.
+ * Los transportes en streaming reciben cada mensaje con onMessage en cuanto
+ * su texto está listo y su audio con onAudio cuando termina el TTS.
+ */
+const runChatTurn = async ({
+  userMessage,
+  sessionId: requestedSessionId = "default",
+  provider,
+  personaId,
+  onMessage = () => {},
+  onAudio = () => {},
+}) => {
+  // Las sesiones retiradas redirigen a su sucesora (o lanzan SessionRetiredError)
+  const { sessionId, redirectedFrom } =
+    sessionRollover.resolve(requestedSessionId);
+  if (redirectedFrom) {
+    console.log(`[chat] Session ${redirectedFrom} retired, using ${sessionId}`);
+  }
+  const persona = getSessionPersona(sessionId, personaId);
+
+  const emitReady = (messages) => {
+    messages.forEach((m, i) => {
+      onMessage(m, i);
+      onAudio(m, i);
+    });
+    return { messages };
+  };
+
+  if (!userMessage) {
+    return emitReady(await buildWelcomeMessages(sessionId, persona));
+  }
+
+  // Verificar llaves API (LLM y al menos un proveedor TTS)
+  if (!ttsProviders.isConfigured() || !provider.isConfigured()) {
+    return emitReady(await buildMissingKeysMessages(persona));
+  }
+
+  const result = await callOpenAI(userMessage, sessionId, provider, persona);
+  const messages = result.messages;
+  const resetInfo = result.resetInfo;
+
+  console.log(`[chat] ${provider.name} messages: ${messages.length}`);
+
+  messages.forEach((m, i) => onMessage(m, i));
+  // Todos los audios del turno en paralelo; se entregan en orden de mensaje
+  const audios = messages.map((m, i) =>
+    synthesizeMessageAudio(m, sessionId, i, persona)
+  );
+  for (let i = 0; i < messages.length; i++) {
+    await audios[i];
+    onAudio(messages[i], i);
+  }
+
+  const response = {
+    messages,
+    provider: provider.name,
+    persona: persona.id,
+    sessionId,
+    sources: result.sources,
+  };
+  if (result.trivia) response.trivia = result.trivia;
+  if (result.prize) response.prize = result.prize;
+  if (result.appointment) {
+    const { id, start, end, label, timezone } = result.appointment;
+    response.appointment = {
+      id,
+      start,
+      end,
+      label,
+      timezone,
+      icsUrl: appointmentIcsUrl(id),
+    };
+  }
+  if (redirectedFrom) response.redirectedFrom = redirectedFrom;
+
+  // Agregar información de reset si es necesario
+  if (resetInfo.shouldReset) {
+    response.resetSuggested = true;
+    response.newSessionId = resetInfo.newSessionId;
+    response.message =
+      "Esta conversación se está volviendo muy larga. Te sugiero continuar en una nueva sesión para un mejor rendimiento.";
+  }
+
+  return response;
+};
+
+// Valida el proveedor y la persona solicitados (400 si no existen)
+const resolveChatOptions = ({ provider: providerName, persona: personaId }) => {
+  const provider = llmProviders.resolve(providerName);
+  if (!provider) {
+    return {
+      error: {
+        error: `Unknown provider "${providerName}"`,
+        availableProviders: llmProviders.names(),
+      },
+    };
+  }
+  if (personaId && !personaRegistry.has(personaId)) {
+    return {
+      error: {
+        error: `Unknown persona "${personaId}"`,
+        availablePersonas: personaRegistry.names(),
+      },
+    };
+  }
+  return { provider };
+};
+
 // ======== ENDPOINT DE CHAT MEJORADO ========
 app.post("/chat", async (req, res) => {
-  const { message: userMessage, sessionId = "default" } = req.body;
+  const {
+    message: userMessage,
+    sessionId = "default",
+    persona: personaId,
+  } = req.body;
+
+  const { provider, error: requestError } = resolveChatOptions(req.body);
+  if (requestError) return res.status(400).send(requestError);
+
   console.log(
     `[chat] Session: ${sessionId}, User: ${
       typeof userMessage === "string" ? userMessage.slice(0, 200) : ""
     }`
   );
 
-  // Mensaje de bienvenida personalizado
-  if (!userMessage) {
-    const history = getConversationHistory(sessionId);
-    const isFirstTime = history.length <= 1; // Solo tiene el system message
-
-    if (isFirstTime) {
-      return res.send({
-        messages: [
-          {
-            text: "¡Hola! Soy tu asistente empresarial personalizada.",
-            audio: await audioFileToBase64(path.join(audiosDir, "intro_0.mp3")),
-            audioMime: "audio/mpeg",
-            facialExpression: "smile",
-            animation: "Talking_1",
-          },
-          {
-            text: "Cuéntame sobre tu empresa y cómo puedo ayudarte a crecer.",
-            audio: await audioFileToBase64(path.join(audiosDir, "intro_1.mp3")),
-            audioMime: "audio/mpeg",
-            facialExpression: "smile",
-            animation: "Talking_2",
-          },
-        ],
-      });
-    } else {
-      return res.send({
-        messages: [
-          {
-            text: "¡Hola de nuevo! ¿En qué más puedo ayudarte hoy?",
-            audio: await audioFileToBase64(path.join(audiosDir, "intro_0.mp3")),
-            audioMime: "audio/mpeg",
-            facialExpression: "smile",
-            animation: "Talking_1",
-          },
-        ],
+  try {
+    res.send(
+      await runChatTurn({ userMessage, sessionId, provider, personaId })
+    );
+  } catch (error) {
+    if (error instanceof SessionRetiredError) {
+      return res.status(error.statusCode).send({
+        error: error.message,
+        newSessionId: error.newSessionId,
       });
     }
-  }
-
-  // Verificar llaves API
-  if (
-    !elevenLabsApiKey ||
-    !process.env.OPENAI_API_KEY ||
-    process.env.OPENAI_API_KEY === "-"
-  ) {
-    return res.send({
-      messages: [
-        {
-          text: "Por favor, configura tus llaves de API.",
-          audio: await audioFileToBase64(path.join(audiosDir, "api_0.mp3")),
-          audioMime: "audio/mpeg",
-          facialExpression: "angry",
-          animation: "Angry",
-        },
-        {
-          text: "Necesitas configurar OpenAI y ElevenLabs.",
-          audio: await audioFileToBase64(path.join(audiosDir, "api_1.mp3")),
-          audioMime: "audio/mpeg",
-          facialExpression: "smile",
-          animation: "Laughing",
-        },
-      ],
+    console.error(`[chat] Provider error:`, error.message);
+    res.status(500).send({
+      error: "Failed to process chat request",
+      messages: buildErrorMessages(getSessionPersona(sessionId, personaId)),
     });
   }
+});
 
-  try {
-    const result = await callOpenAI(userMessage, sessionId);
-    const messages = result.messages;
-    const resetInfo = result.resetInfo;
-
-    console.log(`[chat] OpenAI messages: ${messages.length}`);
-
-    for (let i = 0; i < messages.length; i++) {
-      const m = messages[i];
-      const mp3 = path.join(audiosDir, `message_${sessionId}_${i}.mp3`);
-
-      try {
-        console.log(`[chat] TTS -> message_${sessionId}_${i}`);
-        const audioResult = await elevenLabsService.generateAudio(m.text, mp3);
-        if (!audioResult.success)
-          throw new Error(audioResult.error || "tts-failed");
-
-        m.audio = await audioFileToBase64(mp3);
-        m.audioMime = "audio/mpeg";
-      } catch (e) {
-        console.error(
-          `[chat] Audio exception (message_${sessionId}_${i}):`,
-          e.message
-        );
-        m.audio = "";
-        m.audioMime = "audio/mpeg";
-      }
-    }
+// ======== CHAT EN STREAMING (Server-Sent Events) ========
+// Eventos: message (texto listo), audio (TTS listo), done (fin del turno), error
+app.post("/chat/stream", async (req, res) => {
+  const {
+    message: userMessage,
+    sessionId = "default",
+    persona: personaId,
+  } = req.body;
 
-    const response = { messages, provider: "openai", sessionId };
+  const { provider, error: requestError } = resolveChatOptions(req.body);
+  if (requestError) return res.status(400).send(requestError);
 
-    // Agregar información de reset si es necesario
-    if (resetInfo.shouldReset) {
-      response.resetSuggested = true;
-      response.newSessionId = resetInfo.newSessionId;
-      response.message =
-        "Esta conversación se está volviendo muy larga. Te sugiero continuar en una nueva sesión para un mejor rendimiento.";
-    }
+  console.log(
+    `[chat/stream] Session: ${sessionId}, User: ${
+      typeof userMessage === "string" ? userMessage.slice(0, 200) : ""
+    }`
+  );
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
 
-    res.send(response);
+  const send = (event, data) => {
+    if (!res.writableEnded) writeSSE(res, event, data);
+  };
+  const keepalive = setInterval(() => {
+    if (!res.writableEnded) res.write(": keepalive\n\n");
+  }, 15000);
+
+  try {
+    const response = await runChatTurn({
+      userMessage,
+      sessionId,
+      provider,
+      personaId,
+      onMessage: (m, index) =>
+        send("message", {
+          index,
+          text: m.text,
+          facialExpression: m.facialExpression,
+          animation: m.animation,
+        }),
+      onAudio: (m, index) =>
+        send("audio", { index, audio: m.audio, audioMime: m.audioMime }),
+    });
+
+    send("done", {
+      sessionId: response.sessionId || sessionId,
+      provider: response.provider || provider.name,
+      persona: response.persona || null,
+      messageCount: response.messages.length,
+      sources: response.sources || [],
+      prize: response.prize || null,
+      appointment: response.appointment || null,
+      resetSuggested: !!response.resetSuggested,
+      newSessionId: response.newSessionId || null,
+      message: response.message || null,
+    });
   } catch (error) {
-    console.error(`[chat] Provider error:`, error.message);
-    res.status(500).send({
+    if (error instanceof SessionRetiredError) {
+      send("error", { error: error.message, newSessionId: error.newSessionId });
+      return;
+    }
+    console.error(`[chat/stream] Provider error:`, error.message);
+    send("error", {
       error: "Failed to process chat request",
-      messages: [
-        {
-          text: "Lo siento, tengo dificultades técnicas ahora.",
-          facialExpression: "sad",
-          animation: "Crying",
-          audio: "",
-          audioMime: "audio/mpeg",
-        },
-      ],
+      messages: buildErrorMessages(getSessionPersona(sessionId, personaId)),
     });
+  } finally {
+    clearInterval(keepalive);
+    res.end();
   }
 });
 
 // ======== NUEVOS ENDPOINTS PARA GESTIÓN DE SESIONES ========
 app.get("/sessions", (req, res) => {
-  const sessions = Array.from(conversationHistory.keys()).map((sessionId) => ({
-    sessionId,
-    messageCount: conversationHistory.get(sessionId).length - 1, // Exclude system message
-    lastActivity: new Date().toISOString(), // En una implementación real, guardarías esto
+  const sessions = sessionStore.values().map((session) => ({
+    sessionId: session.sessionId,
+    messageCount: countConversationMessages(session.history),
+    turnCount: session.turnCount,
+    totalTokens: session.totalTokens,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    persona: session.personaId || null,
+    expiresAt: sessionSweeper.expiresAt(session),
+    previousSessionId: session.previousSessionId || null,
+    rolledOverTo: session.rolledOverTo || null,
   }));
-  res.send({ sessions });
+
+  try {
+    res.send(querySessions(sessions, req.query));
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
 });
 
-app.delete("/sessions/:sessionId", (req, res) => {
+app.delete("/sessions/:sessionId", async (req, res) => {
   const { sessionId } = req.params;
-  if (conversationHistory.has(sessionId)) {
-    conversationHistory.delete(sessionId);
+  // Los audios se borran aunque la sesión ya no exista (expirada, reinicio)
+  await audioStorage.cleanupSession(sessionId);
+  if (sessionStore.has(sessionId)) {
+    const session = sessionStore.get(sessionId);
+    await sessionStore.delete(sessionId);
+    leadArchive.archive(session, "deleted");
+    emitSessionEnded(session, "deleted");
     res.send({ success: true, message: `Session ${sessionId} deleted` });
   } else {
     res.status(404).send({ success: false, message: "Session not found" });
@@ -392,11 +1243,385 @@ app.delete("/sessions/:sessionId", (req, res) => {
 
 app.get("/sessions/:sessionId/history", (req, res) => {
   const { sessionId } = req.params;
-  const history = conversationHistory.get(sessionId) || [];
-  res.send({ sessionId, history: history.slice(1) }); // Exclude system message
+  const session = sessionStore.get(sessionId);
+  const history = session?.history || [];
+  res.send({
+    sessionId,
+    previousSessionId: session?.previousSessionId || null,
+    rolledOverTo: session?.rolledOverTo || null,
+    summary: session?.summary || null,
+    summarizedThrough: session?.summarizedThrough || 0,
+    usage: {
+      turns: session?.turnCount || 0,
+      promptTokens: session?.promptTokens || 0,
+      completionTokens: session?.completionTokens || 0,
+      totalTokens: session?.totalTokens || 0,
+    },
+    persona: session?.personaId || null,
+    trivia: session?.trivia || null,
+    lead: session?.lead || null,
+    history,
+  });
+});
+
+app.get("/sessions/:sessionId/lead", (req, res) => {
+  const { sessionId } = req.params;
+  const session = sessionStore.get(sessionId);
+  if (!session) {
+    return res.status(404).send({ error: "Session not found" });
+  }
+  res.send({
+    sessionId,
+    rolledOverTo: session.rolledOverTo || null,
+    lead: session.lead || null,
+  });
+});
+
+// ======== TRIVIA ========
+app.get("/trivia/leaderboard", (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res
+      .status(400)
+      .send({ error: '"limit" must be an integer between 1 and 100' });
+  }
+  res.send({
+    generatedAt: new Date().toISOString(),
+    leaderboard: triviaEngine.leaderboard(sessionStore.values(), { limit }),
+  });
+});
+
+// ======== LEADS (equipo comercial: Bearer LEADS_TOKEN o ADMIN_TOKEN) ========
+const requireSales = requireAdminToken(
+  () => process.env.LEADS_TOKEN || process.env.ADMIN_TOKEN
+);
+
+// GET /leads/export?format=csv|json|ndjson&from=&to= (fechas ISO, filtran por captura)
+app.get("/leads/export", requireSales, (req, res) => {
+  const { format = "csv", from, to } = req.query;
+  if (!Object.hasOwn(LEAD_EXPORT_FORMATS, format)) {
+    return res.status(400).send({
+      error: `format must be one of: ${Object.keys(LEAD_EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  let rows;
+  try {
+    rows = buildLeadRows(leadArchive.withLiveSessions(sessionStore.values()), {
+      from,
+      to,
+    });
+  } catch (error) {
+    return res.status(400).send({ error: error.message });
+  }
+
+  const exportedAt = new Date().toISOString();
+  const { contentType, extension } = LEAD_EXPORT_FORMATS[format];
+  const filename = `leads-${exportedAt.slice(0, 10)}.${extension}`;
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.send(
+    formatLeads(rows, format, { exportedAt, from: from || null, to: to || null })
+  );
+});
+
+// ======== PREMIOS (personal del stand: Bearer STAFF_TOKEN o ADMIN_TOKEN) ========
+const requireStaff = requireAdminToken(
+  () => process.env.STAFF_TOKEN || process.env.ADMIN_TOKEN
+);
+
+app.get("/prizes", requireStaff, (req, res) => {
+  res.send({
+    prizes: prizeInventory.list(),
+    recentAwards: prizeInventory.recentAwards(),
+  });
+});
+
+app.post("/prizes/redeem", requireStaff, (req, res) => {
+  const { code, redeemedBy } = req.body;
+  try {
+    const award = prizeInventory.redeem(code, { redeemedBy });
+    console.log(`[prizes] Redeemed ${award.code} (${award.prizeId})`);
+    res.send({ success: true, award });
+  } catch (error) {
+    if (!(error instanceof PrizeRedemptionError)) throw error;
+    res.status(error.statusCode).send({
+      success: false,
+      error: error.message,
+      award: error.award || null,
+    });
+  }
+});
+
+// ======== AGENDA (personal: Bearer STAFF_TOKEN o ADMIN_TOKEN) ========
+// Los calendarios no envían cabeceras al suscribirse: el feed acepta ?token=
+const requireStaffFeed = requireAdminToken(
+  () => process.env.STAFF_TOKEN || process.env.ADMIN_TOKEN,
+  { queryParam: "token" }
+);
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+  res.send(calendar);
+};
+
+const renderCalendar = (appointments, options = {}) =>
+  renderAppointmentCalendar(appointmentBook, appointments, {
+    ...options,
+    uidDomain: process.env.PUBLIC_BASE_URL
+      ? new URL(process.env.PUBLIC_BASE_URL).hostname
+      : undefined,
+    urlFor: process.env.PUBLIC_BASE_URL
+      ? (appointment) => appointmentIcsUrl(appointment.id)
+      : undefined,
+  });
+
+const sendAppointmentError = (res, error) => {
+  if (error instanceof AppointmentError) {
+    return res.status(error.statusCode).send({ error: error.message });
+  }
+  console.error(`[appointments]`, error.message);
+  res.status(500).send({ error: "Appointment operation failed" });
+};
+
+// GET /appointments?from=&to=&status=booked|cancelled (fechas ISO, por inicio)
+app.get("/appointments", requireStaff, (req, res) => {
+  const { from, to, status } = req.query;
+  if (status !== undefined && !["booked", "cancelled"].includes(status)) {
+    return res
+      .status(400)
+      .send({ error: '"status" must be booked or cancelled' });
+  }
+  try {
+    res.send({
+      ...appointmentBook.describe(),
+      appointments: appointmentBook.list({ from, to, status }),
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+});
+
+// Feed de todas las reuniones (suscripción desde Google Calendar / Outlook).
+// Va antes de /appointments/:id.ics para que "feed" no se tome como id.
+app.get("/appointments/feed.ics", requireStaffFeed, (req, res) => {
+  sendCalendar(
+    res,
+    renderCalendar(appointmentBook.list(), { name: appointmentBook.title }),
+    "reuniones.ics"
+  );
+});
+
+// Invitación de una reunión: pública, el id (UUID) hace de enlace secreto
+app.get("/appointments/:id.ics", (req, res) => {
+  const appointment = appointmentBook.get(req.params.id);
+  if (!appointment) {
+    return res.status(404).send({ error: "Appointment not found" });
+  }
+  sendCalendar(res, renderCalendar([appointment]), `reunion-${appointment.id}.ics`);
+});
+
+app.delete("/appointments/:id", requireStaff, (req, res) => {
+  try {
+    const appointment = appointmentBook.cancel(req.params.id, {
+      reason: req.body?.reason || "cancelled by staff",
+    });
+    console.log(`[appointments] Cancelled ${appointment.id} (${appointment.label})`);
+    webhooks.emit("meeting.cancelled", {
+      sessionId: appointment.sessionId || null,
+      appointment,
+    });
+    res.send({ success: true, appointment });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+});
+
+// ======== ADMIN: BASE DE CONOCIMIENTO (Authorization: Bearer ADMIN_TOKEN) ========
+// Los ids son rutas relativas a knowledge/ (ej. "planes.md"); las subcarpetas van con %2F
+const requireAdmin = requireAdminToken(() => process.env.ADMIN_TOKEN);
+
+// Refleja en el índice el estado actual de un documento (inactivo o borrado = fuera)
+const reindexKnowledgeDocument = async (id) => {
+  const meta = knowledgeRepository.getMeta(id);
+  if (!meta.active || !(await knowledgeRepository.exists(id))) {
+    knowledgeBase.removeDocument(id);
+    return;
+  }
+  const { content } = await knowledgeRepository.read(id);
+  knowledgeBase.addDocument(id, content, { pinned: meta.pinned });
+};
+
+const sendKnowledgeError = (res, error) => {
+  if (error instanceof KnowledgeDocumentError) {
+    return res.status(error.statusCode).send({ error: error.message });
+  }
+  console.error(`[admin/knowledge]`, error.message);
+  res.status(500).send({ error: "Knowledge operation failed" });
+};
+
+app.get("/admin/knowledge", requireAdmin, async (req, res) => {
+  try {
+    res.send({
+      documents: await knowledgeRepository.list(),
+      index: knowledgeBase.describe(),
+    });
+  } catch (error) {
+    sendKnowledgeError(res, error);
+  }
+});
+
+// Qué pasajes (y qué bloque de contexto) usaría el chat para una pregunta
+app.post("/admin/knowledge/preview", requireAdmin, (req, res) => {
+  const { question, persona: personaId } = req.body;
+  if (typeof question !== "string" || !question.trim()) {
+    return res.status(400).send({ error: '"question" is required' });
+  }
+  const persona = personaRegistry.resolve(personaId) || personaRegistry.resolve();
+  const passages = knowledgeBase.search(question);
+  res.send({
+    question,
+    passages,
+    context: passages.length > 0 ? buildKnowledgeContext(passages, persona) : null,
+  });
+});
+
+app.get("/admin/knowledge/:documentId", requireAdmin, async (req, res) => {
+  try {
+    const document = await knowledgeRepository.read(
+      req.params.documentId,
+      req.query.version
+    );
+    res.send({ ...knowledgeRepository.getMeta(document.id), ...document });
+  } catch (error) {
+    sendKnowledgeError(res, error);
+  }
+});
+
+app.get(
+  "/admin/knowledge/:documentId/versions",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const { version } = knowledgeRepository.getMeta(
+        knowledgeRepository.validateId(documentId)
+      );
+      res.send({
+        id: documentId,
+        currentVersion: version,
+        versions: knowledgeRepository.versions(documentId),
+      });
+    } catch (error) {
+      sendKnowledgeError(res, error);
+    }
+  }
+);
+
+app.post("/admin/knowledge", requireAdmin, async (req, res) => {
+  const { id, content, active, pinned } = req.body;
+  try {
+    const document = await knowledgeRepository.create(id, content, {
+      active,
+      pinned,
+    });
+    await reindexKnowledgeDocument(document.id);
+    console.log(`[admin/knowledge] Created ${document.id}`);
+    res.status(201).send(document);
+  } catch (error) {
+    sendKnowledgeError(res, error);
+  }
+});
+
+app.put("/admin/knowledge/:documentId", requireAdmin, async (req, res) => {
+  const { content, restoreVersion, active, pinned } = req.body;
+  try {
+    const document = await knowledgeRepository.update(req.params.documentId, {
+      content,
+      restoreVersion,
+      active,
+      pinned,
+    });
+    await reindexKnowledgeDocument(document.id);
+    console.log(
+      `[admin/knowledge] Updated ${document.id} (v${document.version})`
+    );
+    res.send(document);
+  } catch (error) {
+    sendKnowledgeError(res, error);
+  }
+});
+
+app.delete("/admin/knowledge/:documentId", requireAdmin, async (req, res) => {
+  try {
+    const document = await knowledgeRepository.remove(req.params.documentId);
+    await reindexKnowledgeDocument(document.id);
+    console.log(`[admin/knowledge] Deleted ${document.id}`);
+    res.send({ success: true, ...document });
+  } catch (error) {
+    sendKnowledgeError(res, error);
+  }
+});
+
+// ======== WEBHOOKS (Authorization: Bearer ADMIN_TOKEN) ========
+app.post("/webhooks/test", requireAdmin, (req, res) => {
+  if (webhooks.endpoints.length === 0) {
+    return res.status(409).send({
+      error: "No webhook endpoints configured. Set WEBHOOKS_FILE or WEBHOOK_URLS.",
+    });
+  }
+  const deliveries = webhooks.emit(
+    "webhook.test",
+    { message: req.body?.message || "Webhook de prueba" },
+    { allEndpoints: true }
+  );
+  res.status(202).send({
+    deliveries: deliveries.map(({ id, eventId, url, status }) => ({
+      id,
+      eventId,
+      url,
+      status,
+    })),
+  });
+});
+
+app.get("/webhooks/deliveries", requireAdmin, (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res
+      .status(400)
+      .send({ error: '"limit" must be an integer between 1 and 500' });
+  }
+  res.send({
+    deliveries: webhooks.list({ limit, status: req.query.status }),
+  });
+});
+
+// ======== CACHÉ TTS (Authorization: Bearer ADMIN_TOKEN) ========
+app.get("/tts/cache", requireAdmin, (req, res) => {
+  if (!ttsCache) return res.status(404).send({ error: "TTS cache disabled" });
+  res.send(ttsCache.describe());
+});
+
+// Vacía la caché (p. ej. tras cambiar la voz de una persona en ElevenLabs)
+app.delete("/tts/cache", requireAdmin, async (req, res) => {
+  if (!ttsCache) return res.status(404).send({ error: "TTS cache disabled" });
+  const { removed, freedBytes } = await ttsCache.purge();
+  console.log(`[tts-cache] Purged ${removed} clip(s), ${freedBytes} bytes`);
+  res.send({ success: true, removed, freedBytes });
 });
 
 // ======== Utils ========
+const writeSSE = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 const audioFileToBase64 = async (file) => {
   try {
     const p = path.resolve(file);
@@ -417,7 +1642,7 @@ app.get("/health", async (req, res) => {
   const status = {
     status: "healthy",
     timestamp: new Date().toISOString(),
-    activeSessions: conversationHistory.size,
+    activeSessions: sessionStore.size,
     services: {
       openai: {
         configured: !!(
@@ -425,9 +1650,26 @@ app.get("/health", async (req, res) => {
         ),
       },
       elevenlabs: { configured: !!elevenLabsApiKey },
+      tts: { ...ttsProviders.describe(), scheduler: ttsScheduler.describe() },
+      audio: await audioStorage.describe(),
+      llm: llmProviders.describe(),
+      realtime: realtimeGateway.describe(),
+      personas: personaRegistry.describe(),
+      knowledge: knowledgeBase.describe(),
+      trivia: triviaEngine.describe(),
+      prizes: prizeInventory.describe(),
+      appointments: appointmentBook.describe(),
+      leads: leadArchive.describe(),
+      webhooks: webhooks.describe(),
+      sessions: { ...sessionStore.describe(), sweeper: sessionSweeper.describe() },
     },
   };
 
+  // El proveedor TTS principal dejó de responder y se está usando el respaldo
+  if (ttsProviders.openCircuits().includes(ttsProviders.chain[0])) {
+    status.status = "degraded";
+  }
+
   if (elevenLabsApiKey) {
     try {
       const voices = await elevenLabsService.getAvailableVoices();
@@ -443,7 +1685,7 @@ app.get("/health", async (req, res) => {
 });
 
 // ======== Start ========
-app.listen(port, async () => {
+const server = app.listen(port, async () => {
   console.log(`Business Assistant Server listening on port ${port}`);
   console.log(`Platform: ${process.platform}`);
   console.log(
@@ -456,6 +1698,8 @@ app.listen(port, async () => {
         : "Not configured"
     }`
   );
+  console.log(`LLM provider: ${llmProviders.defaultProvider}`);
+  console.log(`TTS providers: ${ttsProviders.chain.join(" -> ")}`);
   try {
     await initializeDefaultAudios();
   } catch (e) {
@@ -464,4 +1708,43 @@ app.listen(port, async () => {
   console.log(`Server ready at http://localhost:${port}`);
 });
 
+// ======== WebSocket (misma memoria y TTS que /chat) ========
+const realtimeGateway = new RealtimeGateway({
+  server,
+  errorMessages: (sessionId, payload) =>
+    buildErrorMessages(getSessionPersona(sessionId, payload.persona)),
+  describeSession: (sessionId) => ({
+    messageCount: sessionStore.has(sessionId)
+      ? countConversationMessages(sessionStore.get(sessionId).history)
+      : 0,
+  }),
+  runTurn: ({
+    userMessage,
+    sessionId,
+    providerName,
+    personaId,
+    onMessage,
+    onAudio,
+  }) => {
+    const { provider, error } = resolveChatOptions({
+      provider: providerName,
+      persona: personaId,
+    });
+    if (error) throw new Error(error.error);
+    console.log(
+      `[ws] Session: ${sessionId}, User: ${
+        typeof userMessage === "string" ? userMessage.slice(0, 200) : ""
+      }`
+    );
+    return runChatTurn({
+      userMessage,
+      sessionId,
+      provider,
+      personaId,
+      onMessage,
+      onAudio,
+    });
+  },
+}).start();
+
 export default app;
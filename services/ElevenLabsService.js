@@ -155,9 +155,13 @@ class ElevenLabsService {
    * Generates audio using ElevenLabs TTS with proper error handling
    * @param {string} text - Text to convert to speech
    * @param {string} outputPath - Path where to save the audio file
+   * @param {Object} [options]
+   * @param {string} [options.voiceId] - Overrides the configured voice (e.g. per persona)
    * @returns {Promise<{success: boolean, error?: string, errorCode?: string}>}
    */
-  async generateAudio(text, outputPath) {
+  async generateAudio(text, outputPath, options = {}) {
+    const voiceId = options.voiceId || this.voiceId;
+
     if (!this.apiKey) {
       return {
         success: false,
@@ -166,7 +170,7 @@ class ElevenLabsService {
       };
     }
 
-    if (!this.voiceId) {
+    if (!voiceId) {
       return {
         success: false,
         error: "Voice ID not configured. Please set VOICE_ID environment variable.",
@@ -192,8 +196,8 @@ class ElevenLabsService {
     }
 
     try {
-      console.log(`Calling ElevenLabs TTS with voice ID: ${this.voiceId}`);
-      await voice.textToSpeech(this.apiKey, this.voiceId, outputPath, text);
+      console.log(`Calling ElevenLabs TTS with voice ID: ${voiceId}`);
+      await voice.textToSpeech(this.apiKey, voiceId, outputPath, text);
       
       // Verify the file was actually created
       try {
@@ -222,7 +226,7 @@ class ElevenLabsService {
       
       // Add additional context for 404 errors
       if (errorResponse.errorCode === "INVALID_VOICE_ID") {
-        console.error(`Voice ID "${this.voiceId}" not found. This usually means:`);
+        console.error(`Voice ID "${voiceId}" not found. This usually means:`);
         console.error("1. The voice ID is incorrect or misspelled");
         console.error("2. The voice has been deleted from your ElevenLabs account");
         console.error("3. You don't have access to this voice");
@@ -0,0 +1,223 @@
+import { readdirSync, readFileSync, watch } from "fs";
+import path from "path";
+import YAML from "yaml";
+import { FACIAL_EXPRESSIONS, ANIMATIONS } from "../utils/ResponseValidator.js";
+
+const PERSONA_EXTENSIONS = [".yaml", ".yml", ".json"];
+const REQUIRED_FIELDS = ["id", "version", "name", "systemPrompt"];
+
+/**
+ * Persona Registry that loads assistant personas from YAML/JSON files and
+ * reloads them when the files change
+ */
+class PersonaRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding persona files
+   * @param {string} [options.defaultPersona] - Persona id used when none is requested
+   */
+  constructor({ directory, defaultPersona }) {
+    this.directory = directory;
+    // Kept as configured: a reload while its file is missing must not replace it
+    this.configuredDefault = defaultPersona || null;
+    this.personas = new Map();
+    this.files = new Map(); // file name -> persona id
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.lastLoadedAt = null;
+  }
+
+  /**
+   * Loads every persona file. A file that fails to parse or validate keeps
+   * its previously loaded version, so a bad edit never takes a booth down.
+   * @returns {{loaded: Array<string>, errors: Array<{file: string, error: string}>}}
+   * @throws {Error} When no persona at all could be loaded
+   */
+  load() {
+    const loaded = [];
+    const errors = [];
+    let entries = [];
+
+    try {
+      entries = readdirSync(this.directory).filter((file) =>
+        PERSONA_EXTENSIONS.includes(path.extname(file).toLowerCase())
+      );
+    } catch (error) {
+      errors.push({ file: this.directory, error: error.message });
+    }
+
+    // Files that disappeared take their persona with them
+    for (const [file, id] of this.files) {
+      if (!entries.includes(file)) {
+        this.personas.delete(id);
+        this.files.delete(file);
+      }
+    }
+
+    for (const file of entries) {
+      try {
+        const persona = this.parseFile(path.join(this.directory, file));
+        const previousId = this.files.get(file);
+        if (previousId && previousId !== persona.id) {
+          this.personas.delete(previousId);
+        }
+        this.personas.set(persona.id, persona);
+        this.files.set(file, persona.id);
+        loaded.push(persona.id);
+      } catch (error) {
+        errors.push({ file, error: error.message });
+        console.error(`[personas] Could not load ${file}:`, error.message);
+      }
+    }
+
+    if (this.personas.size === 0) {
+      throw new Error(`No personas could be loaded from ${this.directory}`);
+    }
+    if (this.configuredDefault && !this.personas.has(this.configuredDefault)) {
+      console.warn(
+        `[personas] Default persona "${this.configuredDefault}" not found, using "${this.defaultPersona}"`
+      );
+    }
+
+    this.lastLoadedAt = new Date().toISOString();
+    return { loaded, errors };
+  }
+
+  /**
+   * Parses and validates one persona file
+   * @param {string} file - Absolute file path
+   * @returns {Object} Normalized persona
+   */
+  parseFile(file) {
+    const raw = readFileSync(file, "utf8");
+    const data =
+      path.extname(file).toLowerCase() === ".json"
+        ? JSON.parse(raw)
+        : YAML.parse(raw);
+
+    const missing = REQUIRED_FIELDS.filter((field) => !data?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`Missing required field(s): ${missing.join(", ")}`);
+    }
+    for (const list of ["expressions", "animations"]) {
+      if (data[list] !== undefined && !Array.isArray(data[list])) {
+        throw new Error(`"${list}" must be a list`);
+      }
+    }
+
+    return {
+      company: "",
+      voiceId: null,
+      voices: {},
+      expressions: FACIAL_EXPRESSIONS,
+      animations: ANIMATIONS,
+      defaultExpression: "default",
+      defaultAnimation: "Talking_0",
+      variables: {},
+      greetings: { firstTime: [], returning: [] },
+      errorMessages: { technical: [], missingKeys: [] },
+      ...data,
+      id: String(data.id),
+      version: String(data.version),
+      file: path.basename(file),
+    };
+  }
+
+  /**
+   * Reloads personas whenever a file in the directory changes
+   * @returns {PersonaRegistry}
+   */
+  watch() {
+    if (this.watcher) return this;
+    try {
+      this.watcher = watch(this.directory, () => {
+        // Editors fire several events per save; reload once they settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          try {
+            const { loaded } = this.load();
+            console.log(`[personas] Reloaded: ${loaded.join(", ")}`);
+          } catch (error) {
+            console.error(`[personas] Reload failed:`, error.message);
+          }
+        }, 200);
+      });
+      this.watcher.unref?.();
+    } catch (error) {
+      console.warn(`[personas] Hot reload disabled:`, error.message);
+    }
+    return this;
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Persona used when none is requested: the configured one while it is
+   * loaded, otherwise the first loaded persona
+   * @returns {string|null}
+   */
+  get defaultPersona() {
+    return this.personas.has(this.configuredDefault)
+      ? this.configuredDefault
+      : this.personas.keys().next().value ?? null;
+  }
+
+  has(id) {
+    return this.personas.has(id);
+  }
+
+  /**
+   * @param {string} [id] - Persona id, the default persona when omitted
+   * @returns {Object|null} Persona, or null if the id is unknown
+   */
+  resolve(id) {
+    return this.personas.get(id || this.defaultPersona) || null;
+  }
+
+  /**
+   * Renders the persona's system prompt template
+   * @param {Object} persona - Persona
+   * @param {Object} [runtimeVariables] - Values computed by the server (they
+   *   override the persona's own variables)
+   * @returns {string}
+   */
+  renderSystemPrompt(persona, runtimeVariables = {}) {
+    const values = {
+      ...persona.variables,
+      ...runtimeVariables,
+      name: persona.name,
+      company: persona.company,
+      expressions: persona.expressions.join(", "),
+      animations: persona.animations.join(", "),
+    };
+    return persona.systemPrompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      values[key] !== undefined ? String(values[key]) : match
+    );
+  }
+
+  names() {
+    return Array.from(this.personas.keys());
+  }
+
+  describe() {
+    return {
+      default: this.defaultPersona,
+      configuredDefault: this.configuredDefault,
+      directory: this.directory,
+      hotReload: !!this.watcher,
+      lastLoadedAt: this.lastLoadedAt,
+      personas: Array.from(this.personas.values()).map((p) => ({
+        id: p.id,
+        version: p.version,
+        name: p.name,
+        file: p.file,
+      })),
+    };
+  }
+}
+
+export default PersonaRegistry;
@@ -0,0 +1,281 @@
+import { WebSocketServer } from "ws";
+
+/**
+ * Realtime Gateway for persistent WebSocket conversations with the avatar.
+ *
+ * Client -> server: hello { sessionId }, user_turn { message, provider?, persona?, turnId? }, ping
+ * Server -> client: session, message, expression_change, audio_chunk,
+ * session_reset, turn_complete, pong, error
+ */
+class RealtimeGateway {
+  /**
+   * @param {Object} options
+   * @param {import("http").Server} options.server - HTTP server to attach to
+   * @param {Function} options.runTurn - Runs a chat turn: ({ userMessage, sessionId, providerName, personaId, onMessage, onAudio }) => response
+   * @param {Function} [options.describeSession] - Returns { messageCount } for a session id
+   * @param {Array<Object>|Function} [options.errorMessages] - Messages sent when a turn fails, or (sessionId, payload) => messages
+   * @param {string} [options.path] - Upgrade path
+   * @param {number} [options.heartbeatInterval] - Milliseconds between protocol pings
+   * @param {number} [options.audioChunkSize] - Base64 characters per audio_chunk event
+   */
+  constructor({
+    server,
+    runTurn,
+    describeSession = () => ({ messageCount: 0 }),
+    errorMessages = [],
+    path = "/ws",
+    heartbeatInterval = 30000,
+    audioChunkSize = 16384,
+  }) {
+    this.server = server;
+    this.runTurn = runTurn;
+    this.describeSession = describeSession;
+    this.errorMessages = errorMessages;
+    this.path = path;
+    this.heartbeatInterval = heartbeatInterval;
+    this.audioChunkSize = audioChunkSize;
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Starts accepting WebSocket upgrades on the configured path
+   * @returns {RealtimeGateway}
+   */
+  start() {
+    this.wss = new WebSocketServer({ server: this.server, path: this.path });
+    this.wss.on("connection", (socket, request) =>
+      this.handleConnection(socket, request)
+    );
+
+    // Drop sockets that stopped answering protocol-level pings
+    this.heartbeatTimer = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (socket.isAlive === false) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref?.();
+
+    return this;
+  }
+
+  /**
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {import("http").IncomingMessage} request - Upgrade request
+   */
+  handleConnection(socket, request) {
+    const url = new URL(request.url, "http://localhost");
+    socket.isAlive = true;
+    socket.sessionId = null;
+    socket.turnQueue = Promise.resolve();
+    socket.lastExpression = null;
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (raw) => this.handleMessage(socket, raw));
+    socket.on("error", (error) => {
+      console.warn(`[ws] Socket error:`, error.message);
+    });
+
+    const sessionId = url.searchParams.get("sessionId");
+    if (sessionId) this.bindSession(socket, sessionId);
+  }
+
+  /**
+   * Attaches a socket to a session, reporting whether it already had history
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {string} sessionId - Session to bind
+   */
+  bindSession(socket, sessionId) {
+    socket.sessionId = sessionId;
+    const { messageCount = 0 } = this.describeSession(sessionId) || {};
+    this.send(socket, "session", {
+      sessionId,
+      resumed: messageCount > 0,
+      messageCount,
+    });
+  }
+
+  /**
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {Buffer|string} raw - Raw frame
+   */
+  handleMessage(socket, raw) {
+    socket.isAlive = true;
+
+    let payload;
+    try {
+      payload = JSON.parse(raw.toString());
+    } catch {
+      this.send(socket, "error", { error: "Invalid JSON frame" });
+      return;
+    }
+    // Valid JSON that is not an object (null, numbers, arrays)
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      this.send(socket, "error", { error: "Frame must be a JSON object" });
+      return;
+    }
+
+    switch (payload.type) {
+      case "ping":
+        this.send(socket, "pong", { timestamp: Date.now() });
+        break;
+      case "hello":
+        this.bindSession(socket, payload.sessionId || socket.sessionId || "default");
+        break;
+      case "user_turn":
+        if (!socket.sessionId) {
+          this.bindSession(socket, payload.sessionId || "default");
+        }
+        // Turns from one socket run one after another, in arrival order
+        socket.turnQueue = socket.turnQueue.then(() =>
+          this.handleTurn(socket, payload)
+        );
+        break;
+      default:
+        this.send(socket, "error", {
+          error: `Unknown message type "${payload.type}"`,
+        });
+    }
+  }
+
+  /**
+   * Runs one user turn and streams its events back to the socket
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {Object} payload - user_turn frame
+   */
+  async handleTurn(socket, payload) {
+    const sessionId = socket.sessionId;
+    const turnId = payload.turnId || `turn_${Date.now()}`;
+
+    try {
+      const response = await this.runTurn({
+        userMessage: payload.message,
+        sessionId,
+        providerName: payload.provider,
+        personaId: payload.persona,
+        onMessage: (m, index) => {
+          if (m.facialExpression !== socket.lastExpression) {
+            socket.lastExpression = m.facialExpression;
+            this.send(socket, "expression_change", {
+              turnId,
+              index,
+              facialExpression: m.facialExpression,
+              animation: m.animation,
+            });
+          }
+          this.send(socket, "message", {
+            turnId,
+            index,
+            text: m.text,
+            facialExpression: m.facialExpression,
+            animation: m.animation,
+          });
+        },
+        onAudio: (m, index) => this.sendAudio(socket, turnId, index, m),
+      });
+
+      // The server may have redirected the turn away from a retired session
+      if (response.sessionId && response.sessionId !== sessionId) {
+        socket.sessionId = response.sessionId;
+        this.send(socket, "session", {
+          sessionId: response.sessionId,
+          redirectedFrom: sessionId,
+          resumed: true,
+        });
+      }
+
+      this.send(socket, "turn_complete", {
+        turnId,
+        sessionId: socket.sessionId,
+        provider: response.provider || null,
+        messageCount: response.messages.length,
+        sources: response.sources || [],
+        prize: response.prize || null,
+        appointment: response.appointment || null,
+      });
+
+      if (response.resetSuggested && response.newSessionId) {
+        const previousSessionId = socket.sessionId;
+        socket.sessionId = response.newSessionId;
+        this.send(socket, "session_reset", {
+          previousSessionId,
+          newSessionId: response.newSessionId,
+          message: response.message || null,
+        });
+      }
+    } catch (error) {
+      console.error(`[ws] Turn error (${sessionId}):`, error.message);
+      this.send(socket, "error", {
+        turnId,
+        error: error.message || "Failed to process chat request",
+        messages:
+          typeof this.errorMessages === "function"
+            ? this.errorMessages(sessionId, payload)
+            : this.errorMessages,
+      });
+    }
+  }
+
+  /**
+   * Splits a message's base64 audio into ordered audio_chunk events
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {string} turnId - Turn identifier
+   * @param {number} index - Message index within the turn
+   * @param {Object} message - Message with audio/audioMime
+   */
+  sendAudio(socket, turnId, index, message) {
+    const audio = message.audio || "";
+    const total = Math.max(1, Math.ceil(audio.length / this.audioChunkSize));
+
+    for (let seq = 0; seq < total; seq++) {
+      this.send(socket, "audio_chunk", {
+        turnId,
+        index,
+        seq,
+        final: seq === total - 1,
+        audioMime: message.audioMime || "audio/mpeg",
+        data: audio.slice(seq * this.audioChunkSize, (seq + 1) * this.audioChunkSize),
+      });
+    }
+  }
+
+  /**
+   * @param {import("ws").WebSocket} socket - Client socket
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  send(socket, type, data) {
+    if (socket.readyState !== socket.OPEN) return;
+    socket.send(JSON.stringify({ type, ...data }));
+  }
+
+  /**
+   * @returns {Object} Gateway status for /health
+   */
+  describe() {
+    return {
+      path: this.path,
+      connections: this.wss ? this.wss.clients.size : 0,
+    };
+  }
+
+  /**
+   * Closes every socket and stops the heartbeat
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    if (!this.wss) return Promise.resolve();
+    for (const socket of this.wss.clients) socket.terminate();
+    return new Promise((resolve) => this.wss.close(() => resolve()));
+  }
+}
+
+export default RealtimeGateway;
@@ -0,0 +1,448 @@
+import { randomUUID } from "crypto";
+import { promises as fs, readFileSync } from "fs";
+import { timezoneOffset, zonedTimeToInstant } from "../../utils/timezone.js";
+import { createJsonWriter } from "../../utils/jsonFile.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEKDAYS = [
+  "domingo",
+  "lunes",
+  "martes",
+  "miércoles",
+  "jueves",
+  "viernes",
+  "sábado",
+];
+
+/**
+ * Raised when an appointment cannot be booked or cancelled; `statusCode` is
+ * the HTTP status the API should answer with
+ */
+export class AppointmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AppointmentError";
+    this.statusCode = statusCode;
+  }
+}
+
+const parseTime = (value, name) => {
+  const match = String(value).match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!match) throw new Error(`${name} must be HH:MM, got "${value}"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number}}
+ */
+const localDate = (instant, timeZone) => {
+  const local = new Date(instant + timezoneOffset(instant, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+  };
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const formatMinutes = (minutes) =>
+  `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Appointment Book: meeting slots inside the configured business hours and
+ * the bookings made by the assistant or by staff. Slots are computed in the
+ * business timezone; bookings are persisted so a slot is never handed out
+ * twice, even across restarts.
+ */
+class AppointmentBook {
+  /**
+   * @param {Object} options
+   * @param {string} [options.timezone] - IANA timezone of the business hours
+   * @param {Array<number>} [options.days] - Open weekdays (0 = Sunday)
+   * @param {string} [options.open] - Opening time (HH:MM, local)
+   * @param {string} [options.close] - Closing time (HH:MM, local); the last slot ends at or before it
+   * @param {number} [options.slotMinutes] - Meeting length
+   * @param {number} [options.leadTimeMinutes] - Minimum notice before a slot can be booked
+   * @param {number} [options.horizonDays] - How many days ahead slots are offered
+   * @param {Array<string>} [options.closedDates] - Local dates (YYYY-MM-DD) without meetings
+   * @param {string} [options.locale] - Locale for slot labels
+   * @param {string} [options.title] - Meeting title used in calendar invites
+   * @param {string} [options.location] - Meeting place or video call link
+   * @param {{name?: string, email: string}} [options.organizer] - Sales contact organizing the meetings
+   * @param {string} [options.file] - JSON file where bookings are persisted (memory only when omitted)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    timezone = "America/Lima",
+    days = [1, 2, 3, 4, 5],
+    open = "09:00",
+    close = "18:00",
+    slotMinutes = 30,
+    leadTimeMinutes = 60,
+    horizonDays = 14,
+    closedDates = [],
+    locale = "es-PE",
+    title = "Reunión",
+    location = null,
+    organizer = null,
+    file = null,
+    now = Date.now,
+  } = {}) {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone }); // throws on unknown zones
+    this.timezone = timezone;
+    this.days = days;
+    this.openMinutes = parseTime(open, "open");
+    this.closeMinutes = parseTime(close, "close");
+    if (this.closeMinutes <= this.openMinutes) {
+      throw new Error(`close (${close}) must be later than open (${open})`);
+    }
+    if (!(slotMinutes > 0)) throw new Error("slotMinutes must be positive");
+    this.slotMinutes = slotMinutes;
+    this.leadTimeMinutes = leadTimeMinutes;
+    this.horizonDays = horizonDays;
+    this.closedDates = new Set(closedDates);
+    this.locale = locale;
+    this.title = title;
+    this.location = location;
+    this.organizer = organizer;
+    this.file = file;
+    this.now = now;
+    this.appointments = new Map(); // id -> appointment
+    this.writer = createJsonWriter(this.file, "appointments");
+  }
+
+  /**
+   * Loads the business hours from a JSON config file
+   * @param {string} configFile - Path to the config
+   * @param {Object} [options] - Extra constructor options
+   * @returns {AppointmentBook}
+   */
+  static fromFile(configFile, options = {}) {
+    const config = JSON.parse(readFileSync(configFile, "utf8"));
+    return new AppointmentBook({ ...config, ...options });
+  }
+
+  /**
+   * Restores persisted bookings
+   * @returns {Promise<number>} Number of appointments loaded
+   */
+  async load() {
+    if (!this.file) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      for (const appointment of data.appointments || []) {
+        this.appointments.set(appointment.id, appointment);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[appointments] Could not read ${this.file}:`, error.message);
+      }
+    }
+    return this.appointments.size;
+  }
+
+  /**
+   * Business hours in words, for the system prompt
+   * ("lunes a viernes, 09:00–18:00 (America/Lima)")
+   * @returns {string}
+   */
+  describeHours() {
+    const sorted = [...this.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    const consecutive = sorted.every(
+      (day, i) => i === 0 || day === (sorted[i - 1] + 1) % 7
+    );
+    const days =
+      consecutive && sorted.length > 2
+        ? `${WEEKDAYS[sorted[0]]} a ${WEEKDAYS[sorted.at(-1)]}`
+        : sorted.map((day) => WEEKDAYS[day]).join(", ");
+    const hours = `${formatMinutes(this.openMinutes)}–${formatMinutes(this.closeMinutes)}`;
+    return `${days}, ${hours} (${this.timezone})`;
+  }
+
+  /**
+   * Human label of a slot in the business timezone
+   * @param {string|number} start - Slot start
+   * @returns {string} e.g. "lunes, 16 de marzo, 10:00"
+   */
+  label(start) {
+    return new Intl.DateTimeFormat(this.locale, {
+      timeZone: this.timezone,
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).format(new Date(start));
+  }
+
+  isBooked(startMs) {
+    for (const appointment of this.appointments.values()) {
+      if (
+        appointment.status === "booked" &&
+        new Date(appointment.start).getTime() === startMs
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Free slots from now (plus the lead time) up to the booking horizon
+   * @param {Object} [options]
+   * @param {string} [options.date] - Only this local date (YYYY-MM-DD)
+   * @param {number} [options.limit] - Maximum slots
+   * @returns {Array<{start: string, end: string, label: string}>}
+   */
+  availableSlots({ date, limit = 20 } = {}) {
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new AppointmentError(`date must be YYYY-MM-DD, got "${date}"`);
+    }
+    const now = this.now();
+    const earliest = now + this.leadTimeMinutes * MINUTE;
+    const today = localDate(now, this.timezone);
+    const slots = [];
+
+    const todayUtc = Date.UTC(today.year, today.month - 1, today.day);
+    for (let offset = 0; offset <= this.horizonDays && slots.length < limit; offset++) {
+      const utcDay = new Date(todayUtc + offset * DAY);
+      const day = {
+        year: utcDay.getUTCFullYear(),
+        month: utcDay.getUTCMonth() + 1,
+        day: utcDay.getUTCDate(),
+      };
+      const dayKey = formatDate(day);
+      if (date && dayKey !== date) continue;
+      if (!this.days.includes(utcDay.getUTCDay()) || this.closedDates.has(dayKey)) {
+        continue;
+      }
+
+      for (
+        let minutes = this.openMinutes;
+        minutes + this.slotMinutes <= this.closeMinutes && slots.length < limit;
+        minutes += this.slotMinutes
+      ) {
+        const start = zonedTimeToInstant(day, minutes, this.timezone);
+        if (start < earliest || this.isBooked(start)) continue;
+        slots.push({
+          start: new Date(start).toISOString(),
+          end: new Date(start + this.slotMinutes * MINUTE).toISOString(),
+          label: this.label(start),
+        });
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Whether `start` is the start of a slot inside business hours
+   * @param {number} startMs - Epoch milliseconds
+   * @returns {boolean}
+   */
+  isSlotStart(startMs) {
+    const day = localDate(startMs, this.timezone);
+    const dayStart = zonedTimeToInstant(day, 0, this.timezone);
+    const minutes = Math.round((startMs - dayStart) / MINUTE);
+    const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+    return (
+      this.days.includes(weekday) &&
+      !this.closedDates.has(formatDate(day)) &&
+      minutes >= this.openMinutes &&
+      minutes + this.slotMinutes <= this.closeMinutes &&
+      (minutes - this.openMinutes) % this.slotMinutes === 0 &&
+      zonedTimeToInstant(day, minutes, this.timezone) === startMs
+    );
+  }
+
+  /**
+   * Books a free slot. A session keeps a single upcoming appointment: booking
+   * again reschedules it.
+   * @param {Object} request
+   * @param {string} request.start - Slot start (ISO date with offset)
+   * @param {string} [request.sessionId] - Session that booked it
+   * @param {Object} [request.contact] - name, company, email, phone
+   * @param {string} [request.notes] - Topic of the meeting
+   * @param {string} [request.summary] - What the visitor asked about, for the invite
+   * @param {string} [request.bookedBy] - assistant | staff
+   * @returns {Object} Appointment
+   * @throws {AppointmentError} 400 for invalid or closed slots, 409 when taken
+   */
+  book({
+    start,
+    sessionId = null,
+    contact = {},
+    notes = null,
+    summary = null,
+    bookedBy = "assistant",
+  }) {
+    const startMs = new Date(start).getTime();
+    if (!start || Number.isNaN(startMs)) {
+      throw new AppointmentError(`start must be an ISO date, got "${start}"`);
+    }
+    if (!this.isSlotStart(startMs)) {
+      throw new AppointmentError(
+        `${this.label(startMs)} is not a meeting slot. Hours: ${this.describeHours()}, ${this.slotMinutes} min slots`
+      );
+    }
+    const now = this.now();
+    if (startMs < now + this.leadTimeMinutes * MINUTE) {
+      throw new AppointmentError(
+        `Meetings need ${this.leadTimeMinutes} min of notice`
+      );
+    }
+    if (startMs > now + (this.horizonDays + 1) * DAY) {
+      throw new AppointmentError(
+        `Meetings can be booked up to ${this.horizonDays} days ahead`
+      );
+    }
+    if (this.isBooked(startMs)) {
+      throw new AppointmentError(`${this.label(startMs)} is already booked`, 409);
+    }
+
+    const previous = sessionId ? this.upcomingFor(sessionId) : null;
+    if (previous) {
+      previous.status = "cancelled";
+      previous.cancelledAt = new Date(now).toISOString();
+      previous.cancelReason = "rescheduled";
+      previous.sequence = (previous.sequence || 0) + 1;
+    }
+
+    const appointment = {
+      id: randomUUID(),
+      sessionId,
+      start: new Date(startMs).toISOString(),
+      end: new Date(startMs + this.slotMinutes * MINUTE).toISOString(),
+      timezone: this.timezone,
+      label: this.label(startMs),
+      status: "booked",
+      contact: {
+        name: contact.name || null,
+        company: contact.company || null,
+        email: contact.email || null,
+        phone: contact.phone || null,
+      },
+      notes: notes || null,
+      summary: summary || null,
+      bookedBy,
+      createdAt: new Date(now).toISOString(),
+      rescheduledFrom: previous?.id || null,
+      cancelledAt: null,
+      cancelReason: null,
+      // Calendar revision: clients only apply updates with a higher SEQUENCE
+      sequence: 0,
+    };
+    this.appointments.set(appointment.id, appointment);
+    this.save();
+    return appointment;
+  }
+
+  /**
+   * Cancels an appointment and frees its slot
+   * @param {string} id - Appointment id
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why it was cancelled
+   * @returns {Object} Cancelled appointment
+   * @throws {AppointmentError} 404 for unknown ids, 409 when already cancelled
+   */
+  cancel(id, { reason = null } = {}) {
+    const appointment = this.appointments.get(id);
+    if (!appointment) {
+      throw new AppointmentError(`Unknown appointment "${id}"`, 404);
+    }
+    if (appointment.status === "cancelled") {
+      throw new AppointmentError(`Appointment ${id} is already cancelled`, 409);
+    }
+    appointment.status = "cancelled";
+    appointment.cancelledAt = new Date(this.now()).toISOString();
+    appointment.cancelReason = reason;
+    appointment.sequence = (appointment.sequence || 0) + 1;
+    this.save();
+    return appointment;
+  }
+
+  get(id) {
+    return this.appointments.get(id) || null;
+  }
+
+  /**
+   * The session's booked appointment that has not started yet
+   * @param {string} sessionId - Session id
+   * @returns {Object|null}
+   */
+  upcomingFor(sessionId) {
+    const now = this.now();
+    for (const appointment of this.appointments.values()) {
+      if (
+        appointment.sessionId === sessionId &&
+        appointment.status === "booked" &&
+        new Date(appointment.start).getTime() > now
+      ) {
+        return appointment;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Appointments by start time
+   * @param {Object} [options]
+   * @param {string} [options.from] - Earliest start (ISO date)
+   * @param {string} [options.to] - Start upper bound (ISO date, exclusive)
+   * @param {string} [options.status] - booked | cancelled
+   * @returns {Array<Object>}
+   * @throws {AppointmentError} On invalid dates
+   */
+  list({ from, to, status } = {}) {
+    const bound = (value, name, fallback) => {
+      if (value === undefined) return fallback;
+      const time = new Date(value).getTime();
+      if (Number.isNaN(time)) {
+        throw new AppointmentError(`Invalid date for ${name}: ${value}`);
+      }
+      return time;
+    };
+    const since = bound(from, "from", -Infinity);
+    const before = bound(to, "to", Infinity);
+
+    return Array.from(this.appointments.values())
+      .filter((appointment) => {
+        const start = new Date(appointment.start).getTime();
+        return (
+          start >= since &&
+          start < before &&
+          (!status || appointment.status === status)
+        );
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  save() {
+    return this.writer.save({ appointments: Array.from(this.appointments.values()) });
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  describe() {
+    const appointments = Array.from(this.appointments.values());
+    return {
+      timezone: this.timezone,
+      hours: this.describeHours(),
+      slotMinutes: this.slotMinutes,
+      booked: appointments.filter((a) => a.status === "booked").length,
+      cancelled: appointments.filter((a) => a.status === "cancelled").length,
+      persisted: !!this.file,
+    };
+  }
+}
+
+export default AppointmentBook;
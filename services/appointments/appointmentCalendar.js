@@ -0,0 +1,62 @@
+import { buildCalendar } from "../../utils/icalendar.js";
+
+/**
+ * Invite description: who is coming and what they asked about
+ * @param {Object} appointment - Appointment
+ * @returns {string}
+ */
+const describeAppointment = (appointment) => {
+  const { name, company, email, phone } = appointment.contact || {};
+  const lines = [];
+  const visitor = [name, company && `(${company})`].filter(Boolean).join(" ");
+  if (visitor) lines.push(`Cliente: ${visitor}`);
+  const contact = [email, phone].filter(Boolean).join(", ");
+  if (contact) lines.push(`Contacto: ${contact}`);
+  if (appointment.notes) lines.push(`Tema: ${appointment.notes}`);
+  if (appointment.summary) lines.push("", appointment.summary);
+  if (appointment.status === "cancelled") {
+    lines.push("", `Cancelada${appointment.cancelReason ? `: ${appointment.cancelReason}` : ""}`);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Renders appointments as an iCalendar file (one invite or a whole feed)
+ * @param {import("./AppointmentBook.js").default} book - Appointment book (timezone, title, organizer)
+ * @param {Array<Object>} appointments - Appointments to include
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name for feeds
+ * @param {string} [options.uidDomain] - Domain part of event UIDs
+ * @param {Function} [options.urlFor] - Public link of an appointment
+ * @returns {string}
+ */
+const renderAppointmentCalendar = (
+  book,
+  appointments,
+  { name, uidDomain = "business-assistant", urlFor } = {}
+) =>
+  buildCalendar({
+    name,
+    timeZone: book.timezone,
+    events: appointments.map((appointment) => ({
+      uid: `${appointment.id}@${uidDomain}`,
+      start: appointment.start,
+      end: appointment.end,
+      summary: [book.title, appointment.contact?.company || appointment.contact?.name]
+        .filter(Boolean)
+        .join(" – "),
+      description: describeAppointment(appointment),
+      location: book.location,
+      url: urlFor?.(appointment),
+      organizer: book.organizer,
+      attendees: appointment.contact?.email
+        ? [{ name: appointment.contact.name, email: appointment.contact.email }]
+        : [],
+      status: appointment.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+      sequence: appointment.sequence || 0,
+      created: appointment.createdAt,
+      lastModified: appointment.cancelledAt || appointment.createdAt,
+    })),
+  });
+
+export default renderAppointmentCalendar;
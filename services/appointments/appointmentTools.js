@@ -0,0 +1,135 @@
+import { AppointmentError } from "./AppointmentBook.js";
+
+const MAX_SLOTS = 20;
+
+const parseArguments = (raw) => {
+  if (raw && typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw || "{}");
+  } catch {
+    throw new AppointmentError("Tool arguments must be a JSON object");
+  }
+};
+
+const summarize = (appointment) =>
+  appointment && {
+    id: appointment.id,
+    start: appointment.start,
+    end: appointment.end,
+    label: appointment.label,
+  };
+
+/**
+ * Function-calling tools that let the model check free meeting slots and
+ * book one for the current session. Tool results are plain objects sent
+ * back to the model as JSON; failures come back as `{ error }` so the model
+ * can offer another slot instead of the turn failing.
+ * @param {import("./AppointmentBook.js").default} book - Appointment book
+ * @returns {{definitions: Array<Object>, execute: Function}}
+ */
+const createAppointmentTools = (book) => {
+  const definitions = [
+    {
+      type: "function",
+      function: {
+        name: "get_available_slots",
+        description:
+          "Lista los horarios libres para una reunión con un asesor. Úsala antes de proponer o confirmar un horario.",
+        parameters: {
+          type: "object",
+          properties: {
+            date: {
+              type: "string",
+              description: `Día concreto (YYYY-MM-DD, hora local ${book.timezone}). Omítelo para ver los próximos horarios.`,
+            },
+            limit: {
+              type: "integer",
+              description: `Máximo de horarios (1-${MAX_SLOTS}, por defecto 6)`,
+            },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+    {
+      type: "function",
+      function: {
+        name: "book_appointment",
+        description:
+          "Reserva un horario libre para este cliente. Si ya tenía una reunión, la reprograma. Confirma al cliente solo si la reserva fue exitosa.",
+        parameters: {
+          type: "object",
+          properties: {
+            start: {
+              type: "string",
+              description: "Valor exacto de `start` devuelto por get_available_slots",
+            },
+            name: { type: "string", description: "Nombre del cliente" },
+            company: { type: "string", description: "Empresa o negocio" },
+            email: { type: "string", description: "Correo de contacto" },
+            phone: { type: "string", description: "Teléfono de contacto" },
+            notes: { type: "string", description: "Tema o interés principal" },
+          },
+          required: ["start"],
+          additionalProperties: false,
+        },
+      },
+    },
+  ];
+
+  const handlers = {
+    get_available_slots: ({ date, limit = 6 }, { sessionId }) => ({
+      timezone: book.timezone,
+      hours: book.describeHours(),
+      slotMinutes: book.slotMinutes,
+      currentAppointment: summarize(book.upcomingFor(sessionId)),
+      slots: book
+        .availableSlots({
+          date,
+          limit: Math.min(Math.max(Number(limit) || 6, 1), MAX_SLOTS),
+        })
+        .map(({ start, label }) => ({ start, label })),
+    }),
+
+    book_appointment: ({ start, notes, ...contact }, { sessionId, lead, summary }) => {
+      const appointment = book.book({
+        start,
+        sessionId,
+        notes,
+        summary,
+        contact: {
+          name: contact.name || lead?.name,
+          company: contact.company || lead?.company,
+          email: contact.email || lead?.contact?.email,
+          phone: contact.phone || lead?.contact?.phone,
+        },
+      });
+      return { booked: true, appointment: summarize(appointment) };
+    },
+  };
+
+  /**
+   * Runs a tool call from the model
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArguments - JSON arguments from the model
+   * @param {Object} context
+   * @param {string} context.sessionId - Session of the turn
+   * @param {Object} [context.lead] - Session lead, fills missing contact details
+   * @param {string} [context.summary] - What the visitor asked about, stored for the invite
+   * @returns {Object} Tool result
+   */
+  const execute = (name, rawArguments, context) => {
+    const handler = handlers[name];
+    if (!handler) return { error: `Unknown tool "${name}"` };
+    try {
+      return handler(parseArguments(rawArguments), context);
+    } catch (error) {
+      if (error instanceof AppointmentError) return { error: error.message };
+      throw error;
+    }
+  };
+
+  return { definitions, execute };
+};
+
+export default createAppointmentTools;
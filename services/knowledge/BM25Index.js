@@ -0,0 +1,137 @@
+// Spanish and English words that carry no meaning for retrieval
+const STOPWORDS = new Set(
+  `a al algo algun alguna algunas alguno algunos ante antes asi aun cada como con contra cual
+  cuales cuando de del desde donde dos el ella ellas ellos en entre era es esa esas ese eso esos
+  esta estas este esto estos fue ha hay la las le les lo los mas me mi mis mucho muy nada ni no
+  nos nosotros o os otra otro para pero poco por porque que quien se sea ser si sin sobre son su
+  sus tambien te tiene tienen todo todos tu tus un una unas uno unos usted ustedes y ya yo
+  about an and are as at be but by do does for from how i if in is it me my of on or so that the
+  their them they this to us was we what when where which who why will with you your`.split(/\s+/)
+);
+
+/**
+ * Light Spanish/English plural stemming: "planes" -> "plan", "facturas" -> "factura"
+ * @param {string} word - Lowercased word without accents
+ * @returns {string}
+ */
+const stem = (word) => {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  if (/[lnrdzj]es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Splits text into normalized search terms (lowercase, no accents, no stopwords)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+export const tokenize = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9ñ]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+
+/**
+ * In-memory Okapi BM25 index over short passages
+ */
+class BM25Index {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map(); // id -> { length, terms: Map<term, tf> }
+    this.documentFrequency = new Map(); // term -> number of documents
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Indexes (or re-indexes) a passage
+   * @param {string} id - Passage id
+   * @param {string} text - Passage text
+   */
+  add(id, text) {
+    if (this.documents.has(id)) this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    for (const term of terms.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+    this.documents.set(id, { length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Removes a passage from the index
+   * @param {string} id - Passage id
+   */
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const df = this.documentFrequency.get(term) - 1;
+      if (df > 0) this.documentFrequency.set(term, df);
+      else this.documentFrequency.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+  }
+
+  clear() {
+    this.documents.clear();
+    this.documentFrequency.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Scores every passage against the query
+   * @param {string} query - Free text query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum results
+   * @returns {Array<{id: string, score: number}>} Best matches first
+   */
+  search(query, { limit = 5 } = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const n = this.documents.size;
+    const averageLength = this.totalLength / n || 1;
+    const idf = new Map(
+      queryTerms.map((term) => {
+        const df = this.documentFrequency.get(term) || 0;
+        return [term, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+      })
+    );
+
+    const results = [];
+    for (const [id, doc] of this.documents) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.terms.get(term);
+        if (!tf) continue;
+        const norm = this.k1 * (1 - this.b + (this.b * doc.length) / averageLength);
+        score += idf.get(term) * ((tf * (this.k1 + 1)) / (tf + norm));
+      }
+      if (score > 0) results.push({ id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+export default BM25Index;
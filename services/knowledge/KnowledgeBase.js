@@ -0,0 +1,213 @@
+import { promises as fs } from "fs";
+import path from "path";
+import BM25Index from "./BM25Index.js";
+import { parseDocument, SUPPORTED_EXTENSIONS } from "./documentParser.js";
+import { countTokens } from "../../utils/tokenCounter.js";
+
+/**
+ * Splits text into overlapping word windows
+ * @param {string} text - Section text
+ * @param {number} size - Words per chunk
+ * @param {number} overlap - Words shared with the previous chunk
+ * @returns {Array<string>}
+ */
+export const chunkText = (text, size, overlap) => {
+  const words = text.split(/[ \t]+/).filter(Boolean);
+  if (words.length <= size) return [words.join(" ")];
+
+  const step = Math.max(1, size - overlap);
+  const chunks = [];
+  for (let start = 0; start < words.length; start += step) {
+    chunks.push(words.slice(start, start + size).join(" "));
+    if (start + size >= words.length) break;
+  }
+  return chunks;
+};
+
+/**
+ * Knowledge Base that indexes local Markdown/HTML/JSON documents and
+ * retrieves the passages most relevant to a user turn
+ */
+class KnowledgeBase {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding the documents (searched recursively)
+   * @param {number} [options.chunkWords] - Words per passage
+   * @param {number} [options.chunkOverlap] - Words shared by consecutive passages
+   * @param {number} [options.topK] - Passages returned per search
+   * @param {number} [options.minScore] - Minimum BM25 score for a passage to count
+   * @param {number} [options.maxTokens] - Token budget for all returned passages
+   * @param {Function} [options.documentOptions] - (documentId) => { active, pinned }; inactive documents are not indexed
+   */
+  constructor({
+    directory,
+    chunkWords = 120,
+    chunkOverlap = 30,
+    topK = 3,
+    minScore = 1,
+    maxTokens = 800,
+    documentOptions = () => ({}),
+  }) {
+    this.directory = directory;
+    this.chunkWords = chunkWords;
+    this.chunkOverlap = chunkOverlap;
+    this.topK = topK;
+    this.minScore = minScore;
+    this.maxTokens = maxTokens;
+    this.documentOptions = documentOptions;
+    this.index = new BM25Index();
+    this.passages = new Map(); // passage id -> passage
+    this.documents = new Map(); // document id -> { id, title, file, pinned, passageIds }
+    this.lastLoadedAt = null;
+  }
+
+  /**
+   * (Re)indexes every active document in the directory. Hidden files and
+   * folders (metadata, archived versions) are ignored; documents that fail
+   * to parse are skipped and reported.
+   * @returns {Promise<{documents: number, passages: number, errors: Array<{file: string, error: string}>}>}
+   */
+  async load() {
+    const errors = [];
+    let files = [];
+    try {
+      files = (await fs.readdir(this.directory, { recursive: true }))
+        .map((file) => file.split(path.sep).join("/"))
+        .filter(
+          (file) =>
+            SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+            !file.split("/").some((part) => part.startsWith("."))
+        )
+        .sort();
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        errors.push({ file: this.directory, error: error.message });
+      }
+    }
+
+    this.index.clear();
+    this.passages.clear();
+    this.documents.clear();
+
+    for (const file of files) {
+      const { active = true, pinned = false } = this.documentOptions(file);
+      if (!active) continue;
+      try {
+        const raw = await fs.readFile(path.join(this.directory, file), "utf8");
+        this.addDocument(file, raw, { pinned });
+      } catch (error) {
+        errors.push({ file, error: error.message });
+        console.error(`[knowledge] Could not index ${file}:`, error.message);
+      }
+    }
+
+    this.lastLoadedAt = new Date().toISOString();
+    return {
+      documents: this.documents.size,
+      passages: this.passages.size,
+      errors,
+    };
+  }
+
+  /**
+   * Parses, chunks and indexes one document
+   * @param {string} file - Path relative to the directory (also the document id)
+   * @param {string} raw - File content
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned] - Include the document on every turn, whatever the query
+   * @returns {Object} Indexed document
+   */
+  addDocument(file, raw, { pinned = false } = {}) {
+    const { title, sections } = parseDocument(file, raw);
+    this.removeDocument(file);
+
+    const document = { id: file, title, file, pinned, passageIds: [] };
+    for (const section of sections) {
+      for (const text of chunkText(section.text, this.chunkWords, this.chunkOverlap)) {
+        const id = `${file}#${document.passageIds.length + 1}`;
+        this.passages.set(id, {
+          id,
+          documentId: file,
+          title,
+          heading: section.heading,
+          source: file,
+          text,
+        });
+        // Title and heading are indexed too: "Planes > Estándar" matters for the match
+        this.index.add(id, [title, section.heading, text].filter(Boolean).join("\n"));
+        document.passageIds.push(id);
+      }
+    }
+    this.documents.set(file, document);
+    return document;
+  }
+
+  /**
+   * Drops a document and its passages from the index
+   * @param {string} documentId - Document id
+   */
+  removeDocument(documentId) {
+    const document = this.documents.get(documentId);
+    if (!document) return;
+    for (const id of document.passageIds) {
+      this.index.remove(id);
+      this.passages.delete(id);
+    }
+    this.documents.delete(documentId);
+  }
+
+  /**
+   * Retrieves the passages for a query within the token budget: pinned
+   * documents first, then the best BM25 matches
+   * @param {string} query - User turn (free text)
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Overrides topK (pinned passages do not count)
+   * @returns {Array<Object>} Passages with their score, pinned and best first
+   */
+  search(query, { limit = this.topK } = {}) {
+    const pinnedIds = new Set(
+      Array.from(this.documents.values())
+        .filter((d) => d.pinned)
+        .flatMap((d) => d.passageIds)
+    );
+    const matches = this.index
+      .search(query, { limit: limit + pinnedIds.size })
+      .filter(({ id, score }) => !pinnedIds.has(id) && score >= this.minScore)
+      .slice(0, limit);
+
+    const results = [];
+    let tokens = 0;
+    const candidates = [
+      ...Array.from(pinnedIds, (id) => ({ id, score: null, pinned: true })),
+      ...matches,
+    ];
+    for (const { id, score, pinned = false } of candidates) {
+      const passage = this.passages.get(id);
+      const cost = countTokens(passage.text);
+      if (results.length > 0 && tokens + cost > this.maxTokens) break;
+      tokens += cost;
+      results.push({
+        ...passage,
+        pinned,
+        score: score === null ? null : Math.round(score * 1000) / 1000,
+      });
+    }
+    return results;
+  }
+
+  describe() {
+    return {
+      directory: this.directory,
+      documents: this.documents.size,
+      pinnedDocuments: Array.from(this.documents.values()).filter(
+        (d) => d.pinned
+      ).length,
+      passages: this.passages.size,
+      topK: this.topK,
+      minScore: this.minScore,
+      lastLoadedAt: this.lastLoadedAt,
+    };
+  }
+}
+
+export default KnowledgeBase;
@@ -0,0 +1,330 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { writeFileAtomic } from "../../utils/jsonFile.js";
+import { parseDocument, SUPPORTED_EXTENSIONS } from "./documentParser.js";
+
+const META_FILE = ".knowledge.json";
+const VERSIONS_DIR = ".versions";
+
+/**
+ * Raised for invalid admin operations on knowledge documents; `statusCode`
+ * is the HTTP status the API should answer with
+ */
+export class KnowledgeDocumentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "KnowledgeDocumentError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Knowledge Repository: the documents on disk plus their metadata (version,
+ * active, pinned) and an archive of every replaced or deleted version.
+ *
+ * Layout inside `directory`:
+ *   planes.md, faq.json, ...       live documents (what the knowledge base indexes)
+ *   .knowledge.json                metadata per document id
+ *   .versions/<id>/v<N><ext>       archived versions
+ */
+class KnowledgeRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Knowledge directory
+   */
+  constructor({ directory }) {
+    this.directory = directory;
+    this.meta = {};
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Reads the metadata file (missing entries default to version 1, active)
+   * @returns {Promise<KnowledgeRepository>}
+   */
+  async load() {
+    try {
+      this.meta = JSON.parse(
+        await fs.readFile(path.join(this.directory, META_FILE), "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[knowledge] Could not read ${META_FILE}:`, error.message);
+      }
+      this.meta = {};
+    }
+    return this;
+  }
+
+  /**
+   * Metadata of a document, with defaults for files added by hand
+   * @param {string} id - Document id (path relative to the directory)
+   * @returns {{version: number, active: boolean, pinned: boolean, updatedAt: string|null, versions: Array<Object>}}
+   */
+  getMeta(id) {
+    return {
+      version: 1,
+      active: true,
+      pinned: false,
+      updatedAt: null,
+      versions: [],
+      ...this.meta[id],
+    };
+  }
+
+  /**
+   * Validates a document id: a relative path with a supported extension
+   * that stays inside the directory and outside the hidden files
+   * @param {string} id - Document id
+   * @returns {string} Normalized id
+   * @throws {KnowledgeDocumentError}
+   */
+  validateId(id) {
+    const normalized = path.posix.normalize(String(id || "").replace(/\\/g, "/"));
+    if (
+      !id ||
+      normalized.startsWith("../") ||
+      path.posix.isAbsolute(normalized) ||
+      normalized.split("/").some((part) => part.startsWith("."))
+    ) {
+      throw new KnowledgeDocumentError(`Invalid document id "${id}"`);
+    }
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(normalized).toLowerCase())) {
+      throw new KnowledgeDocumentError(
+        `Unsupported document type; use one of ${SUPPORTED_EXTENSIONS.join(", ")}`
+      );
+    }
+    return normalized;
+  }
+
+  fileFor(id) {
+    return path.join(this.directory, ...id.split("/"));
+  }
+
+  versionFileFor(id, version) {
+    return path.join(
+      this.directory,
+      VERSIONS_DIR,
+      encodeURIComponent(id),
+      `v${version}${path.extname(id)}`
+    );
+  }
+
+  async exists(id) {
+    try {
+      await fs.access(this.fileFor(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Lists the live documents with their metadata
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.directory, { recursive: true });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    const documents = [];
+    for (const file of files.sort()) {
+      const id = file.split(path.sep).join("/");
+      if (id.split("/").some((part) => part.startsWith("."))) continue;
+      if (!SUPPORTED_EXTENSIONS.includes(path.extname(id).toLowerCase())) continue;
+      const stats = await fs.stat(this.fileFor(id));
+      const { versions, ...meta } = this.getMeta(id);
+      documents.push({
+        id,
+        ...meta,
+        updatedAt: meta.updatedAt || stats.mtime.toISOString(),
+        size: stats.size,
+        archivedVersions: versions.length,
+      });
+    }
+    return documents;
+  }
+
+  /**
+   * Reads a document, or one of its archived versions (also after deletion)
+   * @param {string} id - Document id
+   * @param {number} [version] - Archived version number
+   * @returns {Promise<{id: string, version: number, content: string}>}
+   * @throws {KnowledgeDocumentError} 404 when the document or version does not exist
+   */
+  async read(id, version) {
+    id = this.validateId(id);
+    const meta = this.getMeta(id);
+    if (version === undefined && meta.deletedAt) {
+      throw new KnowledgeDocumentError(`Document "${id}" not found`, 404);
+    }
+    const current =
+      !meta.deletedAt &&
+      (version === undefined || Number(version) === meta.version);
+    const file = current ? this.fileFor(id) : this.versionFileFor(id, Number(version));
+    try {
+      return {
+        id,
+        version: current ? meta.version : Number(version),
+        content: await fs.readFile(file, "utf8"),
+      };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      throw new KnowledgeDocumentError(
+        current
+          ? `Document "${id}" not found`
+          : `Version ${version} of "${id}" not found`,
+        404
+      );
+    }
+  }
+
+  /**
+   * Creates a new document. Re-creating a deleted id continues its version
+   * numbering so the archive is never overwritten.
+   * @param {string} id - Document id
+   * @param {string} content - Document content
+   * @param {Object} [options]
+   * @param {boolean} [options.active] - Whether the chat may use it
+   * @param {boolean} [options.pinned] - Whether it is injected on every turn
+   * @returns {Promise<Object>} Metadata of the created document
+   */
+  create(id, content, { active = true, pinned = false } = {}) {
+    return this.enqueue(async () => {
+      id = this.validateId(id);
+      this.validateContent(id, content);
+      if (await this.exists(id)) {
+        throw new KnowledgeDocumentError(`Document "${id}" already exists`, 409);
+      }
+      await writeFileAtomic(this.fileFor(id), content);
+      const previous = this.meta[id];
+      this.meta[id] = {
+        version: previous ? previous.version + 1 : 1,
+        active: !!active,
+        pinned: !!pinned,
+        updatedAt: new Date().toISOString(),
+        versions: previous?.versions || [],
+      };
+      await this.saveMeta();
+      return { id, ...this.meta[id] };
+    });
+  }
+
+  /**
+   * Updates a document. New content (or a restored version) archives the
+   * current one and bumps the version; flags alone keep the version.
+   * @param {string} id - Document id
+   * @param {Object} changes
+   * @param {string} [changes.content] - New content
+   * @param {number} [changes.restoreVersion] - Archived version to make current again
+   * @param {boolean} [changes.active] - Whether the chat may use it
+   * @param {boolean} [changes.pinned] - Whether it is injected on every turn
+   * @returns {Promise<Object>} Updated metadata
+   */
+  update(id, { content, restoreVersion, active, pinned } = {}) {
+    return this.enqueue(async () => {
+      id = this.validateId(id);
+      if (!(await this.exists(id))) {
+        throw new KnowledgeDocumentError(`Document "${id}" not found`, 404);
+      }
+      const meta = this.getMeta(id);
+
+      let nextContent = content;
+      if (restoreVersion !== undefined) {
+        nextContent = (await this.read(id, restoreVersion)).content;
+      }
+      if (nextContent !== undefined) {
+        this.validateContent(id, nextContent);
+        await this.archive(id, meta);
+        await writeFileAtomic(this.fileFor(id), nextContent);
+        meta.version += 1;
+      }
+      if (active !== undefined) meta.active = !!active;
+      if (pinned !== undefined) meta.pinned = !!pinned;
+      meta.updatedAt = new Date().toISOString();
+
+      this.meta[id] = meta;
+      await this.saveMeta();
+      return { id, ...meta };
+    });
+  }
+
+  /**
+   * Deletes a live document; its last version stays in the archive and its
+   * metadata is kept (with `deletedAt`) so old versions remain readable
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} Metadata of the deleted document
+   */
+  remove(id) {
+    return this.enqueue(async () => {
+      id = this.validateId(id);
+      if (!(await this.exists(id))) {
+        throw new KnowledgeDocumentError(`Document "${id}" not found`, 404);
+      }
+      const meta = this.getMeta(id);
+      await this.archive(id, meta);
+      await fs.unlink(this.fileFor(id));
+      this.meta[id] = { ...meta, deletedAt: new Date().toISOString() };
+      await this.saveMeta();
+      return { id, ...this.meta[id] };
+    });
+  }
+
+  /**
+   * Archived versions of a document, oldest first
+   * @param {string} id - Document id
+   * @returns {Array<{version: number, archivedAt: string, size: number}>}
+   */
+  versions(id) {
+    return this.getMeta(this.validateId(id)).versions;
+  }
+
+  validateContent(id, content) {
+    if (typeof content !== "string" || content.trim().length === 0) {
+      throw new KnowledgeDocumentError("Document content must be a non-empty string");
+    }
+    let parsed;
+    try {
+      parsed = parseDocument(id, content);
+    } catch (error) {
+      throw new KnowledgeDocumentError(`Invalid document: ${error.message}`);
+    }
+    if (parsed.sections.length === 0) {
+      throw new KnowledgeDocumentError("Document has no readable text");
+    }
+  }
+
+  async archive(id, meta) {
+    const current = await fs.readFile(this.fileFor(id), "utf8");
+    const file = this.versionFileFor(id, meta.version);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, current, "utf8");
+    meta.versions = [
+      ...meta.versions.filter((v) => v.version !== meta.version),
+      {
+        version: meta.version,
+        archivedAt: new Date().toISOString(),
+        size: Buffer.byteLength(current),
+      },
+    ];
+  }
+
+  saveMeta() {
+    return writeFileAtomic(
+      path.join(this.directory, META_FILE),
+      JSON.stringify(this.meta, null, 2)
+    );
+  }
+
+  // Mutations are serialized so versions and metadata never interleave
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default KnowledgeRepository;
@@ -0,0 +1,231 @@
+import path from "path";
+
+/**
+ * Parsers that turn knowledge documents into titled sections of plain text.
+ * Supported formats: Markdown (.md, .markdown), HTML (.html, .htm) and JSON.
+ */
+
+export const SUPPORTED_EXTENSIONS = [".md", ".markdown", ".html", ".htm", ".json"];
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  aacute: "á",
+  eacute: "é",
+  iacute: "í",
+  oacute: "ó",
+  uacute: "ú",
+  ntilde: "ñ",
+  Aacute: "Á",
+  Eacute: "É",
+  Iacute: "Í",
+  Oacute: "Ó",
+  Uacute: "Ú",
+  Ntilde: "Ñ",
+  uuml: "ü",
+  iquest: "¿",
+  iexcl: "¡",
+};
+
+const collapse = (text) =>
+  text
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity] ?? match;
+  });
+
+/**
+ * Removes Markdown syntax that carries no meaning for retrieval
+ * @param {string} text - Markdown text
+ * @returns {string}
+ */
+const stripMarkdown = (text) =>
+  text
+    .replace(/```[\s\S]*?```/g, (block) => block.replace(/```\w*/g, ""))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*[-*+]\s+/gm, "- ")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/[*_`~]+/g, "")
+    .replace(/^\s*\|?(\s*:?-+:?\s*\|)+\s*$/gm, "")
+    .replace(/\|/g, " ");
+
+/**
+ * Splits Markdown into sections at headings (levels 1-3)
+ * @param {string} raw - File content
+ * @returns {{title: string|null, sections: Array<{heading: string|null, text: string}>}}
+ */
+export const parseMarkdown = (raw) => {
+  let body = raw.replace(/\r\n/g, "\n");
+  let title = null;
+
+  // Front matter: only "title" is used
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (frontMatter) {
+    title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || null;
+    body = body.slice(frontMatter[0].length);
+  }
+
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  for (const line of body.split("\n")) {
+    const heading = line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      // The first level-1 heading is the document title, not a section name
+      if (!title && heading[1].length === 1) {
+        title = heading[2];
+        current = { heading: null, lines: [] };
+        continue;
+      }
+      current = { heading: heading[2], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return {
+    title,
+    sections: sections
+      .map(({ heading, lines }) => ({
+        heading,
+        text: collapse(stripMarkdown(lines.join("\n"))),
+      }))
+      .filter((s) => s.text),
+  };
+};
+
+/**
+ * Extracts visible text from HTML, split into sections at h1-h3
+ * @param {string} raw - File content
+ * @returns {{title: string|null, sections: Array<{heading: string|null, text: string}>}}
+ */
+export const parseHtml = (raw) => {
+  const cleaned = raw
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|svg|nav|footer)\b[\s\S]*?<\/\1>/gi, "");
+  const toText = (html) =>
+    collapse(
+      decodeEntities(
+        html
+          .replace(/<br\s*\/?>/gi, "\n")
+          .replace(/<\/(p|div|li|tr|section|article|ul|ol|table)>/gi, "\n")
+          .replace(/<li\b[^>]*>/gi, "- ")
+          .replace(/<[^>]+>/g, " ")
+      )
+    );
+
+  const pageTitle = cleaned.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const body = cleaned
+    .replace(/<head\b[\s\S]*?<\/head>/i, "")
+    .replace(/<title\b[\s\S]*?<\/title>/i, "");
+
+  const sections = [];
+  const headingPattern = /<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let heading = null;
+  let lastIndex = 0;
+  let firstH1 = null;
+  for (const match of body.matchAll(headingPattern)) {
+    sections.push({ heading, text: toText(body.slice(lastIndex, match.index)) });
+    heading = toText(match[2]);
+    if (!firstH1 && match[1] === "1") firstH1 = heading;
+    lastIndex = match.index + match[0].length;
+  }
+  sections.push({ heading, text: toText(body.slice(lastIndex)) });
+
+  return {
+    title: (pageTitle && toText(pageTitle[1])) || firstH1,
+    sections: sections.filter((s) => s.text),
+  };
+};
+
+const ENTRY_HEADING_FIELDS = ["heading", "title", "question", "name"];
+const ENTRY_TEXT_FIELDS = ["text", "content", "answer", "description", "body"];
+
+const entryToSection = (entry) => {
+  if (typeof entry === "string") return { heading: null, text: entry };
+  if (!entry || typeof entry !== "object") return null;
+
+  const heading = ENTRY_HEADING_FIELDS.map((f) => entry[f]).find(
+    (v) => typeof v === "string"
+  );
+  let text = ENTRY_TEXT_FIELDS.map((f) => entry[f]).find(
+    (v) => typeof v === "string"
+  );
+  if (text === undefined) {
+    // No known text field: fall back to "key: value" lines
+    text = Object.entries(entry)
+      .filter(([key, value]) => !ENTRY_HEADING_FIELDS.includes(key) && value != null)
+      .map(([key, value]) =>
+        `${key}: ${Array.isArray(value) ? value.join(", ") : typeof value === "object" ? JSON.stringify(value) : value}`
+      )
+      .join("\n");
+  }
+  return { heading: heading || null, text: collapse(String(text)) };
+};
+
+/**
+ * Reads a JSON document. Accepted shapes:
+ * - `[{ question, answer }]` or `[{ title, content }]` (one section per entry)
+ * - `{ title, sections|entries|faqs: [...] }`
+ * - `{ title, content }` (a single section)
+ * @param {string} raw - File content
+ * @returns {{title: string|null, sections: Array<{heading: string|null, text: string}>}}
+ */
+export const parseJson = (raw) => {
+  const data = JSON.parse(raw);
+  const entries = Array.isArray(data)
+    ? data
+    : data.sections || data.entries || data.faqs || [data];
+  if (!Array.isArray(entries)) {
+    throw new Error("JSON knowledge must be a list of entries");
+  }
+  return {
+    title: Array.isArray(data) ? null : data.title || null,
+    sections: entries
+      .map(entryToSection)
+      .filter((s) => s && s.text),
+  };
+};
+
+/**
+ * Parses a knowledge document by extension
+ * @param {string} file - File name or path (only the extension is used)
+ * @param {string} raw - File content
+ * @returns {{title: string, sections: Array<{heading: string|null, text: string}>}}
+ * @throws {Error} When the format is not supported or the content is invalid
+ */
+export const parseDocument = (file, raw) => {
+  const extension = path.extname(file).toLowerCase();
+  let parsed;
+  if (extension === ".md" || extension === ".markdown") {
+    parsed = parseMarkdown(raw);
+  } else if (extension === ".html" || extension === ".htm") {
+    parsed = parseHtml(raw);
+  } else if (extension === ".json") {
+    parsed = parseJson(raw);
+  } else {
+    throw new Error(`Unsupported knowledge format "${extension}"`);
+  }
+  return {
+    ...parsed,
+    title: parsed.title || path.basename(file, extension),
+  };
+};
@@ -0,0 +1,100 @@
+import { promises as fs } from "fs";
+import { createJsonWriter } from "../../utils/jsonFile.js";
+
+// A session id can be reused after the session ended; each lead keeps its entry
+const entryKey = (session) => `${session.sessionId}@${session.lead.createdAt}`;
+
+/**
+ * Lead Archive: keeps the leads of sessions that ended (expired after the
+ * idle TTL or deleted) so the end-of-fair export still includes them. Each
+ * entry is a trimmed session snapshot (metadata, lead and the visitor's own
+ * messages), the shape buildLeadRows reads.
+ */
+class LeadArchive {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file where archived leads are persisted (memory only when omitted)
+   */
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.entries = new Map(); // sessionId@lead.createdAt -> snapshot
+    this.writer = createJsonWriter(this.file, "leads");
+  }
+
+  /**
+   * Restores persisted leads
+   * @returns {Promise<number>} Number of leads loaded
+   */
+  async load() {
+    if (!this.file) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      for (const entry of data.leads || []) this.entries.set(entryKey(entry), entry);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[leads] Could not read ${this.file}:`, error.message);
+      }
+    }
+    return this.entries.size;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Archives the lead of a session that is going away
+   * @param {Object} session - Session record
+   * @param {string} reason - Why the session ended (expired, deleted)
+   * @returns {boolean} Whether the session had a lead to archive
+   */
+  archive(session, reason) {
+    if (!session?.lead) return false;
+    this.entries.set(entryKey(session), {
+      sessionId: session.sessionId,
+      previousSessionId: session.previousSessionId || null,
+      personaId: session.personaId || null,
+      createdAt: session.createdAt || null,
+      lastActivity: session.lastActivity || null,
+      turnCount: session.turnCount || 0,
+      summary: session.summary || null,
+      history: (session.history || []).filter((m) => m.role === "user"),
+      lead: session.lead,
+      endedAt: new Date().toISOString(),
+      endReason: reason,
+    });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Archived leads plus the live sessions, without listing a lead twice
+   * @param {Array<Object>} liveSessions - Sessions still in the store
+   * @returns {Array<Object>}
+   */
+  withLiveSessions(liveSessions) {
+    const live = new Set(
+      liveSessions.filter((session) => session.lead).map(entryKey)
+    );
+    return [
+      ...Array.from(this.entries.entries())
+        .filter(([key]) => !live.has(key))
+        .map(([, entry]) => entry),
+      ...liveSessions,
+    ];
+  }
+
+  save() {
+    return this.writer.save({ leads: Array.from(this.entries.values()) });
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  describe() {
+    return { archived: this.entries.size, persisted: !!this.file };
+  }
+}
+
+export default LeadArchive;
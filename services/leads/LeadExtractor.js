@@ -0,0 +1,402 @@
+// Keyword tables are matched on normalized text (lowercase, no accents)
+const SECTORS = {
+  supermercado: [
+    "supermercado", "minimarket", "minimercado", "market", "abarrotes",
+    // "super" alone is usually the adverb ("es súper fácil")
+    "un super", "mi super", "nuestro super",
+  ],
+  restaurante: [
+    "restaurante", "restaurant", "cafeteria", "polleria", "pizzeria",
+    "comida rapida", "heladeria", "bar",
+  ],
+  ferreteria: ["ferreteria", "ferreteros", "materiales de construccion"],
+  tienda: [
+    "tienda", "boutique", "almacen", "comercio", "libreria", "farmacia",
+    "licoreria", "bazar",
+  ],
+  distribuidora: ["distribuidora", "distribucion", "mayorista", "distribuimos"],
+  importadora: ["importadora", "importamos", "importacion", "importador"],
+};
+
+const TOOLS = {
+  papel: [
+    "papel", "cuaderno", "a mano", "manual", "manualmente", "libreta", "talonario",
+  ],
+  excel: [
+    "excel", "hoja de calculo", "hojas de calculo", "planilla", "planillas",
+    "google sheets",
+  ],
+  sistema: ["sap", "odoo", "quickbooks"],
+};
+// Generic words only count when the visitor says they use one, not when they
+// ask about ours ("quiero saber más del sistema")
+const OWN_SYSTEM =
+  /\b(?:uso|usamos|utilizo|utilizamos|tengo|tenemos|trabajo con|trabajamos con|mi|nuestro|nuestra)\s+(?:(?:un|una|el|la|otro|otra)\s+)?(?:sistema|software|programa|aplicacion)\b/;
+
+const PAIN_AREAS = {
+  ventas: ["ventas", "vender", "caja", "punto de venta"],
+  inventario: ["inventario", "inventarios", "stock", "existencias", "mercaderia"],
+  facturacion: ["facturacion", "facturas", "facturar"],
+  compras: ["compras", "proveedores"],
+  contabilidad: ["contabilidad", "impuestos", "contable"],
+  finanzas: ["finanzas", "flujo de caja", "gastos", "ganancias"],
+  cobranzas: ["cobranzas", "cobrar", "cuentas por cobrar", "deudas"],
+  reportes: ["reportes", "informes", "indicadores"],
+};
+
+const PAIN_MARKERS =
+  /\b(problema|problemas|dificil|complica|complicado|cuesta|desorden|preocupa|preocupan|pierdo|perdemos|falla|lento|error|errores|necesito|necesitamos|mejorar|controlar|no se|no sabemos|quisiera|quiero)\b/;
+const PAIN_QUESTION = /(que area|problemas?|dificultades|te cuesta|les cuesta)/;
+
+const PLANS = [
+  ["Estándar Facturador", /\bestandar facturador\b/],
+  ["Estándar", /\bplan estandar\b|\bel estandar\b|\bestandar\b/],
+  ["Empresarial", /\bempresarial\b/],
+  // "a medida que crece" is "as it grows", not a custom plan
+  ["Personalizado", /\bpersonalizado\b|\ba medida\b(?!\s+que\b)/],
+];
+// A meeting request needs an explicit intent: a bare "demo" or "asesora" is
+// not one ("¿Tienen una demo en video?", "Hola asesora"), and each request
+// reaches the CRM as a meeting.requested webhook
+const MEETING_TOPIC =
+  "(?:agendar|agendarme|agendarnos|reunion|reunirnos|reunirme|cita|demo|demostracion|llamada|visita|asesor|asesora|vendedor)";
+const MEETING_INTENT = new RegExp(
+  `\\b(?:quiero|quisiera|queremos|quisieramos|podemos|podriamos|puedo|podria|pueden|podrian|me gustaria|nos gustaria|necesito|necesitamos|deseo|solicito)\\b[^.!?]{0,40}?\\b${MEETING_TOPIC}\\b`
+);
+const MEETING_DIRECT =
+  /\b(?:llamenme|llamame|contactenme|contactame|agendemos|agendame|agendenme|que me (?:llamen|contacten|visiten)|me (?:pueden |podrian )?(?:llamar|contactar|visitar))\b/;
+const NO_MEETING = /\bno (quiero|necesito|hace falta)\b/;
+const PRICING = /\b(precio|precios|cuanto cuesta|cuanto vale|costo|costos|tarifa|planes)\b/;
+
+// Words that end a captured name or company ("me llamo Ana y tengo...")
+const NAME_STOPWORDS = new Set(
+  ("y e de del la el los las con en que pero tengo soy trabajo mi mis un una " +
+    "por para somos estoy desde").split(" ")
+);
+// Business names keep their articles ("Ferretería El Tornillo")
+const COMPANY_STOPWORDS = new Set(
+  ("y e que pero con en por para tengo soy trabajo somos estoy desde " +
+    "llevamos usamos vendemos tenemos").split(" ")
+);
+// Capitalized words after "Soy" that are roles, not names ("Soy Gerente de...")
+const NOT_NAMES = new Set(
+  ("dueño dueña gerente encargado encargada administrador administradora " +
+    "contador contadora el la de del un una muy nuevo nueva cliente").split(" ")
+);
+
+export const normalizeText = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const hasKeyword = (text, keyword) =>
+  new RegExp(
+    `(^|[^a-z0-9])${keyword.replace(/\s+/g, "\\s+")}([^a-z0-9]|$)`
+  ).test(text);
+
+const findCategory = (text, table) =>
+  Object.keys(table).find((key) =>
+    table[key].some((keyword) => hasKeyword(text, keyword))
+  ) || null;
+
+// Fields that describe the visitor; a question only fills them when empty
+// ("Tengo una ferretería. ¿Sirve también para un restaurante?")
+const DESCRIPTIVE_FIELDS = ["name", "company", "sector", "currentTool"];
+
+// "¿...?" spans and sentences ending in "?"
+const QUESTIONS = /¿[^?]*\?|[^.!?¿\n]*\?/g;
+
+// Dates typed with dashes look like phone numbers ("2023-10-19")
+const DATE_LIKE = /^(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}-\d{1,2}-\d{4})$/;
+
+// A digit run is only a phone with a "+" prefix or a cue right before it;
+// amounts and quantities ("2500000 bolivianos al año") never are
+const PHONE_CANDIDATE = /\+?\d[\d\s-]{5,16}\d/g;
+const PHONE_CUE =
+  /\b(?:telefono|tel|fono|cel|celular|movil|numero|nro|whatsapp|wsp|llamame|llamenme|llamarme|llamarnos)\b/;
+const PHONE_CUE_WINDOW = 30;
+const AMOUNT_UNIT =
+  /^\s*(?:bolivianos|bs\b|\$us|\$|usd\b|dolares|soles|pesos|unidades|productos|clientes)/;
+
+const capitalize = (words) =>
+  words
+    .map((w) => (w === w.toLowerCase() ? w[0].toUpperCase() + w.slice(1) : w))
+    .join(" ");
+
+/**
+ * Takes up to `max` words from the start of `text`, stopping at connectors
+ * @param {string} text - Text right after the trigger phrase
+ * @param {number} max - Maximum words
+ * @param {Set<string>} [stopwords] - Words that end the capture
+ * @returns {Array<string>}
+ */
+const takeWords = (text, max, stopwords = NAME_STOPWORDS) => {
+  const words = [];
+  for (const word of text.trim().split(/\s+/)) {
+    const clean = word.replace(/[^\p{L}\p{N}&'.-]/gu, "").replace(/\.$/, "");
+    if (!clean || stopwords.has(normalizeText(clean))) break;
+    words.push(clean);
+    if (words.length === max || /[,.;!?]$/.test(word)) break;
+  }
+  return words;
+};
+
+/**
+ * Lead Extractor: rule-based extraction of the visitor's data from each
+ * user turn, merged into `session.lead`. Rules are deterministic and run in
+ * the request path, so the lead is always up to date when the turn ends.
+ */
+class LeadExtractor {
+  /**
+   * Extracts whatever lead fields a single message mentions
+   * @param {string} message - User message
+   * @param {Object} [context]
+   * @param {string} [context.previousAssistant] - Assistant message the user is answering
+   * @returns {Object} Partial lead (only the fields found)
+   */
+  extract(message, context = {}) {
+    return this.extractDetails(message, context).found;
+  }
+
+  /**
+   * extract(), plus which descriptive fields came only from questions
+   * @param {string} message - User message
+   * @param {Object} [context] - See extract()
+   * @returns {{found: Object, asked: Array<string>}}
+   */
+  extractDetails(message, { previousAssistant = "" } = {}) {
+    const raw = String(message || "");
+    const text = normalizeText(raw);
+    const questions = (raw.match(QUESTIONS) || []).join(" ");
+    const statements = raw.replace(QUESTIONS, " ");
+    const found = {};
+    const asked = [];
+
+    // Statements describe the visitor; questions only when nothing else does
+    const stated = this.describeVisitor(statements);
+    const inQuestions = this.describeVisitor(questions);
+    for (const field of DESCRIPTIVE_FIELDS) {
+      if (stated[field]) {
+        found[field] = stated[field];
+      } else if (inQuestions[field]) {
+        found[field] = inQuestions[field];
+        asked.push(field);
+      }
+    }
+
+    const answeringPainQuestion = PAIN_QUESTION.test(
+      normalizeText(previousAssistant)
+    );
+    if (PAIN_MARKERS.test(text) || answeringPainQuestion) {
+      const areas = Object.keys(PAIN_AREAS).filter((area) =>
+        PAIN_AREAS[area].some((k) => hasKeyword(text, k))
+      );
+      if (areas.length) found.painAreas = areas;
+    }
+
+    const plan = PLANS.find(([, pattern]) => pattern.test(text));
+    if (plan) found.planInterest = plan[0];
+    if (plan || PRICING.test(text)) found.askedPricing = true;
+
+    if (
+      (MEETING_INTENT.test(text) || MEETING_DIRECT.test(text)) &&
+      !NO_MEETING.test(text)
+    ) {
+      found.meetingRequested = true;
+    }
+
+    const email = raw.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+    if (email) found.email = email[0].toLowerCase();
+
+    const phone = this.extractPhone(raw);
+    if (phone) found.phone = phone;
+
+    return { found, asked };
+  }
+
+  /**
+   * @param {string} raw - User message as typed
+   * @returns {string|null} Phone number, only when the visitor gives it as one
+   */
+  extractPhone(raw) {
+    const text = raw.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "");
+    for (const match of text.matchAll(PHONE_CANDIDATE)) {
+      const candidate = match[0].trim();
+      if (
+        candidate.replace(/\D/g, "").length < 7 ||
+        DATE_LIKE.test(candidate) ||
+        AMOUNT_UNIT.test(normalizeText(text.slice(match.index + match[0].length)))
+      ) {
+        continue;
+      }
+      const before = normalizeText(
+        text.slice(Math.max(0, match.index - PHONE_CUE_WINDOW), match.index)
+      );
+      if (candidate.startsWith("+") || PHONE_CUE.test(before)) {
+        return candidate.replace(/[\s-]+/g, " ");
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Descriptive fields (name, company, sector, current tool) in a text
+   * @param {string} raw - Text as typed
+   * @returns {Object}
+   */
+  describeVisitor(raw) {
+    const text = normalizeText(raw);
+    return {
+      name: this.extractName(raw),
+      company: this.extractCompany(raw),
+      sector: findCategory(text, SECTORS),
+      currentTool:
+        findCategory(text, TOOLS) || (OWN_SYSTEM.test(text) ? "sistema" : null),
+    };
+  }
+
+  /**
+   * @param {string} raw - User message as typed
+   * @returns {string|null} Visitor's name
+   */
+  extractName(raw) {
+    const explicit = raw.match(/\b(?:me llamo|mi nombre es)\s+([^\n]+)/i);
+    if (explicit) {
+      const words = takeWords(explicit[1], 3);
+      if (words.length) return capitalize(words);
+    }
+    // "Soy Ana Pérez" only counts with a capitalized name, not "soy dueño"
+    const intro = raw.match(/\b[Ss]oy\s+(\p{Lu}[^\n]+)/u);
+    if (intro) {
+      const words = takeWords(intro[1], 3).filter((w) => /^\p{Lu}/u.test(w));
+      if (words.length && !NOT_NAMES.has(normalizeText(words[0]))) {
+        return words.join(" ");
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} raw - User message as typed
+   * @returns {string|null} Business name
+   */
+  extractCompany(raw) {
+    const patterns = [
+      /\b(?:mi|nuestra|nuestro)\s+(?:empresa|negocio|tienda|ferreter[ií]a|restaurante|distribuidora|importadora|marca)\s+(?:se llama|es)\s+["“']?([^\n"”]+)/i,
+      /\b(?:trabajo en|de la empresa|represento a)\s+["“']?(\p{Lu}[^\n"”]+)/iu,
+    ];
+    // "Soy Rosa Díaz de Bodega Rosita", but not "Soy Gerente de Ventas"
+    if (this.extractName(raw)) {
+      patterns.push(
+        /\b[Ss]oy\s+\p{Lu}\p{L}*(?:\s+\p{Lu}\p{L}*)?\s+de\s+(\p{Lu}[^\n"”]+)/u
+      );
+    }
+    for (const pattern of patterns) {
+      const match = raw.match(pattern);
+      if (!match) continue;
+      const words = takeWords(match[1], 5, COMPANY_STOPWORDS);
+      if (/^(el|la|los|las)$/i.test(words[0])) words.shift();
+      if (words.length) {
+        const company = words.join(" ");
+        return company[0].toUpperCase() + company.slice(1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Merges what a new user turn reveals into the session's lead
+   * @param {Object} session - Session (its `lead` is created or updated in place)
+   * @param {string} message - User message
+   * @param {Object} [context] - See extract()
+   * @returns {Array<string>} Names of the fields that changed, plus "qualified" when
+   *   the lead has just become qualified
+   */
+  update(session, message, context = {}) {
+    const { found, asked } = this.extractDetails(message, context);
+    const { email, phone, painAreas, ...fields } = found;
+    if (Object.keys(found).length === 0) return [];
+
+    const now = new Date().toISOString();
+    const lead = (session.lead ||= {
+      name: null,
+      company: null,
+      sector: null,
+      currentTool: null,
+      painAreas: [],
+      planInterest: null,
+      askedPricing: false,
+      meetingRequested: false,
+      meetingRequestedAt: null,
+      contact: { email: null, phone: null },
+      qualifiedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const changed = [];
+    for (const [field, value] of Object.entries(fields)) {
+      if (asked.includes(field) && lead[field]) continue;
+      if (lead[field] !== value) {
+        lead[field] = value;
+        changed.push(field);
+      }
+    }
+    for (const area of painAreas || []) {
+      if (!lead.painAreas.includes(area)) {
+        lead.painAreas.push(area);
+        if (!changed.includes("painAreas")) changed.push("painAreas");
+      }
+    }
+    for (const [field, value] of Object.entries({ email, phone })) {
+      if (value && lead.contact[field] !== value) {
+        lead.contact[field] = value;
+        changed.push(field);
+      }
+    }
+
+    if (changed.includes("meetingRequested")) lead.meetingRequestedAt = now;
+    if (!lead.qualifiedAt && this.isQualified(lead)) {
+      lead.qualifiedAt = now;
+      changed.push("qualified");
+    }
+    if (changed.length) lead.updatedAt = now;
+    return changed;
+  }
+
+  /**
+   * A lead is qualified once sales can reach them and knows their business:
+   * an email or phone plus the sector or the company name
+   * @param {Object} lead - Session lead
+   * @returns {boolean}
+   */
+  isQualified(lead) {
+    const reachable = !!(lead.contact.email || lead.contact.phone);
+    return reachable && !!(lead.sector || lead.company);
+  }
+
+  /**
+   * Lead facts worth keeping when a session rolls over
+   * @param {Object|null} lead - Session lead
+   * @returns {Array<string>}
+   */
+  facts(lead) {
+    if (!lead) return [];
+    const facts = [];
+    if (lead.name) facts.push(`Nombre: ${lead.name}`);
+    if (lead.company) facts.push(`Empresa: ${lead.company}`);
+    if (lead.sector) facts.push(`Rubro: ${lead.sector}`);
+    if (lead.currentTool) facts.push(`Herramienta actual: ${lead.currentTool}`);
+    if (lead.painAreas.length) {
+      facts.push(`Áreas problemáticas: ${lead.painAreas.join(", ")}`);
+    }
+    if (lead.planInterest) facts.push(`Plan de interés: ${lead.planInterest}`);
+    if (lead.meetingRequested) facts.push("Pidió una reunión o demo");
+    const contact = [lead.contact.email, lead.contact.phone].filter(Boolean);
+    if (contact.length) facts.push(`Contacto: ${contact.join(", ")}`);
+    return facts;
+  }
+}
+
+export default LeadExtractor;
@@ -0,0 +1,159 @@
+// Column order of every export format; CRM import mappings rely on it
+export const LEAD_EXPORT_COLUMNS = [
+  "sessionId",
+  "previousSessionId",
+  "persona",
+  "sessionCreatedAt",
+  "lastActivity",
+  "leadCreatedAt",
+  "leadUpdatedAt",
+  "name",
+  "company",
+  "sector",
+  "currentTool",
+  "painAreas",
+  "planInterest",
+  "askedPricing",
+  "meetingRequested",
+  "meetingRequestedAt",
+  "email",
+  "phone",
+  "turns",
+  "transcriptSummary",
+];
+
+export const LEAD_EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+};
+
+const SUMMARY_MAX_CHARS = 280;
+
+const parseDate = (value, name) => {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid date for ${name}: ${value}`);
+  return time;
+};
+
+const truncate = (text, max) => {
+  const clean = text.replace(/\s+/g, " ").trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+};
+
+/**
+ * Short transcript summary: the rollover/memory summary when there is one,
+ * otherwise what the visitor wrote
+ * @param {Object} session - Stored session
+ * @returns {string}
+ */
+const summarizeTranscript = (session) => {
+  if (session.summary) return truncate(session.summary, SUMMARY_MAX_CHARS);
+  const userMessages = (session.history || [])
+    .filter((m) => m.role === "user")
+    .map((m) => m.content);
+  return truncate(userMessages.join(" / "), SUMMARY_MAX_CHARS);
+};
+
+/**
+ * Flattens the sessions that captured a lead into export rows, oldest lead
+ * first. `from` / `to` (ISO dates, `to` exclusive) filter on the time the
+ * lead was first captured. Throws on invalid dates.
+ * @param {Array<Object>} sessions - Stored sessions
+ * @param {Object} [query]
+ * @param {string} [query.from] - Earliest capture time
+ * @param {string} [query.to] - Capture time upper bound
+ * @returns {Array<Object>} Rows with the LEAD_EXPORT_COLUMNS keys, in order
+ */
+export const buildLeadRows = (sessions, { from, to } = {}) => {
+  const since = from !== undefined ? parseDate(from, "from") : -Infinity;
+  const before = to !== undefined ? parseDate(to, "to") : Infinity;
+
+  return sessions
+    .filter((session) => {
+      if (!session.lead) return false;
+      const captured = new Date(session.lead.createdAt).getTime();
+      return captured >= since && captured < before;
+    })
+    .sort((a, b) => a.lead.createdAt.localeCompare(b.lead.createdAt))
+    .map((session) => {
+      const { lead } = session;
+      const values = {
+        sessionId: session.sessionId,
+        previousSessionId: session.previousSessionId || null,
+        persona: session.personaId || null,
+        sessionCreatedAt: session.createdAt || null,
+        lastActivity: session.lastActivity || null,
+        leadCreatedAt: lead.createdAt,
+        leadUpdatedAt: lead.updatedAt,
+        name: lead.name,
+        company: lead.company,
+        sector: lead.sector,
+        currentTool: lead.currentTool,
+        painAreas: lead.painAreas || [],
+        planInterest: lead.planInterest,
+        askedPricing: !!lead.askedPricing,
+        meetingRequested: !!lead.meetingRequested,
+        meetingRequestedAt: lead.meetingRequestedAt || null,
+        email: lead.contact?.email || null,
+        phone: lead.contact?.phone || null,
+        turns: session.turnCount || 0,
+        transcriptSummary: summarizeTranscript(session),
+      };
+      return Object.fromEntries(
+        LEAD_EXPORT_COLUMNS.map((column) => [column, values[column] ?? null])
+      );
+    });
+};
+
+/**
+ * Escapes one CSV cell (RFC 4180). Text that a spreadsheet would run as a
+ * formula ("=HYPERLINK(...)") is prefixed with a quote; phone numbers keep
+ * their leading "+".
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join("; ") : String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()-]+$)/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes export rows
+ * @param {Array<Object>} rows - Rows from buildLeadRows
+ * @param {string} format - csv | json | ndjson
+ * @param {Object} [meta] - Extra fields for the JSON envelope
+ * @returns {string}
+ */
+export const formatLeads = (rows, format, meta = {}) => {
+  if (format === "csv") {
+    // BOM so Excel opens the UTF-8 file with ñ and accents intact
+    const lines = [
+      LEAD_EXPORT_COLUMNS.join(","),
+      ...rows.map((row) =>
+        LEAD_EXPORT_COLUMNS.map((column) => toCsvCell(row[column])).join(",")
+      ),
+    ];
+    return `\uFEFF${lines.join("\r\n")}\r\n`;
+  }
+  if (format === "ndjson") {
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+  }
+  if (format === "json") {
+    return JSON.stringify(
+      { ...meta, count: rows.length, columns: LEAD_EXPORT_COLUMNS, leads: rows },
+      null,
+      2
+    );
+  }
+  throw new Error(
+    `format must be one of: ${Object.keys(LEAD_EXPORT_FORMATS).join(", ")}`
+  );
+};
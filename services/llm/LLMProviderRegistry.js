@@ -0,0 +1,104 @@
+import OpenAIProvider from "./OpenAIProvider.js";
+import ScriptedProvider from "./ScriptedProvider.js";
+
+/**
+ * Holds the available chat completion providers and resolves the one to use
+ * for a request. Every provider implements `complete({ messages, maxTokens,
+ * temperature, tools })`, `isConfigured()` and `describe()`; providers with
+ * `supportsTools` may answer with `toolCalls` instead of content.
+ */
+class LLMProviderRegistry {
+  constructor(defaultProvider = "openai") {
+    this.providers = new Map();
+    this.defaultProvider = defaultProvider;
+  }
+
+  /**
+   * Builds the registry from environment variables:
+   * LLM_PROVIDER, LLM_MODEL, LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL,
+   * LOCAL_LLM_API_KEY, LOCAL_LLM_JSON_MODE, LOCAL_LLM_TOOLS and LLM_SCRIPT_FILE
+   * @param {Object} env - Environment variables
+   * @returns {LLMProviderRegistry}
+   */
+  static fromEnv(env = process.env) {
+    const registry = new LLMProviderRegistry(env.LLM_PROVIDER || "openai");
+
+    registry.register(
+      new OpenAIProvider({
+        name: "openai",
+        model: env.LLM_MODEL || "gpt-4o-mini",
+      })
+    );
+
+    if (env.LOCAL_LLM_BASE_URL) {
+      registry.register(
+        new OpenAIProvider({
+          name: "local",
+          model: env.LOCAL_LLM_MODEL || "llama3.1",
+          baseURL: env.LOCAL_LLM_BASE_URL,
+          apiKey: env.LOCAL_LLM_API_KEY || "not-needed",
+          requiresApiKey: false,
+          jsonMode: env.LOCAL_LLM_JSON_MODE !== "false",
+          // Most local servers do not implement function calling
+          supportsTools: env.LOCAL_LLM_TOOLS === "true",
+        })
+      );
+    }
+
+    // Only for tests and offline demos: any client could otherwise select it,
+    // and its single script position is shared by every session
+    if (env.LLM_SCRIPT_FILE || registry.defaultProvider === "scripted") {
+      registry.register(
+        new ScriptedProvider({ name: "scripted", scriptFile: env.LLM_SCRIPT_FILE })
+      );
+    }
+
+    if (!registry.has(registry.defaultProvider)) {
+      console.warn(
+        `[llm] Unknown LLM_PROVIDER "${registry.defaultProvider}", using openai`
+      );
+      registry.defaultProvider = "openai";
+    }
+
+    return registry;
+  }
+
+  /**
+   * @param {Object} provider - Provider instance with a unique `name`
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Resolves a provider by name, using the default when no name is given
+   * @param {string} [name] - Requested provider name
+   * @returns {Object|null} Provider instance, or null if the name is unknown
+   */
+  resolve(name) {
+    return this.providers.get(name || this.defaultProvider) || null;
+  }
+
+  /**
+   * @returns {Array<string>} Registered provider names
+   */
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * @returns {Object} Registry description for /health
+   */
+  describe() {
+    return {
+      default: this.defaultProvider,
+      providers: Array.from(this.providers.values()).map((p) => p.describe()),
+    };
+  }
+}
+
+export default LLMProviderRegistry;
@@ -0,0 +1,121 @@
+import OpenAI from "openai";
+
+/**
+ * Chat completion provider for the OpenAI API and any OpenAI-compatible
+ * endpoint (llama.cpp server, Ollama, LM Studio, vLLM...) reachable through `baseURL`
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name] - Name used to select the provider per request
+   * @param {string} [options.model] - Model identifier sent to the endpoint
+   * @param {string} [options.baseURL] - Endpoint URL, defaults to the public OpenAI API
+   * @param {string} [options.apiKey] - Fixed API key (takes precedence over apiKeyEnv)
+   * @param {string} [options.apiKeyEnv] - Environment variable read on every request
+   * @param {boolean} [options.requiresApiKey] - Whether a missing key means "not configured"
+   * @param {boolean} [options.jsonMode] - Send `response_format: json_object`
+   * @param {boolean} [options.supportsTools] - Whether the endpoint handles function calling
+   */
+  constructor({
+    name = "openai",
+    model = "gpt-4o-mini",
+    baseURL,
+    apiKey,
+    apiKeyEnv = "OPENAI_API_KEY",
+    requiresApiKey = true,
+    jsonMode = true,
+    supportsTools = true,
+  } = {}) {
+    this.name = name;
+    this.model = model;
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.requiresApiKey = requiresApiKey;
+    this.jsonMode = jsonMode;
+    this.supportsTools = supportsTools;
+    this.client = null;
+    this.clientKey = null;
+  }
+
+  /**
+   * Resolves the API key at call time so keys set after startup are honored
+   * @returns {string|undefined}
+   */
+  getApiKey() {
+    return this.apiKey ?? process.env[this.apiKeyEnv];
+  }
+
+  /**
+   * @returns {boolean} Whether the provider can serve requests
+   */
+  isConfigured() {
+    if (!this.requiresApiKey) return !!this.baseURL;
+    const key = this.getApiKey();
+    return !!(key && key !== "-");
+  }
+
+  /**
+   * Returns an SDK client, recreating it when the API key changes
+   * @returns {OpenAI}
+   */
+  getClient() {
+    const key = this.getApiKey() || "-";
+    if (!this.client || this.clientKey !== key) {
+      this.client = new OpenAI({
+        apiKey: key,
+        ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+      });
+      this.clientKey = key;
+    }
+    return this.client;
+  }
+
+  /**
+   * Requests a chat completion
+   * @param {Object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Prompt messages
+   * @param {number} [request.maxTokens] - Completion token limit
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {Array<Object>} [request.tools] - Function definitions the model may call
+   * @returns {Promise<{content: string|null, toolCalls: Array<{id: string, name: string, arguments: string}>, usage: Object|null, model: string}>}
+   */
+  async complete({ messages, maxTokens = 1000, temperature = 0.7, tools }) {
+    const withTools = this.supportsTools && tools?.length > 0;
+    const completion = await this.getClient().chat.completions.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(this.jsonMode ? { response_format: { type: "json_object" } } : {}),
+      ...(withTools ? { tools, tool_choice: "auto" } : {}),
+      messages,
+    });
+    const { message } = completion.choices[0];
+
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments,
+      })),
+      usage: completion.usage || null,
+      model: completion.model || this.model,
+    };
+  }
+
+  /**
+   * @returns {Object} Provider description for /health
+   */
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      baseURL: this.baseURL || null,
+      tools: this.supportsTools,
+      configured: this.isConfigured(),
+    };
+  }
+}
+
+export default OpenAIProvider;
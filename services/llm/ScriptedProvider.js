@@ -0,0 +1,126 @@
+import { readFileSync } from "fs";
+
+/**
+ * Deterministic provider for tests and offline demos. Replays a fixed list of
+ * replies in order and, once the script runs out, echoes the last user turn.
+ * A reply of the form `{ toolCalls: [{ name, arguments }] }` simulates the
+ * model calling tools.
+ */
+class ScriptedProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name] - Name used to select the provider per request
+   * @param {Array<string|Object>} [options.replies] - Replies returned in order
+   * @param {string} [options.scriptFile] - JSON file holding an array of replies
+   * @param {boolean} [options.loop] - Restart the script instead of echoing when exhausted
+   * @param {number} [options.maxRecordedCalls] - Most recent requests kept in `calls`
+   */
+  constructor({
+    name = "scripted",
+    replies = [],
+    scriptFile,
+    loop = false,
+    maxRecordedCalls = 20,
+  } = {}) {
+    this.name = name;
+    this.model = "scripted";
+    this.loop = loop;
+    this.replies = scriptFile ? this.loadScript(scriptFile) : [...replies];
+    this.position = 0;
+    // Recent requests, for tests; bounded so a long offline demo does not grow it
+    this.calls = [];
+    this.maxRecordedCalls = maxRecordedCalls;
+    this.supportsTools = true;
+    this.toolCallCount = 0;
+  }
+
+  /**
+   * Reads a script file, falling back to the echo behaviour if it is unusable
+   * @param {string} scriptFile - Path to the JSON script
+   * @returns {Array<string|Object>}
+   */
+  loadScript(scriptFile) {
+    try {
+      const parsed = JSON.parse(readFileSync(scriptFile, "utf8"));
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      console.warn(`[llm] Could not load script ${scriptFile}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Appends replies to the script
+   * @param {...(string|Object)} replies - Raw JSON strings or reply objects
+   */
+  enqueue(...replies) {
+    this.replies.push(...replies);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Returns the next scripted reply
+   * @param {Object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Prompt messages
+   * @param {Array<Object>} [request.tools] - Function definitions offered to the model
+   * @returns {Promise<{content: string|null, toolCalls: Array<Object>, usage: null, model: string}>}
+   */
+  async complete({ messages, tools }) {
+    this.calls.push({ messages, tools });
+    if (this.calls.length > this.maxRecordedCalls) this.calls.shift();
+
+    let reply;
+    if (this.position < this.replies.length) {
+      reply = this.replies[this.position++];
+      if (this.loop && this.position >= this.replies.length) this.position = 0;
+    } else {
+      const lastUser = [...messages].reverse().find((m) => m.role === "user");
+      reply = {
+        messages: [
+          {
+            text: `Recibí tu mensaje: "${lastUser?.content || ""}"`,
+            facialExpression: "smile",
+            animation: "Talking_1",
+          },
+        ],
+      };
+    }
+
+    if (reply?.toolCalls) {
+      return {
+        content: null,
+        toolCalls: reply.toolCalls.map((call) => ({
+          id: call.id || `call_${++this.toolCallCount}`,
+          name: call.name,
+          arguments:
+            typeof call.arguments === "string"
+              ? call.arguments
+              : JSON.stringify(call.arguments || {}),
+        })),
+        usage: null,
+        model: this.model,
+      };
+    }
+
+    return {
+      content: typeof reply === "string" ? reply : JSON.stringify(reply),
+      toolCalls: [],
+      usage: null,
+      model: this.model,
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      configured: true,
+      scriptedReplies: this.replies.length,
+    };
+  }
+}
+
+export default ScriptedProvider;
@@ -0,0 +1,230 @@
+import { randomInt } from "crypto";
+import { promises as fs, readFileSync } from "fs";
+import { createJsonWriter } from "../../utils/jsonFile.js";
+
+// No 0/O, 1/I/L: codes are read aloud and typed by booth staff
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Raised when a redemption code cannot be redeemed; `statusCode` is the
+ * HTTP status the API should answer with
+ */
+export class PrizeRedemptionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PrizeRedemptionError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Normalizes a code as typed by staff ("ab2-c3d" -> "AB2C3D")
+ * @param {string} code - Redemption code
+ * @returns {string}
+ */
+export const normalizeCode = (code = "") =>
+  String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Prize Inventory: stock per prize type (configured at startup) and the
+ * redemption codes handed to trivia winners. Awards are persisted so stock
+ * and codes survive restarts; remaining stock is always
+ * `configured stock - awarded`.
+ */
+class PrizeInventory {
+  /**
+   * @param {Object} options
+   * @param {Array<{id: string, name: string, stock: number}>} options.prizes - Prize types
+   * @param {string} [options.file] - JSON file where awards are persisted (memory only when omitted)
+   * @param {number} [options.codeLength] - Characters per redemption code
+   */
+  constructor({ prizes, file = null, codeLength = 6 }) {
+    this.prizes = new Map();
+    for (const prize of prizes || []) {
+      if (!prize.id || !prize.name || !Number.isInteger(prize.stock) || prize.stock < 0) {
+        throw new Error(`Prize ${prize.id || "(no id)"} needs id, name and a non-negative integer stock`);
+      }
+      this.prizes.set(prize.id, prize);
+    }
+    this.file = file;
+    this.codeLength = codeLength;
+    this.awards = new Map(); // code -> award
+    this.writer = createJsonWriter(this.file, "prizes");
+  }
+
+  /**
+   * Loads the prize types from a JSON config file
+   * @param {string} configFile - Path to the config ({ prizes: [...] })
+   * @param {Object} [options] - Extra constructor options
+   * @returns {PrizeInventory}
+   */
+  static fromFile(configFile, options = {}) {
+    const config = JSON.parse(readFileSync(configFile, "utf8"));
+    return new PrizeInventory({ ...options, prizes: config.prizes });
+  }
+
+  /**
+   * Restores persisted awards
+   * @returns {Promise<number>} Number of awards loaded
+   */
+  async load() {
+    if (!this.file) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      for (const award of data.awards || []) this.awards.set(award.code, award);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[prizes] Could not read ${this.file}:`, error.message);
+      }
+    }
+    return this.awards.size;
+  }
+
+  has(prizeId) {
+    return this.prizes.has(prizeId);
+  }
+
+  nameOf(prizeId) {
+    return this.prizes.get(prizeId)?.name || prizeId;
+  }
+
+  awardedCount(prizeId) {
+    let count = 0;
+    for (const award of this.awards.values()) {
+      if (award.prizeId === prizeId) count += 1;
+    }
+    return count;
+  }
+
+  remaining(prizeId) {
+    const prize = this.prizes.get(prizeId);
+    return prize ? Math.max(0, prize.stock - this.awardedCount(prizeId)) : 0;
+  }
+
+  isAvailable(prizeId) {
+    return this.remaining(prizeId) > 0;
+  }
+
+  /**
+   * Takes one unit of a prize out of stock and issues its redemption code
+   * @param {string} prizeId - Prize type
+   * @param {Object} [details] - Context stored with the award (sessionId, questionId...)
+   * @returns {Object|null} Award, or null when the prize is unknown or out of stock
+   */
+  award(prizeId, details = {}) {
+    if (!this.isAvailable(prizeId)) return null;
+
+    let code;
+    do {
+      code = Array.from(
+        { length: this.codeLength },
+        () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]
+      ).join("");
+    } while (this.awards.has(code));
+
+    const award = {
+      code,
+      prizeId,
+      prizeName: this.nameOf(prizeId),
+      ...details,
+      awardedAt: new Date().toISOString(),
+      redeemedAt: null,
+      redeemedBy: null,
+    };
+    this.awards.set(code, award);
+    this.save();
+    return award;
+  }
+
+  /**
+   * Looks up a code without redeeming it
+   * @param {string} code - Redemption code
+   * @returns {Object|null}
+   */
+  find(code) {
+    return this.awards.get(normalizeCode(code)) || null;
+  }
+
+  /**
+   * Marks a code as handed out at the booth
+   * @param {string} code - Redemption code
+   * @param {Object} [options]
+   * @param {string} [options.redeemedBy] - Staff member or booth
+   * @returns {Object} Redeemed award
+   * @throws {PrizeRedemptionError} 404 for unknown codes, 409 when already redeemed
+   */
+  redeem(code, { redeemedBy = null } = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+      throw new PrizeRedemptionError('"code" is required');
+    }
+    const award = this.awards.get(normalized);
+    if (!award) {
+      throw new PrizeRedemptionError(`Unknown redemption code "${normalized}"`, 404);
+    }
+    if (award.redeemedAt) {
+      const error = new PrizeRedemptionError(
+        `Code ${normalized} was already redeemed at ${award.redeemedAt}`,
+        409
+      );
+      error.award = award;
+      throw error;
+    }
+    award.redeemedAt = new Date().toISOString();
+    award.redeemedBy = redeemedBy;
+    this.save();
+    return award;
+  }
+
+  /**
+   * Stock and redemption counters per prize type
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.prizes.values()).map((prize) => {
+      const awards = Array.from(this.awards.values()).filter(
+        (a) => a.prizeId === prize.id
+      );
+      return {
+        id: prize.id,
+        name: prize.name,
+        stock: prize.stock,
+        awarded: awards.length,
+        redeemed: awards.filter((a) => a.redeemedAt).length,
+        remaining: Math.max(0, prize.stock - awards.length),
+      };
+    });
+  }
+
+  /**
+   * Most recent awards first
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum awards
+   * @returns {Array<Object>}
+   */
+  recentAwards({ limit = 20 } = {}) {
+    return Array.from(this.awards.values())
+      .sort((a, b) => b.awardedAt.localeCompare(a.awardedAt))
+      .slice(0, limit);
+  }
+
+  save() {
+    return this.writer.save({ awards: Array.from(this.awards.values()) });
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  describe() {
+    const awards = Array.from(this.awards.values());
+    return {
+      prizes: this.prizes.size,
+      awarded: awards.length,
+      redeemed: awards.filter((a) => a.redeemedAt).length,
+      persisted: !!this.file,
+    };
+  }
+}
+
+export default PrizeInventory;
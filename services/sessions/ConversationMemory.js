@@ -0,0 +1,119 @@
+import { countTokens } from "../../utils/tokenCounter.js";
+
+const SUMMARY_PROMPT = `Actualiza el resumen de una conversación entre una asesora comercial y un cliente en una feria.
+Conserva siempre: nombre del cliente, empresa, rubro, herramientas actuales, problemas mencionados, planes o módulos de interés, reuniones acordadas y progreso de la trivia.
+Sé breve (máximo 150 palabras) y responde en JSON con la forma {"summary": "..."}.`;
+
+/**
+ * Conversation Memory with a rolling summary. Raw turns are never removed
+ * from the session history; once the turns not yet summarized exceed the
+ * token budget, the older ones are condensed into `session.summary`, which
+ * the prompt builder pins after the system prompt.
+ */
+class ConversationMemory {
+  /**
+   * @param {Object} options
+   * @param {number} [options.tokenBudget] - Tokens of raw turns allowed before summarizing
+   * @param {number} [options.keepRecent] - Most recent messages always kept verbatim
+   */
+  constructor({ tokenBudget = 1500, keepRecent = 6 } = {}) {
+    this.tokenBudget = tokenBudget;
+    this.keepRecent = keepRecent;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * @param {Object} session - Session record
+   * @returns {Array<Object>} Conversation turns (user/assistant) in order
+   */
+  getTurns(session) {
+    return session.history.filter((m) => m.role !== "system");
+  }
+
+  /**
+   * @param {Object} session - Session record
+   * @returns {Array<Object>} Turns not yet folded into the summary
+   */
+  getUnsummarizedTurns(session) {
+    return this.getTurns(session).slice(session.summarizedThrough || 0);
+  }
+
+  /**
+   * @param {Object} session - Session record
+   * @returns {boolean} Whether the raw turns in context exceed the budget
+   */
+  needsSummary(session) {
+    const turns = this.getUnsummarizedTurns(session);
+    if (turns.length <= this.keepRecent) return false;
+    const tokens = turns.reduce((sum, m) => sum + countTokens(m.content), 0);
+    return tokens > this.tokenBudget;
+  }
+
+  /**
+   * Splits a session into the parts the prompt builder assembles
+   * @param {Object} session - Session record
+   * @returns {{systemMessages: Array<Object>, summary: string|null, turns: Array<Object>}}
+   */
+  getPromptParts(session) {
+    return {
+      systemMessages: session.history.filter((m) => m.role === "system"),
+      summary: session.summary || null,
+      turns: this.getUnsummarizedTurns(session),
+    };
+  }
+
+  /**
+   * Folds the older unsummarized turns into the rolling summary. Concurrent
+   * calls for the same session share one provider request.
+   * @param {Object} session - Session record (mutated in place)
+   * @param {Object} provider - LLM provider
+   * @returns {Promise<boolean>} Whether the summary was updated
+   */
+  summarize(session, provider) {
+    if (!this.inFlight.has(session.sessionId)) {
+      const run = this.runSummary(session, provider).finally(() =>
+        this.inFlight.delete(session.sessionId)
+      );
+      this.inFlight.set(session.sessionId, run);
+    }
+    return this.inFlight.get(session.sessionId);
+  }
+
+  async runSummary(session, provider) {
+    const turns = this.getUnsummarizedTurns(session);
+    const toFold = turns.slice(0, Math.max(0, turns.length - this.keepRecent));
+    if (toFold.length === 0) return false;
+
+    const transcript = toFold.map((m) => `${m.role}: ${m.content}`).join("\n");
+    try {
+      const completion = await provider.complete({
+        messages: [
+          { role: "system", content: SUMMARY_PROMPT },
+          {
+            role: "user",
+            content: `Resumen actual:\n${session.summary || "(vacío)"}\n\nNuevos mensajes:\n${transcript}`,
+          },
+        ],
+        maxTokens: 400,
+        temperature: 0.2,
+      });
+      const summary = JSON.parse(completion.content)?.summary;
+      if (typeof summary !== "string" || !summary.trim()) {
+        throw new Error("Provider returned no summary");
+      }
+
+      session.summary = summary.trim();
+      session.summarizedThrough = (session.summarizedThrough || 0) + toFold.length;
+      session.summaryUpdatedAt = new Date().toISOString();
+      return true;
+    } catch (error) {
+      console.warn(
+        `[memory] Could not summarize session ${session.sessionId}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+}
+
+export default ConversationMemory;
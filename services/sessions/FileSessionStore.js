@@ -0,0 +1,121 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { writeFileAtomic } from "../../utils/jsonFile.js";
+import MemorySessionStore from "./MemorySessionStore.js";
+
+/**
+ * File-backed session store: one JSON document per session in `directory`.
+ * Sessions are kept in memory for reads and written through on every save,
+ * so they survive restarts and nodemon reloads.
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} directory - Directory holding the session files
+   */
+  constructor(directory) {
+    super();
+    this.type = "file";
+    this.directory = directory;
+    this.pendingWrites = new Map();
+  }
+
+  /**
+   * Reads every session file into memory, skipping unreadable ones
+   * @returns {Promise<number>} Number of sessions loaded
+   */
+  async load() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.directory)).filter((f) =>
+        f.endsWith(".json")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[sessions] Could not list ${this.directory}:`, error.message);
+      }
+      return 0;
+    }
+
+    for (const file of files) {
+      try {
+        const session = JSON.parse(
+          await fs.readFile(path.join(this.directory, file), "utf8")
+        );
+        if (session?.sessionId && Array.isArray(session.history)) {
+          this.sessions.set(session.sessionId, session);
+        }
+      } catch (error) {
+        console.warn(`[sessions] Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+    return this.sessions.size;
+  }
+
+  /**
+   * Maps a session id (which comes from request bodies) to a safe file name
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Absolute file path
+   */
+  fileFor(sessionId) {
+    let name = encodeURIComponent(String(sessionId));
+    if (name.length > 150 || name.startsWith(".")) {
+      name = createHash("sha1").update(String(sessionId)).digest("hex");
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Writes the session atomically; writes for the same session are serialized
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<void>}
+   */
+  save(sessionId) {
+    super.save(sessionId);
+    const previous = this.pendingWrites.get(sessionId) || Promise.resolve();
+    const write = previous.then(() => this.writeSession(sessionId));
+    this.pendingWrites.set(sessionId, write);
+    write.finally(() => {
+      if (this.pendingWrites.get(sessionId) === write) {
+        this.pendingWrites.delete(sessionId);
+      }
+    });
+    return write;
+  }
+
+  async writeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    try {
+      await writeFileAtomic(this.fileFor(sessionId), JSON.stringify(session));
+    } catch (error) {
+      console.error(`[sessions] Failed to persist session ${sessionId}:`, error.message);
+    }
+  }
+
+  async delete(sessionId) {
+    const existed = await super.delete(sessionId);
+    await this.pendingWrites.get(sessionId);
+    try {
+      await fs.unlink(this.fileFor(sessionId));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[sessions] Failed to delete session file ${sessionId}:`, error.message);
+      }
+    }
+    return existed;
+  }
+
+  async flush() {
+    await Promise.all(this.pendingWrites.values());
+  }
+
+  describe() {
+    return { ...super.describe(), directory: this.directory };
+  }
+}
+
+export default FileSessionStore;
@@ -0,0 +1,87 @@
+/**
+ * In-memory session store. Reads are synchronous so the chat pipeline can
+ * keep working on plain arrays; persistent stores extend this class and
+ * write through on `save`.
+ *
+ * A session record looks like `{ sessionId, history: [{ role, content }], updatedAt }`.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.type = "memory";
+    this.sessions = new Map();
+  }
+
+  /**
+   * Loads persisted sessions (nothing to do in memory)
+   * @returns {Promise<number>} Number of sessions loaded
+   */
+  async load() {
+    return 0;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|undefined} Session record
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Stores a session record and persists it
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - Session record
+   * @returns {Object} The stored record
+   */
+  set(sessionId, session) {
+    this.sessions.set(sessionId, { ...session, sessionId });
+    this.save(sessionId);
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Persists the current state of a session after it was mutated in place
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<void>}
+   */
+  async save(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) session.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} Whether the session existed
+   */
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  keys() {
+    return Array.from(this.sessions.keys());
+  }
+
+  values() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Waits for pending writes (nothing pending in memory)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  describe() {
+    return { type: this.type, sessions: this.size };
+  }
+}
+
+export default MemorySessionStore;
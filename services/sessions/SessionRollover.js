@@ -0,0 +1,173 @@
+/**
+ * Raised when a turn targets a session that was rolled over and the
+ * retired-session policy is "reject"
+ */
+export class SessionRetiredError extends Error {
+  constructor(sessionId, newSessionId) {
+    super(`Session ${sessionId} was retired; continue in ${newSessionId}`);
+    this.name = "SessionRetiredError";
+    this.statusCode = 409;
+    this.sessionId = sessionId;
+    this.newSessionId = newSessionId;
+  }
+}
+
+const SUMMARY_PROMPT = `Resume la conversación anterior para poder continuarla en una nueva sesión sin perder contexto.
+Incluye, si aparecen:
+- Datos del cliente: nombre, empresa, rubro, herramientas actuales, contacto.
+- Intereses: módulos, planes, precios consultados, reunión o demo solicitada.
+- Progreso de la trivia: preguntas hechas, aciertos, nivel alcanzado y premios.
+Sé breve (máximo 120 palabras) y responde en JSON con la forma {"summary": "..."}.`;
+
+/**
+ * Session Rollover: retires a session that reached its limit and seeds the
+ * new one with a summary of the old conversation
+ */
+class SessionRollover {
+  /**
+   * @param {Object} options
+   * @param {import("./MemorySessionStore.js").default} options.store - Session store
+   * @param {string} [options.policy] - "redirect" follows retired ids to the active session, "reject" refuses them
+   * @param {Array<string>} [options.carryOverFields] - Session fields (e.g. game state) moved to the successor
+   */
+  constructor({ store, policy = "redirect", carryOverFields = [] }) {
+    this.store = store;
+    this.policy = policy === "reject" ? "reject" : "redirect";
+    this.carryOverFields = carryOverFields;
+  }
+
+  /**
+   * Resolves the session a turn should be written to
+   * @param {string} sessionId - Requested session id
+   * @returns {{sessionId: string, redirectedFrom?: string}}
+   * @throws {SessionRetiredError} When the session is retired and the policy is "reject"
+   */
+  resolve(sessionId) {
+    let current = sessionId;
+    // Follow the rollover chain; the depth guard protects against corrupted links
+    for (let depth = 0; depth < 20; depth++) {
+      const session = this.store.get(current);
+      if (!session?.rolledOverTo) break;
+      current = session.rolledOverTo;
+    }
+
+    if (current === sessionId) return { sessionId };
+    if (this.policy === "reject") {
+      throw new SessionRetiredError(sessionId, current);
+    }
+    return { sessionId: current, redirectedFrom: sessionId };
+  }
+
+  /**
+   * Summarizes a session with the LLM provider, falling back to the visitor's
+   * own recent messages when the provider does not return a usable summary
+   * @param {Object} session - Session record being retired
+   * @param {Object} provider - LLM provider
+   * @param {Array<string>} [facts] - Structured facts known about the visitor
+   * @returns {Promise<string>}
+   */
+  async summarize(session, provider, facts = []) {
+    const turns = session.history.filter((m) => m.role !== "system");
+    const factsBlock = facts.length
+      ? `\nDatos registrados:\n${facts.map((f) => `- ${f}`).join("\n")}`
+      : "";
+
+    try {
+      const completion = await provider.complete({
+        messages: [
+          { role: "system", content: SUMMARY_PROMPT },
+          {
+            role: "user",
+            content:
+              (session.summary ? `Resumen previo:\n${session.summary}\n\n` : "") +
+              turns.map((m) => `${m.role}: ${m.content}`).join("\n") +
+              factsBlock,
+          },
+        ],
+        maxTokens: 300,
+        temperature: 0.2,
+      });
+      const summary = JSON.parse(completion.content)?.summary;
+      if (typeof summary === "string" && summary.trim()) {
+        return summary.trim() + factsBlock;
+      }
+    } catch (error) {
+      console.warn(
+        `[sessions] Summary for ${session.sessionId} failed:`,
+        error.message
+      );
+    }
+
+    const recentQuestions = turns
+      .filter((m) => m.role === "user")
+      .slice(-5)
+      .map((m) => `- ${m.content.slice(0, 200)}`)
+      .join("\n");
+    return `El cliente escribió anteriormente:\n${recentQuestions}${factsBlock}`;
+  }
+
+  /**
+   * Summarizes a session and links it to its successor. The session is read
+   * again once the summary is ready: it may have been deleted or expired
+   * meanwhile (nothing left to retire), or rolled over by a concurrent turn.
+   * @param {string} fromSessionId - Session being retired
+   * @param {string} toSessionId - Successor session id
+   * @param {Object} provider - LLM provider for the summary
+   * @param {Object} [options]
+   * @param {Array<string>} [options.facts] - Structured facts known about the visitor
+   * @param {Function} [options.createSuccessor] - (toSessionId, personaId) creates the successor session
+   * @returns {Promise<string|null>} The successor's id, or null when the session is gone
+   */
+  async rollOver(fromSessionId, toSessionId, provider, { facts = [], createSuccessor } = {}) {
+    const session = this.store.get(fromSessionId);
+    if (!session) return null;
+    const summary = await this.summarize(session, provider, facts);
+    const from = this.store.get(fromSessionId);
+    if (!from) return null;
+    if (from.rolledOverTo) return from.rolledOverTo;
+    createSuccessor?.(toSessionId, from.personaId);
+    return this.link(fromSessionId, toSessionId, summary);
+  }
+
+  /**
+   * Links the retired session to its successor and pins the carry-over
+   * summary after the successor's system prompt
+   * @param {string} fromSessionId - Session being retired
+   * @param {string} toSessionId - Successor session (must already exist)
+   * @param {string} summary - Carry-over summary
+   * @returns {string} The successor's id: the existing one when a concurrent
+   *   turn already rolled the session over (the carry-over state moved there)
+   */
+  link(fromSessionId, toSessionId, summary) {
+    const from = this.store.get(fromSessionId);
+    if (from.rolledOverTo) return from.rolledOverTo;
+    const to = this.store.get(toSessionId);
+    const now = new Date().toISOString();
+
+    const firstTurn = to.history.findIndex((m) => m.role !== "system");
+    to.history.splice(firstTurn === -1 ? to.history.length : firstTurn, 0, {
+      role: "system",
+      content: `Contexto de la conversación anterior con este mismo cliente (continúa de forma natural, no vuelvas a presentarte):\n${summary}`,
+    });
+    to.previousSessionId = fromSessionId;
+    to.carryOverSummary = summary;
+
+    // Moved rather than copied, so per-visitor state is never counted twice
+    for (const field of this.carryOverFields) {
+      if (from[field] !== undefined) {
+        to[field] = from[field];
+        delete from[field];
+      }
+    }
+
+    from.rolledOverTo = toSessionId;
+    from.retiredAt = now;
+
+    this.store.save(fromSessionId);
+    this.store.save(toSessionId);
+    console.log(`[sessions] Rolled over ${fromSessionId} -> ${toSessionId}`);
+    return toSessionId;
+  }
+}
+
+export default SessionRollover;
@@ -0,0 +1,99 @@
+/**
+ * Session Sweeper that expires sessions idle for longer than a TTL
+ */
+class SessionSweeper {
+  /**
+   * @param {Object} options
+   * @param {import("./MemorySessionStore.js").default} options.store - Session store
+   * @param {number} options.idleTtlMs - Idle time before a session expires (0 disables expiry)
+   * @param {number} [options.intervalMs] - Time between sweeps
+   * @param {Function} [options.onExpire] - Called with each expired session record
+   */
+  constructor({ store, idleTtlMs, intervalMs = 60000, onExpire = () => {} }) {
+    this.store = store;
+    this.idleTtlMs = idleTtlMs;
+    this.intervalMs = intervalMs;
+    this.onExpire = onExpire;
+    this.timer = null;
+    this.lastSweepAt = null;
+    this.expiredTotal = 0;
+  }
+
+  /**
+   * @returns {SessionSweeper}
+   */
+  start() {
+    if (this.idleTtlMs > 0 && !this.timer) {
+      this.timer = setInterval(() => {
+        this.sweep().catch((error) =>
+          console.error(`[sessions] Sweep failed:`, error.message)
+        );
+      }, this.intervalMs);
+      this.timer.unref?.();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {Object} session - Session record
+   * @returns {string|null} ISO date after which the session expires
+   */
+  expiresAt(session) {
+    if (!(this.idleTtlMs > 0) || !session.lastActivity) return null;
+    return new Date(
+      new Date(session.lastActivity).getTime() + this.idleTtlMs
+    ).toISOString();
+  }
+
+  /**
+   * Removes every session idle for longer than the TTL
+   * @param {number} [now] - Reference time in milliseconds
+   * @returns {Promise<Array<string>>} Expired session ids
+   */
+  async sweep(now = Date.now()) {
+    this.lastSweepAt = new Date(now).toISOString();
+    if (!(this.idleTtlMs > 0)) return [];
+
+    const expired = this.store
+      .values()
+      .filter(
+        (session) =>
+          now - new Date(session.lastActivity || 0).getTime() > this.idleTtlMs
+      );
+
+    for (const session of expired) {
+      await this.store.delete(session.sessionId);
+      this.expiredTotal++;
+      try {
+        await this.onExpire(session);
+      } catch (error) {
+        console.warn(
+          `[sessions] onExpire failed for ${session.sessionId}:`,
+          error.message
+        );
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`[sessions] Expired ${expired.length} idle session(s)`);
+    }
+    return expired.map((session) => session.sessionId);
+  }
+
+  describe() {
+    return {
+      idleTtlMs: this.idleTtlMs,
+      intervalMs: this.intervalMs,
+      running: !!this.timer,
+      lastSweepAt: this.lastSweepAt,
+      expiredTotal: this.expiredTotal,
+    };
+  }
+}
+
+export default SessionSweeper;
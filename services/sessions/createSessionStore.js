@@ -0,0 +1,27 @@
+import path from "path";
+import FileSessionStore from "./FileSessionStore.js";
+import MemorySessionStore from "./MemorySessionStore.js";
+
+/**
+ * Builds the session store selected by SESSION_STORE (file | memory).
+ * File sessions live in SESSION_STORE_DIR, relative paths resolved from `baseDir`.
+ * @param {string} baseDir - Project root
+ * @param {Object} env - Environment variables
+ * @returns {MemorySessionStore}
+ */
+const createSessionStore = (baseDir, env = process.env) => {
+  const type = env.SESSION_STORE || "file";
+
+  if (type === "memory") return new MemorySessionStore();
+  if (type !== "file") {
+    console.warn(`[sessions] Unknown SESSION_STORE "${type}", using file`);
+  }
+
+  const directory = path.resolve(
+    baseDir,
+    env.SESSION_STORE_DIR || path.join("storage", "sessions")
+  );
+  return new FileSessionStore(directory);
+};
+
+export default createSessionStore;
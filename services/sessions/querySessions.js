@@ -0,0 +1,106 @@
+const SORT_FIELDS = [
+  "lastActivity",
+  "createdAt",
+  "turnCount",
+  "totalTokens",
+  "messageCount",
+];
+const DATE_FIELDS = ["lastActivity", "createdAt"];
+
+const parseDate = (value, name) => {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid date for ${name}: ${value}`);
+  return time;
+};
+
+const parseInteger = (value, name, min = 0) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${name} must be an integer >= ${min}`);
+  }
+  return number;
+};
+
+/**
+ * Filters, sorts and paginates session summaries for GET /sessions.
+ * Supported query parameters: sortBy, order (asc|desc), limit, offset,
+ * minTurns, maxTurns, minTokens, maxTokens, activeSince, activeBefore,
+ * createdSince, createdBefore. Throws on invalid parameters.
+ * @param {Array<Object>} sessions - Summaries with the SORT_FIELDS properties
+ * @param {Object} query - Express query object
+ * @returns {{sessions: Array<Object>, total: number, limit: number, offset: number}}
+ */
+const querySessions = (sessions, query = {}) => {
+  const {
+    sortBy = "lastActivity",
+    order = "desc",
+    minTurns,
+    maxTurns,
+    minTokens,
+    maxTokens,
+    activeSince,
+    activeBefore,
+    createdSince,
+    createdBefore,
+  } = query;
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new Error(`sortBy must be one of: ${SORT_FIELDS.join(", ")}`);
+  }
+  if (order !== "asc" && order !== "desc") {
+    throw new Error("order must be asc or desc");
+  }
+  const limit = query.limit !== undefined ? parseInteger(query.limit, "limit", 1) : 50;
+  const offset = query.offset !== undefined ? parseInteger(query.offset, "offset") : 0;
+
+  const filters = [];
+  if (minTurns !== undefined) {
+    const min = parseInteger(minTurns, "minTurns");
+    filters.push((s) => s.turnCount >= min);
+  }
+  if (maxTurns !== undefined) {
+    const max = parseInteger(maxTurns, "maxTurns");
+    filters.push((s) => s.turnCount <= max);
+  }
+  if (minTokens !== undefined) {
+    const min = parseInteger(minTokens, "minTokens");
+    filters.push((s) => s.totalTokens >= min);
+  }
+  if (maxTokens !== undefined) {
+    const max = parseInteger(maxTokens, "maxTokens");
+    filters.push((s) => s.totalTokens <= max);
+  }
+  if (activeSince !== undefined) {
+    const since = parseDate(activeSince, "activeSince");
+    filters.push((s) => new Date(s.lastActivity).getTime() >= since);
+  }
+  if (activeBefore !== undefined) {
+    const before = parseDate(activeBefore, "activeBefore");
+    filters.push((s) => new Date(s.lastActivity).getTime() < before);
+  }
+  if (createdSince !== undefined) {
+    const since = parseDate(createdSince, "createdSince");
+    filters.push((s) => new Date(s.createdAt).getTime() >= since);
+  }
+  if (createdBefore !== undefined) {
+    const before = parseDate(createdBefore, "createdBefore");
+    filters.push((s) => new Date(s.createdAt).getTime() < before);
+  }
+
+  const value = (s) =>
+    DATE_FIELDS.includes(sortBy) ? new Date(s[sortBy]).getTime() || 0 : s[sortBy] || 0;
+  const direction = order === "asc" ? 1 : -1;
+
+  const matching = sessions
+    .filter((s) => filters.every((filter) => filter(s)))
+    .sort((a, b) => (value(a) - value(b)) * direction);
+
+  return {
+    sessions: matching.slice(offset, offset + limit),
+    total: matching.length,
+    limit,
+    offset,
+  };
+};
+
+export default querySessions;
@@ -0,0 +1,437 @@
+import { readFileSync } from "fs";
+
+const OPTION_LETTERS = ["a", "b", "c", "d", "e", "f"];
+const OPTION_ORDINALS = ["primera", "segunda", "tercera", "cuarta", "quinta", "sexta"];
+
+// Intents are matched on normalized text (lowercase, no accents, no punctuation)
+const START_PATTERN =
+  /\b(jugar|juguemos|jugamos|juego|trivia|concurso|quiero (un )?premio|otra ronda)\b/;
+// Once a game was played, mentioning the game is not enough to start another
+const RESTART_PATTERN =
+  /\b(otra vez|otra ronda|otra partida|(jugar|juguemos|empezar|empecemos) de nuevo|volver a (jugar|empezar)|volvamos a jugar|reiniciar|reinicia|reiniciemos)\b/;
+// "¿Me repites la pregunta otra vez?" is not a restart
+const REPEAT_PATTERN = /\b(repite|repiteme|repetir|repetirme|repites|repetis)\b/;
+const STOP_PATTERN =
+  /\b(no quiero (seguir )?jugar|ya no (quiero )?(jugar|seguir)|dejar de jugar|salir del juego|terminar (el juego|la trivia)|me rindo|basta)\b/;
+// Replies that give up on the question count as a wrong answer
+const GIVE_UP_PATTERN =
+  /^(ni idea|no se|no lo se|no la se|no tengo (ni )?idea|no me acuerdo|no recuerdo|paso)$/;
+
+/**
+ * Lowercases, strips accents and punctuation, and joins thousands ("4.000" -> "4000")
+ * @param {string} text - Free text
+ * @returns {string}
+ */
+export const normalizeAnswer = (text = "") =>
+  String(text)
+    .replace(/(\d)[.,](\d{3})\b/g, "$1$2")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9ñ]+/g, " ")
+    .trim();
+
+const containsPhrase = (text, phrase) =>
+  phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos in a whole reply ("pymes y emprendedore"): one edit per 5 characters
+const isCloseMatch = (text, phrase) =>
+  phrase.length >= 4 && editDistance(text, phrase) <= Math.floor(phrase.length / 5);
+
+/**
+ * Trivia Engine: runs the fair's trivia game in code. Questions, levels,
+ * answer checking and prizes come from the question bank; the LLM only
+ * phrases the result it is handed.
+ *
+ * Game state lives on the session (`session.trivia`) so it is persisted and
+ * survives restarts together with the conversation.
+ */
+class TriviaEngine {
+  /**
+   * @param {Object} options
+   * @param {{levels: Array<Object>, questions: Array<Object>}} options.bank - Question bank
+   * @param {Function} [options.random] - Random source in [0, 1), for tests
+   * @param {Function} [options.isPrizeAvailable] - (prizeId) => boolean; out-of-stock prizes are not awarded
+   * @param {Function} [options.prizeName] - (prizeId) => display name
+   */
+  constructor({
+    bank,
+    random = Math.random,
+    isPrizeAvailable = () => true,
+    prizeName = (prizeId) => prizeId,
+  }) {
+    this.random = random;
+    this.isPrizeAvailable = isPrizeAvailable;
+    this.prizeName = prizeName;
+    this.levels = bank.levels || [];
+    this.questions = new Map();
+
+    if (this.levels.length === 0) {
+      throw new Error("Trivia bank needs at least one level");
+    }
+    const levelIds = new Set(this.levels.map((l) => l.id));
+    for (const question of bank.questions || []) {
+      if (!question.id || !question.question || !question.answer) {
+        throw new Error(`Trivia question ${question.id || "(no id)"} needs id, question and answer`);
+      }
+      if (!levelIds.has(question.level)) {
+        throw new Error(`Trivia question ${question.id} has unknown level "${question.level}"`);
+      }
+      this.questions.set(question.id, question);
+    }
+    for (const level of this.levels) {
+      if (!this.questionsFor(level.id).length) {
+        throw new Error(`Trivia level "${level.id}" has no questions`);
+      }
+    }
+  }
+
+  /**
+   * Loads the question bank from a JSON file
+   * @param {string} file - Path to the bank
+   * @param {Object} [options] - Extra constructor options
+   * @returns {TriviaEngine}
+   */
+  static fromFile(file, options = {}) {
+    return new TriviaEngine({
+      ...options,
+      bank: JSON.parse(readFileSync(file, "utf8")),
+    });
+  }
+
+  questionsFor(levelId) {
+    return Array.from(this.questions.values()).filter((q) => q.level === levelId);
+  }
+
+  /**
+   * Returns the session's game state, creating it on first use
+   * @param {Object} session - Session
+   * @returns {Object} Trivia state
+   */
+  getState(session) {
+    if (!session.trivia) {
+      session.trivia = {
+        status: "idle", // idle | playing | finished | stopped
+        gamesPlayed: 0,
+        levelIndex: 0,
+        currentQuestionId: null,
+        askedQuestionIds: [],
+        answered: 0,
+        correct: 0,
+        score: 0,
+        bestScore: 0,
+        perfectRun: true,
+        prizes: [],
+        startedAt: null,
+        lastPlayedAt: null,
+        finishedAt: null,
+      };
+    }
+    return session.trivia;
+  }
+
+  /**
+   * Advances the game with the visitor's message
+   * @param {Object} session - Session (its `trivia` state is updated in place)
+   * @param {string} userMessage - What the visitor said
+   * @returns {Object|null} Game event for this turn, or null when the turn is not about the trivia
+   */
+  handleTurn(session, userMessage) {
+    const state = this.getState(session);
+    const text = normalizeAnswer(userMessage);
+
+    const wantsRestart = RESTART_PATTERN.test(text) && !REPEAT_PATTERN.test(text);
+    if (state.status !== "playing") {
+      const wantsGame = state.gamesPlayed > 0 ? wantsRestart : START_PATTERN.test(text);
+      return wantsGame ? this.start(state) : null;
+    }
+    if (STOP_PATTERN.test(text)) {
+      return this.stop(state);
+    }
+    if (wantsRestart) {
+      return this.start(state);
+    }
+    return this.answer(state, userMessage);
+  }
+
+  start(state) {
+    Object.assign(state, {
+      status: "playing",
+      gamesPlayed: state.gamesPlayed + 1,
+      levelIndex: 0,
+      score: 0,
+      perfectRun: true,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    });
+    const question = this.ask(state);
+    return { type: "started", ...this.progress(state), question: this.publicQuestion(question) };
+  }
+
+  stop(state) {
+    Object.assign(state, {
+      status: "stopped",
+      currentQuestionId: null,
+      finishedAt: new Date().toISOString(),
+    });
+    return { type: "stopped", ...this.progress(state) };
+  }
+
+  /**
+   * Grades the visitor's answer to the pending question and moves on
+   * @param {Object} state - Trivia state
+   * @param {string} userMessage - Raw answer
+   * @returns {Object} Game event
+   */
+  answer(state, userMessage) {
+    const question = this.questions.get(state.currentQuestionId);
+    if (!question) {
+      // The bank changed under a running game: restart at the same level
+      const next = this.ask(state);
+      return { type: "pending", ...this.progress(state), question: this.publicQuestion(next) };
+    }
+
+    const verdict = GIVE_UP_PATTERN.test(normalizeAnswer(userMessage))
+      ? false
+      : this.checkAnswer(question, userMessage);
+    if (verdict === null) {
+      // Not an answer (a question, small talk): the chat handles it and the
+      // question stays open
+      return { type: "pending", ...this.progress(state), question: this.publicQuestion(question) };
+    }
+
+    const correct = verdict === true;
+    const level = this.levels[state.levelIndex];
+    state.answered += 1;
+    state.lastPlayedAt = new Date().toISOString();
+
+    let prize = null;
+    let prizeAlreadyWon = false;
+    let prizeOutOfStock = false;
+    if (correct) {
+      state.correct += 1;
+      state.score += level.points || 0;
+      state.bestScore = Math.max(state.bestScore, state.score);
+      prizeAlreadyWon = state.prizes.some((p) => p.level === level.id);
+      if (level.prize && !prizeAlreadyWon) {
+        if (this.isPrizeAvailable(level.prize)) {
+          prize = level.prize;
+          state.prizes.push({
+            level: level.id,
+            prize,
+            questionId: question.id,
+            wonAt: state.lastPlayedAt,
+          });
+        } else {
+          prizeOutOfStock = true;
+        }
+      }
+    } else {
+      state.perfectRun = false;
+    }
+
+    const result = {
+      type: "answered",
+      correct,
+      answeredQuestion: this.publicQuestion(question),
+      expectedAnswer: question.answer,
+      explanation: question.explanation || null,
+      pointsEarned: correct ? level.points || 0 : 0,
+      prize,
+      prizeName: prize ? this.prizeName(prize) : null,
+      prizeAlreadyWon: correct && prizeAlreadyWon,
+      prizeOutOfStock,
+    };
+
+    const nextLevel = this.levels[state.levelIndex + 1];
+    if (nextLevel && (!nextLevel.requiresPerfectRun || state.perfectRun)) {
+      state.levelIndex += 1;
+      const next = this.ask(state);
+      return { ...result, ...this.progress(state), finished: false, nextQuestion: this.publicQuestion(next) };
+    }
+
+    Object.assign(state, {
+      status: "finished",
+      currentQuestionId: null,
+      finishedAt: state.lastPlayedAt,
+    });
+    return { ...result, ...this.progress(state), finished: true, nextQuestion: null };
+  }
+
+  /**
+   * Picks a question of the current level the session has not seen yet
+   * (or the least recently asked one when the level is exhausted)
+   * @param {Object} state - Trivia state
+   * @returns {Object} Question
+   */
+  ask(state) {
+    const candidates = this.questionsFor(this.levels[state.levelIndex].id);
+    const unseen = candidates.filter((q) => !state.askedQuestionIds.includes(q.id));
+    const question = unseen.length
+      ? unseen[Math.floor(this.random() * unseen.length)]
+      : candidates.reduce((oldest, q) =>
+          state.askedQuestionIds.indexOf(q.id) < state.askedQuestionIds.indexOf(oldest.id)
+            ? q
+            : oldest
+        );
+
+    state.askedQuestionIds = [
+      ...state.askedQuestionIds.filter((id) => id !== question.id),
+      question.id,
+    ];
+    state.currentQuestionId = question.id;
+    state.lastPlayedAt = new Date().toISOString();
+    return question;
+  }
+
+  /**
+   * Checks an answer against the options and the accepted variants: an
+   * option letter or position, a reply mentioning an option, or one close to
+   * an option's text
+   * @param {Object} question - Bank question
+   * @param {string} userMessage - Raw answer
+   * @returns {boolean|null} true/false, or null when the reply is not an answer
+   */
+  checkAnswer(question, userMessage) {
+    const text = normalizeAnswer(userMessage);
+    const options = question.options || [];
+    const correctIndex = options.findIndex(
+      (o) => normalizeAnswer(o) === normalizeAnswer(question.answer)
+    );
+
+    // "b", "la b", "opcion b"
+    const letter = text.match(/^(?:(?:la|el|opcion|respuesta)\s+)?([a-f])$/);
+    if (letter && OPTION_LETTERS.indexOf(letter[1]) < options.length) {
+      return OPTION_LETTERS.indexOf(letter[1]) === correctIndex;
+    }
+    // "opción 2", "la segunda"; a bare number is a value ("5" sucursales)
+    const position = text.match(
+      /^(?:(?:la|el|opcion|respuesta|numero)\s+([1-6])|(?:la\s+)?(primera|segunda|tercera|cuarta|quinta|sexta)(?:\s+opcion)?)$/
+    );
+    if (position) {
+      const index = position[1]
+        ? Number(position[1]) - 1
+        : OPTION_ORDINALS.indexOf(position[2]);
+      if (index < options.length) return index === correctIndex;
+    }
+
+    const variants = [question.answer, ...(question.acceptedAnswers || [])].map(normalizeAnswer);
+    const wrongOptions = options
+      .filter((_, i) => i !== correctIndex)
+      .map(normalizeAnswer);
+    const mentionsCorrect = variants.some((v) => containsPhrase(text, v));
+    const mentionsWrong = wrongOptions.some((o) => containsPhrase(text, o));
+
+    if (mentionsCorrect && !mentionsWrong) return true;
+    if (mentionsWrong || mentionsCorrect) return false;
+
+    if (variants.some((v) => isCloseMatch(text, v))) return true;
+    if (wrongOptions.some((o) => isCloseMatch(text, o))) return false;
+    return null;
+  }
+
+  progress(state) {
+    const level = this.levels[state.levelIndex];
+    return {
+      status: state.status,
+      level: level
+        ? {
+            id: level.id,
+            name: level.name,
+            prize: level.prize ? this.prizeName(level.prize) : null,
+          }
+        : null,
+      score: state.score,
+      correctAnswers: state.correct,
+      answered: state.answered,
+      prizes: state.prizes.map((p) => this.prizeName(p.prize)),
+    };
+  }
+
+  publicQuestion(question) {
+    return {
+      id: question.id,
+      level: question.level,
+      question: question.question,
+      options: question.options || [],
+    };
+  }
+
+  /**
+   * Facts about the game worth keeping when a session rolls over
+   * @param {Object} session - Session
+   * @returns {Array<string>}
+   */
+  facts(session) {
+    const state = session.trivia;
+    if (!state || state.gamesPlayed === 0) return [];
+    const facts = [
+      `Trivia: ${state.correct}/${state.answered} respuestas correctas, mejor puntaje ${state.bestScore}`,
+    ];
+    if (state.prizes.length) {
+      const prizes = state.prizes.map(
+        (p) => `${this.prizeName(p.prize)}${p.code ? ` (código ${p.code})` : ""}`
+      );
+      facts.push(`Premios de trivia ganados: ${prizes.join(", ")}`);
+    }
+    if (state.status === "playing") {
+      const question = this.questions.get(state.currentQuestionId);
+      facts.push(`Trivia en curso, pregunta pendiente: ${question?.question || "(sin pregunta)"}`);
+    }
+    return facts;
+  }
+
+  /**
+   * Ranks sessions by their best trivia score
+   * @param {Array<Object>} sessions - Active sessions
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Entries to return
+   * @returns {Array<Object>}
+   */
+  leaderboard(sessions, { limit = 10 } = {}) {
+    return sessions
+      .filter((s) => s.trivia && s.trivia.answered > 0)
+      .map((s) => ({
+        sessionId: s.sessionId,
+        score: s.trivia.bestScore,
+        correct: s.trivia.correct,
+        answered: s.trivia.answered,
+        prizes: s.trivia.prizes.map((p) => this.prizeName(p.prize)),
+        status: s.trivia.status,
+        lastPlayedAt: s.trivia.lastPlayedAt,
+      }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          b.correct - a.correct ||
+          String(a.lastPlayedAt).localeCompare(String(b.lastPlayedAt))
+      )
+      .slice(0, limit)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  describe() {
+    return {
+      levels: this.levels.map((l) => l.id),
+      questions: this.questions.size,
+    };
+  }
+}
+
+export default TriviaEngine;
@@ -0,0 +1,200 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+const FILE_PREFIX = "message_";
+
+/**
+ * Turns a client-supplied session id into a safe file name part: only
+ * [A-Za-z0-9_-], bounded length, plus a short hash of the original so ids
+ * that sanitize alike ("a/b", "a_b") never share files
+ * @param {string} sessionId - Session id from the request
+ * @returns {string}
+ */
+export const safeSessionFileName = (sessionId) => {
+  const id = String(sessionId);
+  const readable = id.replace(/[^A-Za-z0-9_-]/g, "_").slice(0, 48);
+  const hash = createHash("sha256").update(id).digest("hex").slice(0, 8);
+  return `${readable}-${hash}`;
+};
+
+/**
+ * Managed storage for per-turn message audio. Providers write into a
+ * dedicated temp directory; each file is removed as soon as it has been
+ * base64-encoded for the response (or kept for the retention window when
+ * `keepFiles` is set, for debugging). A periodic sweep deletes files older
+ * than the retention window and the oldest ones while the directory is over
+ * `maxBytes`, so crashed turns never fill the disk.
+ */
+class AudioStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Temp directory for turn audio
+   * @param {import("../../utils/AudioErrorHandler.js").default} options.errorHandler - Deletes files (cleanupAudioFiles)
+   * @param {number} [options.retentionMs] - Age after which a file is swept
+   * @param {number} [options.maxBytes] - Disk cap for the directory
+   * @param {boolean} [options.keepFiles] - Keep files after encoding until the retention window ends
+   * @param {number} [options.sweepIntervalMs] - Time between sweeps
+   */
+  constructor({
+    directory,
+    errorHandler,
+    retentionMs = 10 * 60 * 1000,
+    maxBytes = 100 * 1024 * 1024,
+    keepFiles = false,
+    sweepIntervalMs = 60000,
+  }) {
+    this.directory = directory;
+    this.errorHandler = errorHandler;
+    this.retentionMs = retentionMs;
+    this.maxBytes = maxBytes;
+    this.keepFiles = keepFiles;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.sequence = 0;
+    this.timer = null;
+    this.stats = { encoded: 0, removedAfterEncoding: 0, swept: 0, lastSweepAt: null };
+  }
+
+  /**
+   * Creates the directory, sweeps leftovers and schedules the periodic sweep
+   * @returns {Promise<AudioStorage>}
+   */
+  async start() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.sweep();
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.sweep().catch((error) =>
+          console.error(`[audio] Sweep failed:`, error.message)
+        );
+      }, this.sweepIntervalMs);
+      this.timer.unref?.();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Output path (without extension) for one message of a turn. A per-process
+   * counter keeps concurrent turns of the same session apart.
+   * @param {string} sessionId - Session id from the request
+   * @param {string|number} label - Message index or name
+   * @returns {string}
+   */
+  outputBase(sessionId, label) {
+    const safeLabel = String(label).replace(/[^A-Za-z0-9_-]/g, "_");
+    this.sequence = (this.sequence + 1) % 1e6;
+    return path.join(
+      this.directory,
+      `${FILE_PREFIX}${safeSessionFileName(sessionId)}_${safeLabel}_${this.sequence}`
+    );
+  }
+
+  /**
+   * Reads a synthesized file as base64 and removes it (unless keepFiles)
+   * @param {string} file - File written by a TTS provider
+   * @returns {Promise<string>} Base64 audio, empty if the file is missing or empty
+   */
+  async encode(file) {
+    let audio = "";
+    try {
+      const data = await fs.readFile(file);
+      audio = data?.length ? data.toString("base64") : "";
+      this.stats.encoded++;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[audio] Could not read ${path.basename(file)}:`, error.message);
+      }
+    }
+    if (!this.keepFiles) {
+      // Routine removal after every message: not worth a log line
+      await this.errorHandler.cleanupAudioFiles([file], { quiet: true });
+      this.stats.removedAfterEncoding++;
+    }
+    return audio;
+  }
+
+  async listFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const files = await Promise.all(
+      names
+        .filter((name) => name.startsWith(FILE_PREFIX))
+        .map(async (name) => {
+          const file = path.join(this.directory, name);
+          const stats = await fs.stat(file).catch(() => null);
+          return stats?.isFile()
+            ? { file, bytes: stats.size, modifiedAt: stats.mtimeMs }
+            : null;
+        })
+    );
+    return files.filter(Boolean).sort((a, b) => a.modifiedAt - b.modifiedAt);
+  }
+
+  /**
+   * Deletes the audio files left by a session (session deleted or expired)
+   * @param {string} sessionId - Session id
+   * @returns {Promise<number>} Files removed
+   */
+  async cleanupSession(sessionId) {
+    const prefix = `${FILE_PREFIX}${safeSessionFileName(sessionId)}_`;
+    const files = (await this.listFiles())
+      .filter(({ file }) => path.basename(file).startsWith(prefix))
+      .map(({ file }) => file);
+    const removed = await this.errorHandler.cleanupAudioFiles(files, { quiet: true });
+    if (removed > 0) {
+      console.log(`[audio] Removed ${removed} file(s) of session ${sessionId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Removes files past the retention window, then the oldest ones until the
+   * directory is under maxBytes
+   * @returns {Promise<number>} Files removed
+   */
+  async sweep() {
+    const files = await this.listFiles();
+    const cutoff = Date.now() - this.retentionMs;
+    let bytes = files.reduce((sum, f) => sum + f.bytes, 0);
+
+    const doomed = [];
+    for (const entry of files) {
+      if (entry.modifiedAt < cutoff || bytes > this.maxBytes) {
+        doomed.push(entry.file);
+        bytes -= entry.bytes;
+      }
+    }
+    const removed = await this.errorHandler.cleanupAudioFiles(doomed, { quiet: true });
+    if (removed > 0) {
+      this.stats.swept += removed;
+      console.log(`[audio] Swept ${removed} file(s)`);
+    }
+    this.stats.lastSweepAt = new Date().toISOString();
+    return removed;
+  }
+
+  async describe() {
+    const files = await this.listFiles();
+    return {
+      directory: this.directory,
+      files: files.length,
+      bytes: files.reduce((sum, f) => sum + f.bytes, 0),
+      maxBytes: this.maxBytes,
+      retentionMs: this.retentionMs,
+      keepFiles: this.keepFiles,
+      ...this.stats,
+    };
+  }
+}
+
+export default AudioStorage;
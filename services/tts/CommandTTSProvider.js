@@ -0,0 +1,124 @@
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+
+/**
+ * Offline text-to-speech through a local synthesizer (piper, espeak-ng...).
+ * The command is a template run without a shell: `{output}` is replaced
+ * with the WAV file to write and `{voice}` with the voice; the text arrives
+ * on stdin. Examples:
+ *   piper --model voices/es_MX-claude-high.onnx --output_file {output}
+ *   espeak-ng -v {voice} --stdin -w {output}
+ */
+class CommandTTSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.command - Command template
+   * @param {string} [options.name] - Name used in TTS_PROVIDERS
+   * @param {string} [options.voice] - Default value for `{voice}`
+   * @param {number} [options.timeoutMs] - Time allowed per synthesis
+   */
+  constructor({ command, name = "local", voice = "es", timeoutMs = 20000 }) {
+    this.name = name;
+    this.command = command || "";
+    this.voice = voice;
+    this.timeoutMs = timeoutMs;
+    this.extension = "wav";
+    this.mimeType = "audio/wav";
+  }
+
+  isConfigured() {
+    return this.command.trim().length > 0;
+  }
+
+  // The command line holds the model, so a new model means new audio
+  cacheSettings({ voice } = {}) {
+    return { voice: voice || this.voice, command: this.command.trim() };
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} outputBase - Output path without extension
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Voice overriding the default
+   * @returns {Promise<{success: boolean, file?: string, error?: string, errorCode?: string, retryable?: boolean}>}
+   */
+  async synthesize(text, outputBase, { voice } = {}) {
+    const file = `${outputBase}.${this.extension}`;
+    const [program, ...args] = this.command
+      .trim()
+      .split(/\s+/)
+      .map((part) =>
+        part.replace(/\{output\}/g, file).replace(/\{voice\}/g, voice || this.voice)
+      );
+
+    const run = await new Promise((resolve) => {
+      let stderr = "";
+      const child = spawn(program, args, {
+        stdio: ["pipe", "ignore", "pipe"],
+        timeout: this.timeoutMs,
+      });
+      child.stderr.on("data", (chunk) => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+      child.on("error", (error) => resolve({ error }));
+      child.on("close", (code, signal) => resolve({ code, signal, stderr }));
+      child.stdin.on("error", () => {}); // the command may exit before reading
+      child.stdin.end(text);
+    });
+
+    if (run.error) {
+      return run.error.code === "ENOENT"
+        ? {
+            success: false,
+            error: `TTS command not found: ${program}`,
+            errorCode: "COMMAND_NOT_FOUND",
+            retryable: false,
+          }
+        : {
+            success: false,
+            error: run.error.message,
+            errorCode: "COMMAND_FAILED",
+            retryable: false,
+          };
+    }
+    if (run.signal) {
+      return {
+        success: false,
+        error: `TTS command stopped by ${run.signal} after ${this.timeoutMs}ms`,
+        errorCode: "TIMEOUT",
+        retryable: true,
+      };
+    }
+    if (run.code !== 0) {
+      return {
+        success: false,
+        error: `TTS command exited with code ${run.code}: ${run.stderr.trim()}`,
+        errorCode: "COMMAND_FAILED",
+        retryable: false,
+      };
+    }
+
+    const stats = await fs.stat(file).catch(() => null);
+    if (!stats?.size) {
+      return {
+        success: false,
+        error: `TTS command did not write ${file}`,
+        errorCode: "EMPTY_AUDIO_FILE",
+        retryable: false,
+      };
+    }
+    return { success: true, file };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      format: this.extension,
+      command: this.command.trim().split(/\s+/)[0] || null,
+      voice: this.voice,
+      configured: this.isConfigured(),
+    };
+  }
+}
+
+export default CommandTTSProvider;
@@ -0,0 +1,66 @@
+/**
+ * Text-to-speech provider backed by ElevenLabsService (MP3 output). The
+ * service keeps its own error mapping; its `errorCode` / `retryable` fields
+ * are passed through unchanged.
+ */
+class ElevenLabsTTSProvider {
+  /**
+   * @param {Object} options
+   * @param {import("../ElevenLabsService.js").default} options.service - Shared ElevenLabs client
+   * @param {string} [options.name] - Name used in TTS_PROVIDERS
+   */
+  constructor({ service, name = "elevenlabs" }) {
+    this.name = name;
+    this.service = service;
+    this.extension = "mp3";
+    this.mimeType = "audio/mpeg";
+  }
+
+  isConfigured() {
+    return !!this.service?.apiKey;
+  }
+
+  /**
+   * Everything besides the text that changes the audio (TTS cache key)
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Requested voice
+   * @returns {Object}
+   */
+  cacheSettings({ voice } = {}) {
+    return { voice: voice || this.service?.voiceId };
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} outputBase - Output path without extension
+   * @param {Object} [options]
+   * @param {string} [options.voice] - ElevenLabs voice id (defaults to VOICE_ID)
+   * @returns {Promise<{success: boolean, file?: string, error?: string, errorCode?: string, retryable?: boolean}>}
+   */
+  async synthesize(text, outputBase, { voice } = {}) {
+    const file = `${outputBase}.${this.extension}`;
+    const result = await this.service.generateAudio(text, file, {
+      voiceId: voice || undefined,
+    });
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        errorCode: result.errorCode || "UNKNOWN_ERROR",
+        retryable: !!result.retryable,
+      };
+    }
+    return { success: true, file };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      format: this.extension,
+      voice: this.service?.voiceId || null,
+      configured: this.isConfigured(),
+    };
+  }
+}
+
+export default ElevenLabsTTSProvider;
@@ -0,0 +1,134 @@
+import { promises as fs } from "fs";
+import OpenAI from "openai";
+
+// Input limit of the speech endpoint
+const MAX_INPUT_CHARS = 4096;
+
+/**
+ * Maps an OpenAI SDK error to the errorCode / retryable shape used by every
+ * TTS provider (same codes as ElevenLabsService)
+ * @param {Error} error - SDK error
+ * @returns {{error: string, errorCode: string, retryable: boolean}}
+ */
+const mapError = (error) => {
+  const status = error.status;
+  if (status === undefined && error instanceof OpenAI.APIConnectionError) {
+    return { error: error.message, errorCode: "NETWORK_ERROR", retryable: true };
+  }
+  if (status === 401 || status === 403) {
+    return { error: error.message, errorCode: "INVALID_API_KEY", retryable: false };
+  }
+  // 429 means either "slow down" or "no credit left"; only the first passes
+  if (status === 429) {
+    return error.code === "insufficient_quota"
+      ? { error: error.message, errorCode: "QUOTA_EXCEEDED", retryable: false }
+      : { error: error.message, errorCode: "RATE_LIMITED", retryable: true };
+  }
+  if (status >= 500) {
+    return { error: error.message, errorCode: "SERVER_ERROR", retryable: true };
+  }
+  if (status === 400 || status === 404) {
+    return { error: error.message, errorCode: "INVALID_REQUEST", retryable: false };
+  }
+  return { error: error.message, errorCode: "UNKNOWN_ERROR", retryable: false };
+};
+
+/**
+ * Text-to-speech provider for the OpenAI speech endpoint (MP3 output).
+ * Shares OPENAI_API_KEY with the chat provider, read on every request.
+ */
+class OpenAITTSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name] - Name used in TTS_PROVIDERS
+   * @param {string} [options.model] - Speech model (tts-1, tts-1-hd...)
+   * @param {string} [options.voice] - Default voice (alloy, nova, shimmer...)
+   * @param {string} [options.apiKeyEnv] - Environment variable holding the key
+   */
+  constructor({
+    name = "openai",
+    model = "tts-1",
+    voice = "nova",
+    apiKeyEnv = "OPENAI_API_KEY",
+  } = {}) {
+    this.name = name;
+    this.model = model;
+    this.voice = voice;
+    this.apiKeyEnv = apiKeyEnv;
+    this.extension = "mp3";
+    this.mimeType = "audio/mpeg";
+    this.client = null;
+    this.clientKey = null;
+  }
+
+  isConfigured() {
+    const key = process.env[this.apiKeyEnv];
+    return !!(key && key !== "-");
+  }
+
+  cacheSettings({ voice } = {}) {
+    return { voice: voice || this.voice, model: this.model };
+  }
+
+  getClient() {
+    const key = process.env[this.apiKeyEnv] || "-";
+    if (!this.client || this.clientKey !== key) {
+      this.client = new OpenAI({ apiKey: key });
+      this.clientKey = key;
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {string} outputBase - Output path without extension
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Voice overriding the default
+   * @returns {Promise<{success: boolean, file?: string, error?: string, errorCode?: string, retryable?: boolean}>}
+   */
+  async synthesize(text, outputBase, { voice } = {}) {
+    if (text.length > MAX_INPUT_CHARS) {
+      return {
+        success: false,
+        error: `Text too long for audio generation (${text.length} characters, max ${MAX_INPUT_CHARS})`,
+        errorCode: "TEXT_TOO_LONG",
+        retryable: false,
+      };
+    }
+
+    const file = `${outputBase}.${this.extension}`;
+    try {
+      const response = await this.getClient().audio.speech.create({
+        model: this.model,
+        voice: voice || this.voice,
+        input: text,
+        response_format: "mp3",
+      });
+      const audio = Buffer.from(await response.arrayBuffer());
+      if (audio.length === 0) {
+        return {
+          success: false,
+          error: "Audio file was created but is empty",
+          errorCode: "EMPTY_AUDIO_FILE",
+          retryable: true,
+        };
+      }
+      await fs.writeFile(file, audio);
+      return { success: true, file };
+    } catch (error) {
+      return { success: false, ...mapError(error) };
+    }
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      format: this.extension,
+      model: this.model,
+      voice: this.voice,
+      configured: this.isConfigured(),
+    };
+  }
+}
+
+export default OpenAITTSProvider;
@@ -0,0 +1,75 @@
+import { promises as fs } from "fs";
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Builds a 16-bit mono PCM WAV of silence
+ * @param {number} durationMs - Length of the clip
+ * @returns {Buffer}
+ */
+export const silentWav = (durationMs) => {
+  const dataSize = Math.round((SAMPLE_RATE * durationMs) / 1000) * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write("WAVE", 8);
+  wav.write("fmt ", 12);
+  wav.writeUInt32LE(16, 16); // fmt chunk size
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  wav.writeUInt16LE(2, 32); // block align
+  wav.writeUInt16LE(16, 34); // bits per sample
+  wav.write("data", 36);
+  wav.writeUInt32LE(dataSize, 40);
+  return wav;
+};
+
+/**
+ * Stub provider for tests and demos without a voice: writes a silent WAV
+ * roughly as long as the text would take to say, so the avatar still
+ * animates and the frontend audio pipeline runs end to end.
+ */
+class SilentTTSProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name used in TTS_PROVIDERS
+   * @param {number} [options.msPerChar] - Simulated speaking speed
+   * @param {number} [options.maxDurationMs] - Longest clip
+   */
+  constructor({ name = "silent", msPerChar = 60, maxDurationMs = 15000 } = {}) {
+    this.name = name;
+    this.msPerChar = msPerChar;
+    this.maxDurationMs = maxDurationMs;
+    this.extension = "wav";
+    this.mimeType = "audio/wav";
+    // Cheap to generate, and a cached silence must never stand in for a voice
+    this.cacheable = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {string} text - Text that would be spoken
+   * @param {string} outputBase - Output path without extension
+   * @returns {Promise<{success: boolean, file: string}>}
+   */
+  async synthesize(text, outputBase) {
+    const file = `${outputBase}.${this.extension}`;
+    const durationMs = Math.min(
+      Math.max(text.length * this.msPerChar, 300),
+      this.maxDurationMs
+    );
+    await fs.writeFile(file, silentWav(durationMs));
+    return { success: true, file };
+  }
+
+  describe() {
+    return { name: this.name, format: this.extension, configured: true };
+  }
+}
+
+export default SilentTTSProvider;
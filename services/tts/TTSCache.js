@@ -0,0 +1,260 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { createJsonWriter } from "../../utils/jsonFile.js";
+
+const INDEX_FILE = "index.json";
+
+/**
+ * Text as it is spoken: Unicode-normalized with whitespace collapsed, so the
+ * same sentence from different turns maps to the same audio
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export const normalizeSpeechText = (text) =>
+  String(text ?? "").normalize("NFC").replace(/\s+/g, " ").trim();
+
+/**
+ * Content-addressed cache of synthesized audio. Entries are keyed by a hash
+ * of (provider, voice settings, normalized text), stored as files in one
+ * directory with a persisted index, expired after `maxAgeMs` and evicted
+ * least-recently-used first once the directory exceeds `maxBytes`.
+ */
+class TTSCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Cache directory (e.g. audios/cache)
+   * @param {number} [options.maxBytes] - Size limit of the cached audio
+   * @param {number} [options.maxAgeMs] - Entries older than this are re-synthesized
+   */
+  constructor({
+    directory,
+    maxBytes = 200 * 1024 * 1024,
+    maxAgeMs = 30 * 24 * 60 * 60 * 1000,
+  }) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.entries = new Map(); // key -> entry, least recently used first
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, expired: 0 };
+    this.writer = createJsonWriter(
+      path.join(this.directory, INDEX_FILE),
+      "tts-cache"
+    );
+  }
+
+  /**
+   * @param {Object} request
+   * @param {string} request.provider - Provider name
+   * @param {Object} [request.settings] - Voice, model and any setting that changes the audio
+   * @param {string} request.text - Message text
+   * @returns {string} Cache key (hex SHA-256)
+   */
+  keyFor({ provider, settings = {}, text }) {
+    const sortedSettings = Object.fromEntries(
+      Object.entries(settings)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+    return createHash("sha256")
+      .update(JSON.stringify([provider, sortedSettings, normalizeSpeechText(text)]))
+      .digest("hex");
+  }
+
+  filePath(entry) {
+    return path.join(this.directory, entry.file);
+  }
+
+  /**
+   * Restores the index, dropping entries whose file is gone and files
+   * nobody references (left by a crash mid-write)
+   * @returns {Promise<number>} Entries loaded
+   */
+  async load() {
+    let saved = [];
+    try {
+      const data = JSON.parse(
+        await fs.readFile(path.join(this.directory, INDEX_FILE), "utf8")
+      );
+      saved = Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[tts-cache] Could not read index:`, error.message);
+      }
+    }
+
+    let files;
+    try {
+      files = new Set(await fs.readdir(this.directory));
+    } catch {
+      files = new Set();
+    }
+
+    saved.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+    for (const entry of saved) {
+      if (!files.has(entry.file)) continue;
+      this.entries.set(entry.key, entry);
+      this.bytes += entry.bytes;
+      files.delete(entry.file);
+    }
+    files.delete(INDEX_FILE);
+    for (const orphan of files) {
+      if (orphan.endsWith(".tmp")) continue;
+      await fs.unlink(path.join(this.directory, orphan)).catch(() => {});
+    }
+
+    await this.evict();
+    return this.entries.size;
+  }
+
+  /**
+   * Copies a cached clip to `<outputBase>.<extension>`
+   * @param {string} key - Cache key
+   * @param {string} outputBase - Output path without extension
+   * @returns {Promise<{file: string, mimeType: string}|null>} null on a miss
+   */
+  async get(key, outputBase) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (Date.now() - Date.parse(entry.createdAt) > this.maxAgeMs) {
+      this.stats.expired++;
+      this.stats.misses++;
+      await this.remove(key);
+      this.save();
+      return null;
+    }
+
+    const file = `${outputBase}.${entry.extension}`;
+    try {
+      await fs.copyFile(this.filePath(entry), file);
+    } catch (error) {
+      console.warn(`[tts-cache] Dropping unreadable entry ${entry.file}:`, error.message);
+      this.stats.misses++;
+      await this.remove(key);
+      this.save();
+      return null;
+    }
+
+    // Map order is the LRU order: move the entry to the end
+    this.entries.delete(key);
+    entry.lastUsedAt = new Date().toISOString();
+    entry.hits++;
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    this.save();
+    return { file, mimeType: entry.mimeType };
+  }
+
+  /**
+   * Stores a freshly synthesized clip
+   * @param {string} key - Cache key
+   * @param {string} sourceFile - Audio written by the provider
+   * @param {Object} meta
+   * @param {string} meta.provider - Provider name
+   * @param {string} meta.extension - File extension
+   * @param {string} meta.mimeType - MIME type
+   * @returns {Promise<boolean>} Whether the clip was cached
+   */
+  async put(key, sourceFile, { provider, extension, mimeType }) {
+    try {
+      const { size } = await fs.stat(sourceFile);
+      if (size === 0 || size > this.maxBytes) return false;
+
+      await fs.mkdir(this.directory, { recursive: true });
+      const file = `${key}.${extension}`;
+      const tmp = path.join(this.directory, `${file}.${process.pid}.tmp`);
+      await fs.copyFile(sourceFile, tmp);
+      await fs.rename(tmp, path.join(this.directory, file));
+
+      const previous = this.entries.get(key);
+      if (previous) {
+        this.bytes -= previous.bytes;
+        this.entries.delete(key);
+      }
+      const now = new Date().toISOString();
+      this.entries.set(key, {
+        key,
+        file,
+        provider,
+        extension,
+        mimeType,
+        bytes: size,
+        hits: 0,
+        createdAt: now,
+        lastUsedAt: now,
+      });
+      this.bytes += size;
+      this.stats.writes++;
+
+      await this.evict();
+      this.save();
+      return true;
+    } catch (error) {
+      console.warn(`[tts-cache] Could not cache ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  async remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    await fs.unlink(this.filePath(entry)).catch(() => {});
+  }
+
+  // Drops expired entries, then least recently used ones until under maxBytes
+  async evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - Date.parse(entry.createdAt) > this.maxAgeMs) {
+        this.stats.expired++;
+        await this.remove(key);
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.stats.evictions++;
+      await this.remove(key);
+    }
+  }
+
+  /**
+   * Deletes every cached clip
+   * @returns {Promise<{removed: number, freedBytes: number}>}
+   */
+  async purge() {
+    const removed = this.entries.size;
+    const freedBytes = this.bytes;
+    for (const key of Array.from(this.entries.keys())) await this.remove(key);
+    await this.save();
+    return { removed, freedBytes };
+  }
+
+  save() {
+    return this.writer.save({ entries: Array.from(this.entries.values()) });
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  describe() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      directory: this.directory,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      maxAgeMs: this.maxAgeMs,
+      ...this.stats,
+      hitRate: lookups ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+    };
+  }
+}
+
+export default TTSCache;
@@ -0,0 +1,283 @@
+import AudioErrorHandler from "../../utils/AudioErrorHandler.js";
+import CircuitBreaker from "../../utils/CircuitBreaker.js";
+import RetryPolicy from "../../utils/RetryPolicy.js";
+import CommandTTSProvider from "./CommandTTSProvider.js";
+import ElevenLabsTTSProvider from "./ElevenLabsTTSProvider.js";
+import OpenAITTSProvider from "./OpenAITTSProvider.js";
+import SilentTTSProvider from "./SilentTTSProvider.js";
+
+// Errors caused by the input itself: another provider would fail the same way
+const INPUT_ERROR_CODES = ["EMPTY_TEXT"];
+// Input the provider rejects: says nothing about the provider's health
+const REJECTED_INPUT_CODES = ["EMPTY_TEXT", "TEXT_TOO_LONG"];
+
+/**
+ * Holds the text-to-speech providers and the ordered chain used for every
+ * message. Every provider implements `synthesize(text, outputBase, { voice })`
+ * (writing `<outputBase>.<extension>`), `isConfigured()` and `describe()`, and
+ * exposes `extension` / `mimeType`. Failures carry an `errorCode` and a
+ * `retryable` flag: retryable ones are first retried on the same provider
+ * under the retry policy; then any failure (quota exhausted, invalid key,
+ * an outage that outlived the retries...) moves on to the next provider in
+ * the chain. Each provider has a circuit breaker: after repeated
+ * failures the provider is skipped (so the chain falls back) until a probe
+ * succeeds after the cooldown.
+ * With a TTSCache, each provider's clip is looked up before calling it, so
+ * repeated sentences cost nothing; providers that implement
+ * `cacheSettings({ voice })` describe what besides the text changes the audio.
+ */
+class TTSProviderRegistry {
+  /**
+   * @param {Array<string>} [chain] - Provider names in fallback order
+   * @param {Object} [options]
+   * @param {import("./TTSCache.js").default} [options.cache] - Audio cache
+   * @param {RetryPolicy} [options.retryPolicy] - Retries of retryable failures (none by default)
+   * @param {Object} [options.breaker] - CircuitBreaker options for every provider
+   */
+  constructor(
+    chain = ["elevenlabs"],
+    { cache = null, retryPolicy = new RetryPolicy({ maxAttempts: 1 }), breaker = {} } = {}
+  ) {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.chain = chain;
+    this.cache = cache;
+    this.retryPolicy = retryPolicy;
+    this.breakerOptions = breaker;
+  }
+
+  /**
+   * Builds the registry from environment variables:
+   * TTS_PROVIDERS (e.g. "elevenlabs,openai,local"), OPENAI_TTS_MODEL,
+   * OPENAI_TTS_VOICE, TTS_LOCAL_COMMAND, TTS_LOCAL_VOICE, TTS_LOCAL_TIMEOUT_MS,
+   * TTS_RETRY_MAX_ATTEMPTS, TTS_RETRY_BASE_MS, TTS_RETRY_DEADLINE_MS,
+   * TTS_BREAKER_THRESHOLD and TTS_BREAKER_COOLDOWN_MS
+   * @param {Object} env - Environment variables
+   * @param {Object} services
+   * @param {import("../ElevenLabsService.js").default} services.elevenLabsService - Shared ElevenLabs client
+   * @param {import("./TTSCache.js").default} [services.cache] - Audio cache
+   * @returns {TTSProviderRegistry}
+   */
+  static fromEnv(env = process.env, { elevenLabsService, cache = null }) {
+    const chain = (env.TTS_PROVIDERS || "elevenlabs")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    // Honors the providers' `retryable` flag and the codes AudioErrorHandler treats as transient
+    const audioErrors = new AudioErrorHandler();
+    const registry = new TTSProviderRegistry(chain, {
+      cache,
+      retryPolicy: new RetryPolicy({
+        maxAttempts: Number(env.TTS_RETRY_MAX_ATTEMPTS) || 3,
+        baseDelayMs: Number(env.TTS_RETRY_BASE_MS) || 500,
+        deadlineMs: Number(env.TTS_RETRY_DEADLINE_MS) || 15000,
+        isRetryable: (result) =>
+          result.retryable === true ||
+          audioErrors.isRetryableError(result.errorCode),
+      }),
+      breaker: {
+        failureThreshold: Number(env.TTS_BREAKER_THRESHOLD) || 5,
+        cooldownMs: Number(env.TTS_BREAKER_COOLDOWN_MS) || 30000,
+      },
+    });
+
+    registry.register(new ElevenLabsTTSProvider({ service: elevenLabsService }));
+    registry.register(
+      new OpenAITTSProvider({
+        model: env.OPENAI_TTS_MODEL || "tts-1",
+        voice: env.OPENAI_TTS_VOICE || "nova",
+      })
+    );
+    registry.register(
+      new CommandTTSProvider({
+        command: env.TTS_LOCAL_COMMAND,
+        voice: env.TTS_LOCAL_VOICE || "es",
+        timeoutMs: Number(env.TTS_LOCAL_TIMEOUT_MS) || 20000,
+      })
+    );
+    registry.register(new SilentTTSProvider());
+
+    const unknown = chain.filter((name) => !registry.has(name));
+    if (unknown.length > 0) {
+      console.warn(`[tts] Ignoring unknown TTS provider(s): ${unknown.join(", ")}`);
+      registry.chain = chain.filter((name) => registry.has(name));
+    }
+    if (registry.chain.length === 0) registry.chain = ["elevenlabs"];
+
+    return registry;
+  }
+
+  /**
+   * @param {Object} provider - Provider instance with a unique `name`
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(
+      provider.name,
+      new CircuitBreaker({ ...this.breakerOptions, name: `tts:${provider.name}` })
+    );
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  resolve(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * @returns {boolean} Whether any provider in the chain is set up (open circuits included)
+   */
+  isConfigured() {
+    return this.chain.some((name) => this.resolve(name)?.isConfigured());
+  }
+
+  /**
+   * Synthesizes with the first provider of the chain that succeeds, retrying
+   * transient errors before falling back and skipping providers whose
+   * circuit is open
+   * @param {string} text - Text to speak
+   * @param {string} outputBase - Output path without extension
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.voices] - Voice per provider name
+   * @param {Array<string>} [options.extensions] - Only use providers writing these formats
+   * @returns {Promise<{success: boolean, provider?: string, file?: string, mimeType?: string, cached?: boolean, error?: string, errorCode?: string, retryable?: boolean, attempts: Array<Object>}>}
+   */
+  async synthesize(text, outputBase, { voices = {}, extensions } = {}) {
+    if (!text || text.trim().length === 0) {
+      return {
+        success: false,
+        error: "No text provided for audio generation",
+        errorCode: "EMPTY_TEXT",
+        retryable: false,
+        attempts: [],
+      };
+    }
+
+    const attempts = [];
+    let failure = null;
+    for (const name of this.chain) {
+      const provider = this.resolve(name);
+      if (!provider.isConfigured()) continue;
+      if (extensions && !extensions.includes(provider.extension)) continue;
+
+      const cacheKey =
+        this.cache && provider.cacheable !== false
+          ? this.cache.keyFor({
+              provider: name,
+              settings: provider.cacheSettings?.({ voice: voices[name] }),
+              text,
+            })
+          : null;
+      if (cacheKey) {
+        const hit = await this.cache.get(cacheKey, outputBase);
+        if (hit) {
+          return { success: true, provider: name, cached: true, ...hit, attempts };
+        }
+      }
+
+      const breaker = this.breakers.get(name);
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: name, errorCode: "CIRCUIT_OPEN" });
+        failure = {
+          error: `${name} skipped: circuit open after repeated failures`,
+          errorCode: "CIRCUIT_OPEN",
+          retryable: true,
+          provider: name,
+        };
+        continue;
+      }
+
+      const result = await this.retryPolicy.run(async () => {
+        try {
+          return await provider.synthesize(text, outputBase, {
+            voice: voices[name],
+          });
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message,
+            errorCode: "UNKNOWN_ERROR",
+            retryable: false,
+          };
+        }
+      });
+      if (result.success) {
+        breaker.recordSuccess();
+        if (cacheKey) {
+          await this.cache.put(cacheKey, result.file, {
+            provider: name,
+            extension: provider.extension,
+            mimeType: provider.mimeType,
+          });
+        }
+        if (attempts.length > 0) {
+          console.warn(
+            `[tts] ${name} used after ${attempts
+              .map((a) => `${a.provider} (${a.errorCode})`)
+              .join(", ")}`
+          );
+        }
+        return {
+          success: true,
+          provider: name,
+          file: result.file,
+          mimeType: provider.mimeType,
+          cached: false,
+          attempts,
+        };
+      }
+
+      // A rejected text is not the provider's fault
+      if (REJECTED_INPUT_CODES.includes(result.errorCode)) {
+        breaker.release();
+      } else {
+        breaker.recordFailure(result.errorCode);
+      }
+      attempts.push({
+        provider: name,
+        errorCode: result.errorCode,
+        tries: result.attempts,
+      });
+      failure = { ...result, provider: name };
+      // Transient errors that outlived the retries fall back like the others
+      if (INPUT_ERROR_CODES.includes(result.errorCode)) break;
+    }
+
+    return {
+      success: false,
+      ...(failure || {
+        error: "No text-to-speech provider configured",
+        errorCode: "NO_TTS_PROVIDER",
+        retryable: false,
+      }),
+      attempts,
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Providers of the chain currently skipped by their circuit
+   */
+  openCircuits() {
+    return this.chain.filter(
+      (name) => this.breakers.get(name)?.state === "open"
+    );
+  }
+
+  /**
+   * @returns {Object} Registry description for /health
+   */
+  describe() {
+    return {
+      chain: this.chain,
+      providers: Array.from(this.providers.values()).map((p) => ({
+        ...p.describe(),
+        circuit: this.breakers.get(p.name).describe(),
+      })),
+      cache: this.cache ? this.cache.describe() : null,
+    };
+  }
+}
+
+export default TTSProviderRegistry;
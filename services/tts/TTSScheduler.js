@@ -0,0 +1,112 @@
+/**
+ * TTS Scheduler: runs synthesis jobs with a global concurrency cap (the TTS
+ * plan's concurrent request limit) and shares the slots fairly between
+ * sessions. Each session has its own FIFO queue; when a slot frees up, the
+ * session served longest ago goes next, so one chatty kiosk sending long
+ * turns cannot starve the others. Jobs of a session start in the order they
+ * were scheduled.
+ */
+class TTSScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Jobs running at once across all sessions
+   */
+  constructor({ concurrency = 2 } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`TTS concurrency must be a positive integer, got ${concurrency}`);
+    }
+    this.concurrency = concurrency;
+    this.running = 0;
+    this.queues = new Map(); // sessionId -> { jobs, lastServed }
+    this.dispatched = 0; // dispatch counter, orders sessions by last service
+    this.stats = { completed: 0, failed: 0, peakQueued: 0, maxWaitMs: 0 };
+  }
+
+  /**
+   * Queues a job for a session
+   * @param {string} sessionId - Session the audio belongs to
+   * @param {Function} job - Async function doing the synthesis
+   * @returns {Promise<*>} Settles with the job's result
+   */
+  run(sessionId, job) {
+    return new Promise((resolve, reject) => {
+      let queue = this.queues.get(sessionId);
+      if (!queue) {
+        queue = { jobs: [], lastServed: -1 };
+        this.queues.set(sessionId, queue);
+      }
+      queue.jobs.push({ job, resolve, reject, queuedAt: Date.now() });
+      this.stats.peakQueued = Math.max(this.stats.peakQueued, this.queued());
+      this.dispatch();
+    });
+  }
+
+  /**
+   * @returns {number} Jobs waiting for a slot
+   */
+  queued() {
+    let count = 0;
+    for (const queue of this.queues.values()) count += queue.jobs.length;
+    return count;
+  }
+
+  // Session with waiting jobs that was served longest ago
+  nextSession() {
+    let next = null;
+    for (const queue of this.queues.values()) {
+      if (queue.jobs.length === 0) continue;
+      if (!next || queue.lastServed < next.lastServed) next = queue;
+    }
+    return next;
+  }
+
+  dispatch() {
+    while (this.running < this.concurrency) {
+      const queue = this.nextSession();
+      if (!queue) {
+        // Drained queues keep their turn while others wait; forget them once idle
+        this.queues.clear();
+        return;
+      }
+
+      const task = queue.jobs.shift();
+      queue.lastServed = this.dispatched++;
+
+      this.stats.maxWaitMs = Math.max(
+        this.stats.maxWaitMs,
+        Date.now() - task.queuedAt
+      );
+      this.running++;
+      Promise.resolve()
+        .then(task.job)
+        .then(
+          (result) => {
+            this.stats.completed++;
+            task.resolve(result);
+          },
+          (error) => {
+            this.stats.failed++;
+            task.reject(error);
+          }
+        )
+        .finally(() => {
+          this.running--;
+          this.dispatch();
+        });
+    }
+  }
+
+  describe() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.queued(),
+      waitingSessions: Array.from(this.queues.values()).filter(
+        (queue) => queue.jobs.length > 0
+      ).length,
+      ...this.stats,
+    };
+  }
+}
+
+export default TTSScheduler;
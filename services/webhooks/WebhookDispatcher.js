@@ -0,0 +1,349 @@
+import { createHmac, randomUUID } from "crypto";
+import { promises as fs, readFileSync } from "fs";
+import { createJsonWriter } from "../../utils/jsonFile.js";
+
+export const WEBHOOK_EVENTS = [
+  "lead.qualified",
+  "meeting.requested",
+  "meeting.booked",
+  "meeting.cancelled",
+  "trivia.prize_won",
+  "session.ended",
+  "webhook.test",
+];
+
+// Network errors, timeouts, 408, 429 and 5xx are retried; other 4xx are final
+const isRetryableStatus = (status) =>
+  status === 408 || status === 429 || status >= 500;
+
+/**
+ * Signs a payload the way receivers verify it:
+ * `X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+ * @param {string} secret - Shared secret of the endpoint
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds
+ * @returns {string} Header value
+ */
+export const signPayload = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Webhook Dispatcher: pushes fair events (qualified leads, meeting requests,
+ * prizes, ended sessions) to the configured endpoints. Each delivery is
+ * signed (when the endpoint or the dispatcher has a secret), retried with
+ * jittered exponential backoff and recorded in a delivery log
+ * that is persisted, so deliveries pending at shutdown resume on restart.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Array<{url: string, secret?: string, events?: Array<string>}>} options.endpoints - Receivers (all events when `events` is omitted)
+   * @param {string} [options.secret] - Default signing secret
+   * @param {string} [options.file] - JSON file for the delivery log (memory only when omitted)
+   * @param {number} [options.maxAttempts] - Attempts per delivery, including the first
+   * @param {number} [options.baseDelayMs] - Delay before the first retry (doubles each time)
+   * @param {number} [options.maxDelayMs] - Upper bound for the retry delay
+   * @param {number} [options.timeoutMs] - Timeout per attempt
+   * @param {number} [options.logLimit] - Deliveries kept in the log
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Function} [options.random] - Random source in [0, 1) for the retry jitter, for tests
+   */
+  constructor({
+    endpoints = [],
+    secret = null,
+    file = null,
+    maxAttempts = 6,
+    baseDelayMs = 2000,
+    maxDelayMs = 5 * 60 * 1000,
+    timeoutMs = 5000,
+    logLimit = 500,
+    fetch = globalThis.fetch,
+    random = Math.random,
+  } = {}) {
+    this.endpoints = endpoints.map((endpoint) => {
+      const url = new URL(endpoint.url); // throws on invalid URLs
+      const unknown = (endpoint.events || []).filter(
+        (type) => !WEBHOOK_EVENTS.includes(type)
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Webhook ${url.origin} subscribes to unknown event(s): ${unknown.join(", ")}`
+        );
+      }
+      if (!endpoint.secret && !secret) {
+        console.warn(
+          `[webhooks] ${url.origin}${url.pathname} has no secret; its deliveries are not signed`
+        );
+      }
+      return {
+        url: url.toString(),
+        secret: endpoint.secret || secret,
+        events: endpoint.events || null,
+      };
+    });
+    this.file = file;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logLimit = logLimit;
+    this.fetch = fetch;
+    this.random = random;
+    this.deliveries = new Map(); // id -> delivery (insertion order = log order)
+    this.timers = new Map(); // id -> retry timer
+    this.inFlight = new Set();
+    this.writer = createJsonWriter(this.file, "webhooks");
+  }
+
+  /**
+   * Loads the endpoints from a JSON config file ({ endpoints: [...] })
+   * @param {string} configFile - Path to the config
+   * @param {Object} [options] - Extra constructor options
+   * @returns {WebhookDispatcher}
+   */
+  static fromFile(configFile, options = {}) {
+    const config = JSON.parse(readFileSync(configFile, "utf8"));
+    return new WebhookDispatcher({ ...options, endpoints: config.endpoints });
+  }
+
+  /**
+   * Restores the delivery log and resumes pending deliveries
+   * @returns {Promise<number>} Deliveries loaded
+   */
+  async load() {
+    if (!this.file) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, "utf8"));
+      for (const delivery of data.deliveries || []) {
+        this.deliveries.set(delivery.id, delivery);
+        if (delivery.status === "pending") this.schedule(delivery, 0);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`[webhooks] Could not read ${this.file}:`, error.message);
+      }
+    }
+    return this.deliveries.size;
+  }
+
+  /**
+   * Queues an event for every endpoint subscribed to it
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload
+   * @param {Object} [options]
+   * @param {boolean} [options.allEndpoints] - Ignore subscriptions (test events)
+   * @returns {Array<Object>} Queued deliveries
+   */
+  emit(type, data, { allEndpoints = false } = {}) {
+    if (!WEBHOOK_EVENTS.includes(type)) {
+      throw new Error(`Unknown webhook event "${type}"`);
+    }
+    const event = {
+      id: randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    const body = JSON.stringify(event);
+
+    const queued = this.endpoints
+      .filter(
+        (endpoint) =>
+          allEndpoints || !endpoint.events || endpoint.events.includes(type)
+      )
+      .map((endpoint) => {
+        const delivery = {
+          id: randomUUID(),
+          eventId: event.id,
+          event: type,
+          url: endpoint.url,
+          body,
+          status: "pending",
+          attempts: [],
+          createdAt: event.createdAt,
+          nextAttemptAt: event.createdAt,
+          completedAt: null,
+        };
+        this.deliveries.set(delivery.id, delivery);
+        this.schedule(delivery, 0);
+        return delivery;
+      });
+
+    if (queued.length > 0) {
+      this.trimLog();
+      this.save();
+    }
+    return queued;
+  }
+
+  /**
+   * Backoff before attempt `attempt + 1`: base * 2^(attempt - 1), capped,
+   * then ±20% jitter so deliveries that failed in the same outage do not
+   * all retry at the same moment
+   * @param {number} attempt - Attempts made so far (>= 1)
+   * @returns {number} Milliseconds
+   */
+  retryDelay(attempt) {
+    const delay = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(delay * (0.8 + 0.4 * this.random()));
+  }
+
+  schedule(delivery, delayMs) {
+    clearTimeout(this.timers.get(delivery.id));
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      const attempt = this.attempt(delivery).finally(() =>
+        this.inFlight.delete(attempt)
+      );
+      this.inFlight.add(attempt);
+    }, delayMs);
+    timer.unref?.();
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * Sends one attempt and schedules the retry when it fails
+   * @param {Object} delivery - Delivery from the log
+   * @returns {Promise<void>}
+   */
+  async attempt(delivery) {
+    const endpoint = this.endpoints.find((e) => e.url === delivery.url);
+    const startedAt = Date.now();
+    const record = {
+      at: new Date(startedAt).toISOString(),
+      status: null,
+      error: null,
+    };
+
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "business-assistant-webhooks/1.0",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Id": delivery.eventId,
+      "X-Webhook-Delivery": delivery.id,
+    };
+    if (endpoint?.secret) {
+      headers["X-Webhook-Signature"] = signPayload(
+        endpoint.secret,
+        delivery.body
+      );
+    }
+
+    let retryable = true;
+    try {
+      if (!endpoint) {
+        retryable = false;
+        throw new Error("Endpoint is no longer configured");
+      }
+      const response = await this.fetch(delivery.url, {
+        method: "POST",
+        headers,
+        body: delivery.body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      record.status = response.status;
+      if (!response.ok) {
+        retryable = isRetryableStatus(response.status);
+        throw new Error(`HTTP ${response.status}`);
+      }
+      delivery.status = "delivered";
+    } catch (error) {
+      // fetch wraps network failures ("fetch failed"); the cause has the code
+      record.error =
+        error.name === "TimeoutError"
+          ? "Timeout"
+          : error.cause?.code || error.cause?.message || error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (delivery.status === "delivered") {
+      delivery.completedAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else if (retryable && delivery.attempts.length < this.maxAttempts) {
+      this.schedule(delivery, this.retryDelay(delivery.attempts.length));
+    } else {
+      delivery.status = "failed";
+      delivery.completedAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      console.warn(
+        `[webhooks] ${delivery.event} to ${delivery.url} failed after ${delivery.attempts.length} attempt(s): ${record.error}`
+      );
+    }
+    this.save();
+  }
+
+  // Keeps the newest `logLimit` deliveries, never dropping pending ones
+  trimLog() {
+    let excess = this.deliveries.size - this.logLimit;
+    for (const [id, delivery] of this.deliveries) {
+      if (excess <= 0) break;
+      if (delivery.status === "pending") continue;
+      this.deliveries.delete(id);
+      excess--;
+    }
+  }
+
+  /**
+   * Delivery log, newest first (bodies omitted)
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum deliveries
+   * @param {string} [options.status] - pending | delivered | failed
+   * @returns {Array<Object>}
+   */
+  list({ limit = 50, status } = {}) {
+    return Array.from(this.deliveries.values())
+      .reverse()
+      .filter((delivery) => !status || delivery.status === status)
+      .slice(0, limit)
+      .map(({ body, ...delivery }) => delivery);
+  }
+
+  /**
+   * Resolves once no attempt is running or waiting for a retry
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.inFlight.size > 0 || this.timers.size > 0) {
+      await Promise.all(this.inFlight);
+      if (this.timers.size > 0) await new Promise((r) => setTimeout(r, 5));
+    }
+    await this.writer.flush();
+  }
+
+  save() {
+    return this.writer.save({ deliveries: Array.from(this.deliveries.values()) });
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  // Stops pending retries (they resume from the log on the next load)
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  describe() {
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    for (const delivery of this.deliveries.values()) counts[delivery.status]++;
+    return {
+      endpoints: this.endpoints.length,
+      signed: this.endpoints.filter((e) => e.secret).length,
+      ...counts,
+      persisted: !!this.file,
+    };
+  }
+}
+
+export default WebhookDispatcher;
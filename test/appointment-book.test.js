@@ -0,0 +1,112 @@
+/**
+ * Appointment Book Tests
+ * Business-hours slots, bookings and the scheduling tools used by the model
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import AppointmentBook from '../services/appointments/AppointmentBook.js';
+import { zonedTimeToInstant } from '../utils/timezone.js';
+import createAppointmentTools from '../services/appointments/appointmentTools.js';
+
+// Friday 13 March 2026, 16:00 in Lima (UTC-5)
+const now = () => Date.parse('2026-03-13T21:00:00Z');
+
+const newBook = (options = {}) =>
+  new AppointmentBook({
+    timezone: 'America/Lima',
+    open: '09:00',
+    close: '18:00',
+    slotMinutes: 60,
+    leadTimeMinutes: 60,
+    horizonDays: 7,
+    now,
+    ...options
+  });
+
+describe('AppointmentBook', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'appointments-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should only offer weekday slots inside business hours, after the lead time', () => {
+    const slots = newBook().availableSlots({ limit: 3 });
+
+    // 16:00 is within the lead time, 17:00-18:00 is the last slot of Friday
+    expect(slots.map(s => s.start)).toEqual([
+      '2026-03-13T22:00:00.000Z',
+      '2026-03-16T14:00:00.000Z',
+      '2026-03-16T15:00:00.000Z'
+    ]);
+    expect(slots[1].label).toMatch(/lunes.*16.*marzo.*09:00/);
+    expect(newBook().availableSlots({ date: '2026-03-14' })).toEqual([]);
+    expect(newBook({ closedDates: ['2026-03-16'] }).availableSlots({ date: '2026-03-16' })).toEqual([]);
+  });
+
+  it('should convert local business hours across DST changes', () => {
+    // 09:00 in Madrid is 08:00Z in winter and 07:00Z after the March change
+    const date = { year: 2026, month: 3, day: 27 };
+    expect(new Date(zonedTimeToInstant(date, 540, 'Europe/Madrid')).toISOString()).toBe('2026-03-27T08:00:00.000Z');
+    expect(new Date(zonedTimeToInstant({ ...date, day: 30 }, 540, 'Europe/Madrid')).toISOString()).toBe('2026-03-30T07:00:00.000Z');
+  });
+
+  it('should refuse closed hours and double bookings, and reschedule per session', () => {
+    const book = newBook();
+    const [first, second] = newBook().availableSlots({ date: '2026-03-16' });
+
+    expect(() => book.book({ start: '2026-03-15T15:00:00Z' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => book.book({ start: '2026-03-16T14:30:00Z' })).toThrow(/not a meeting slot/);
+
+    const booked = book.book({ start: first.start, sessionId: 's1', contact: { name: 'Ana' } });
+    expect(() => book.book({ start: first.start, sessionId: 's2' })).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(book.availableSlots({ date: '2026-03-16' })[0].start).toBe(second.start);
+
+    const moved = book.book({ start: second.start, sessionId: 's1' });
+    expect(moved.rescheduledFrom).toBe(booked.id);
+    expect(book.get(booked.id)).toMatchObject({ status: 'cancelled', cancelReason: 'rescheduled' });
+    expect(book.list({ status: 'booked' }).map(a => a.id)).toEqual([moved.id]);
+  });
+
+  it('should cancel bookings and keep them across restarts', async () => {
+    const file = path.join(directory, 'appointments.json');
+    const book = newBook({ file });
+    const [slot] = book.availableSlots({ date: '2026-03-17' });
+    const { id } = book.book({ start: slot.start, sessionId: 's1' });
+    await book.flush();
+
+    const restarted = newBook({ file });
+    expect(await restarted.load()).toBe(1);
+    expect(restarted.availableSlots({ date: '2026-03-17' })[0].start).not.toBe(slot.start);
+
+    restarted.cancel(id, { reason: 'no show' });
+    expect(() => restarted.cancel(id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => restarted.cancel('nope')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(restarted.availableSlots({ date: '2026-03-17' })[0].start).toBe(slot.start);
+    await restarted.flush();
+  });
+
+  it('should let the model list slots and book with the session lead as contact', () => {
+    const book = newBook();
+    const tools = createAppointmentTools(book);
+    const context = { sessionId: 's1', lead: { name: 'Ana', contact: { email: 'ana@sol.pe' } } };
+
+    expect(tools.definitions.map(t => t.function.name)).toEqual(['get_available_slots', 'book_appointment']);
+    const { slots } = tools.execute('get_available_slots', '{"date":"2026-03-16","limit":2}', context);
+    expect(slots).toHaveLength(2);
+
+    const result = tools.execute('book_appointment', JSON.stringify({ start: slots[0].start }), context);
+    expect(result).toMatchObject({ booked: true, appointment: { start: slots[0].start } });
+    expect(book.get(result.appointment.id).contact).toMatchObject({ name: 'Ana', email: 'ana@sol.pe' });
+
+    expect(tools.execute('book_appointment', { start: slots[0].start }, { sessionId: 's2' }).error).toMatch(/already booked/);
+    expect(tools.execute('get_available_slots', '{"date": "mañana"}', context).error).toMatch(/YYYY-MM-DD/);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Audio Storage Tests
+ * Safe file names for client session ids, removal after encoding,
+ * retention and disk-cap sweeps, and per-session cleanup
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import AudioStorage, { safeSessionFileName } from '../services/tts/AudioStorage.js';
+import AudioErrorHandler from '../utils/AudioErrorHandler.js';
+
+let directory;
+let storage;
+
+const createStorage = (options = {}) =>
+  new AudioStorage({ directory, errorHandler: new AudioErrorHandler(directory), ...options });
+
+// Writes a clip as a provider would and backdates it by `ageMs`
+const writeClip = async (outputBase, bytes = 10, ageMs = 0) => {
+  const file = `${outputBase}.mp3`;
+  await fs.writeFile(file, Buffer.alloc(bytes, 1));
+  if (ageMs) {
+    const when = new Date(Date.now() - ageMs);
+    await fs.utimes(file, when, when);
+  }
+  return file;
+};
+
+const listDirectory = () => fs.readdir(directory);
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-storage-'));
+  storage = createStorage();
+});
+
+afterEach(async () => {
+  storage.stop();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('AudioStorage', () => {
+  it('should keep client session ids inside the directory', () => {
+    const base = storage.outputBase('../../etc/passwd', 0);
+
+    expect(path.dirname(base)).toBe(directory);
+    expect(path.basename(base)).toMatch(/^message_[A-Za-z0-9_-]+_0_\d+$/);
+    expect(safeSessionFileName('a/b')).not.toBe(safeSessionFileName('a_b'));
+    expect(storage.outputBase('s1', 0)).not.toBe(storage.outputBase('s1', 0));
+  });
+
+  it('should delete the file once it is encoded', async () => {
+    const file = await writeClip(storage.outputBase('s1', 0), 4);
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await storage.encode(file)).toBe(Buffer.alloc(4, 1).toString('base64'));
+    expect(await listDirectory()).toEqual([]);
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+    expect(await storage.encode(file)).toBe('');
+
+    const keeping = createStorage({ keepFiles: true });
+    const kept = await writeClip(keeping.outputBase('s1', 1));
+    await keeping.encode(kept);
+    expect(await listDirectory()).toHaveLength(1);
+  });
+
+  it('should sweep files past the retention window', async () => {
+    storage = createStorage({ retentionMs: 60000 });
+    await writeClip(storage.outputBase('s1', 0), 10, 120000);
+    await writeClip(storage.outputBase('s1', 1), 10, 120000);
+    const fresh = await writeClip(storage.outputBase('s1', 2));
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await storage.sweep()).toBe(2);
+    expect(await listDirectory()).toEqual([path.basename(fresh)]);
+    expect(log.mock.calls).toEqual([['[audio] Swept 2 file(s)']]);
+    expect(await storage.sweep()).toBe(0);
+    expect(log).toHaveBeenCalledTimes(1);
+    log.mockRestore();
+  });
+
+  it('should remove the oldest files while over the disk cap', async () => {
+    storage = createStorage({ maxBytes: 25 });
+    const oldest = await writeClip(storage.outputBase('s1', 0), 10, 3000);
+    await writeClip(storage.outputBase('s1', 1), 10, 2000);
+    await writeClip(storage.outputBase('s2', 0), 10, 1000);
+
+    expect(await storage.sweep()).toBe(1);
+    expect(await listDirectory()).not.toContain(path.basename(oldest));
+    expect(await storage.describe()).toMatchObject({ files: 2, bytes: 20, swept: 1 });
+  });
+
+  it('should clean up only the files of the given session', async () => {
+    await writeClip(storage.outputBase('kiosk-1', 0));
+    await writeClip(storage.outputBase('kiosk-1', 'canned_0'));
+    const other = await writeClip(storage.outputBase('kiosk-10', 0));
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await storage.cleanupSession('kiosk-1')).toBe(2);
+    expect(await listDirectory()).toEqual([path.basename(other)]);
+    expect(log.mock.calls).toEqual([['[audio] Removed 2 file(s) of session kiosk-1']]);
+    expect(await storage.cleanupSession('kiosk-1')).toBe(0);
+    expect(log).toHaveBeenCalledTimes(1);
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Chat Stream Tests
+ * POST /chat/stream over Server-Sent Events with the scripted provider:
+ * event order for a turn and the error event when the provider fails
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import request from 'supertest';
+
+// The OpenAI provider fails, to exercise the error event
+vi.mock('openai', () => ({
+  default: vi.fn().mockImplementation(() => ({
+    chat: {
+      completions: {
+        create: vi.fn().mockRejectedValue(new Error('upstream down'))
+      }
+    }
+  }))
+}));
+
+const directory = mkdtempSync(path.join(tmpdir(), 'chat-stream-'));
+const scriptFile = path.join(directory, 'script.json');
+writeFileSync(scriptFile, JSON.stringify([
+  {
+    messages: [
+      { text: 'Hola, soy Laura', facialExpression: 'smile', animation: 'Talking_0' },
+      { text: '¿Qué negocio tienes?', facialExpression: 'default', animation: 'Talking_1' }
+    ]
+  }
+]));
+
+Object.assign(process.env, {
+  PORT: '0',
+  SESSION_STORE: 'memory',
+  LLM_PROVIDER: 'scripted',
+  LLM_SCRIPT_FILE: scriptFile,
+  OPENAI_API_KEY: 'test-key',
+  ELEVEN_LABS_API_KEY: '',
+  VOICE_ID: 'test-voice-id',
+  TTS_PROVIDERS: 'silent',
+  TTS_CACHE: 'false',
+  AUDIO_TMP_DIR: path.join(directory, 'audio'),
+  PRIZES_STORE_FILE: path.join(directory, 'prizes.json'),
+  LEADS_STORE_FILE: path.join(directory, 'leads.json'),
+  WEBHOOKS_STORE_FILE: path.join(directory, 'webhooks.json'),
+  APPOINTMENTS_STORE_FILE: path.join(directory, 'appointments.json')
+});
+
+// Collects the raw stream and splits it into { event, data } records
+const parseEvents = (res, callback) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { body += chunk; });
+  res.on('end', () => {
+    const events = body
+      .split('\n\n')
+      .filter(block => block.startsWith('event: '))
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return {
+          event: eventLine.slice('event: '.length),
+          data: JSON.parse(dataLine.slice('data: '.length))
+        };
+      });
+    callback(null, events);
+  });
+};
+
+const stream = (app, body) =>
+  request(app).post('/chat/stream').send(body).buffer(true).parse(parseEvents);
+
+describe('POST /chat/stream', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = (await import('../index.js')).default;
+  });
+
+  afterAll(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should stream every message, then its audio, then done', async () => {
+    const response = await stream(app, { message: 'Hola', sessionId: 'stream_1' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(response.body.map(e => `${e.event}:${e.data.index ?? ''}`))
+      .toEqual(['message:0', 'message:1', 'audio:0', 'audio:1', 'done:']);
+
+    const [first, , firstAudio, , done] = response.body;
+    expect(first.data).toMatchObject({ text: 'Hola, soy Laura', facialExpression: 'smile' });
+    expect(firstAudio.data.audioMime).toBe('audio/wav');
+    expect(firstAudio.data.audio.length).toBeGreaterThan(0);
+    expect(done.data).toMatchObject({
+      sessionId: 'stream_1',
+      provider: 'scripted',
+      messageCount: 2,
+      resetSuggested: false
+    });
+  });
+
+  it('should end the stream with an error event when the provider fails', async () => {
+    const response = await stream(app, { message: 'Hola', sessionId: 'stream_2', provider: 'openai' });
+
+    expect(response.body.map(e => e.event)).toEqual(['error']);
+    expect(response.body[0].data.error).toBe('Failed to process chat request');
+    expect(response.body[0].data.messages.length).toBeGreaterThan(0);
+  });
+
+  it('should answer unknown providers with a 400 before streaming', async () => {
+    const response = await request(app)
+      .post('/chat/stream')
+      .send({ message: 'Hola', provider: 'nope' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.availableProviders).toContain('scripted');
+  });
+});
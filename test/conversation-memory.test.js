@@ -0,0 +1,79 @@
+/**
+ * Conversation Memory Tests
+ * Rolling summary of older turns once the raw turns exceed the token budget
+ */
+
+import { describe, it, expect } from 'vitest';
+import ConversationMemory from '../services/sessions/ConversationMemory.js';
+
+const sessionWith = (turnCount, words = 20) => ({
+  sessionId: 'kiosk_1',
+  history: [
+    { role: 'system', content: 'prompt' },
+    ...Array.from({ length: turnCount }, (_, i) => ({
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: `mensaje ${i} ${'palabra '.repeat(words)}`
+    }))
+  ]
+});
+
+// Provider that records its requests and answers with `content`
+const provider = (content) => {
+  const requests = [];
+  return {
+    requests,
+    complete: async (request) => {
+      requests.push(request);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { content };
+    }
+  };
+};
+
+describe('ConversationMemory', () => {
+  it('should only summarize past the budget and beyond the recent turns', () => {
+    const memory = new ConversationMemory({ tokenBudget: 100, keepRecent: 4 });
+
+    expect(memory.needsSummary(sessionWith(4, 200))).toBe(false); // all recent
+    expect(memory.needsSummary(sessionWith(8, 2))).toBe(false); // under budget
+    expect(memory.needsSummary(sessionWith(8, 20))).toBe(true);
+  });
+
+  it('should fold older turns into the summary and keep the recent ones raw', async () => {
+    const memory = new ConversationMemory({ tokenBudget: 100, keepRecent: 4 });
+    const session = sessionWith(10);
+    const llm = provider('{"summary": "Ana tiene una ferretería"}');
+
+    expect(await memory.summarize(session, llm)).toBe(true);
+
+    expect(session).toMatchObject({ summary: 'Ana tiene una ferretería', summarizedThrough: 6 });
+    expect(session.history).toHaveLength(11); // raw history is never cut
+    expect(llm.requests[0].messages[1].content).toContain('mensaje 5');
+    expect(llm.requests[0].messages[1].content).not.toContain('mensaje 6');
+
+    const parts = memory.getPromptParts(session);
+    expect(parts.systemMessages).toEqual([{ role: 'system', content: 'prompt' }]);
+    expect(parts.summary).toBe('Ana tiene una ferretería');
+    expect(parts.turns.map(m => m.content.split(' ')[1])).toEqual(['6', '7', '8', '9']);
+  });
+
+  it('should share one request between concurrent calls', async () => {
+    const memory = new ConversationMemory({ tokenBudget: 100, keepRecent: 4 });
+    const session = sessionWith(10);
+    const llm = provider('{"summary": "resumen"}');
+
+    await Promise.all([memory.summarize(session, llm), memory.summarize(session, llm)]);
+
+    expect(llm.requests).toHaveLength(1);
+    expect(session.summarizedThrough).toBe(6);
+  });
+
+  it('should leave the session untouched when the provider gives no summary', async () => {
+    const memory = new ConversationMemory({ tokenBudget: 100, keepRecent: 4 });
+    const session = sessionWith(10);
+
+    expect(await memory.summarize(session, provider('no es json'))).toBe(false);
+    expect(session.summary).toBeUndefined();
+    expect(memory.getUnsummarizedTurns(session)).toHaveLength(10);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * iCalendar Tests
+ * Escaping, line folding, VTIMEZONE components and meeting invites rendered
+ * from the appointment book
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildCalendar,
+  buildTimezone,
+  escapeText,
+  foldLine,
+} from '../utils/icalendar.js';
+import AppointmentBook from '../services/appointments/AppointmentBook.js';
+import renderAppointmentCalendar from '../services/appointments/appointmentCalendar.js';
+
+// Viernes 13 de marzo de 2026, 16:00 en Lima
+const now = () => Date.parse('2026-03-13T21:00:00Z');
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('iCalendar', () => {
+  it('should escape text values', () => {
+    expect(escapeText('Demo; planes, precios\\stock\nlunes')).toBe(
+      'Demo\\; planes\\, precios\\\\stock\\nlunes'
+    );
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Áreas de inventario y facturación '.repeat(8)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    }
+    expect(parts.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+    expect(unfold(folded)).toBe(line);
+  });
+
+  it('should describe fixed and daylight saving timezones', () => {
+    const lima = buildTimezone('America/Lima', [2026]);
+    expect(lima).toContain('TZOFFSETTO:-0500');
+    expect(lima.filter((line) => line === 'BEGIN:STANDARD')).toHaveLength(1);
+    expect(lima).not.toContain('BEGIN:DAYLIGHT');
+
+    const madrid = buildTimezone('Europe/Madrid', [2026]);
+    // 29 de marzo 02:00 +01:00 -> +02:00; 25 de octubre 03:00 +02:00 -> +01:00
+    expect(madrid.join('\n')).toContain(
+      'BEGIN:DAYLIGHT\nDTSTART:20260329T020000\nTZOFFSETFROM:+0100\nTZOFFSETTO:+0200'
+    );
+    expect(madrid.join('\n')).toContain(
+      'BEGIN:STANDARD\nDTSTART:20261025T030000\nTZOFFSETFROM:+0200\nTZOFFSETTO:+0100'
+    );
+  });
+
+  it('should build a calendar with CRLF line endings and local start times', () => {
+    const calendar = buildCalendar({
+      timeZone: 'America/Lima',
+      events: [
+        {
+          uid: 'abc@example.com',
+          start: '2026-03-16T14:00:00.000Z',
+          end: '2026-03-16T14:30:00.000Z',
+          summary: 'Demo',
+          stamp: Date.parse('2026-03-13T21:00:00Z'),
+        },
+      ],
+    });
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+    expect(calendar).toContain('DTSTART;TZID=America/Lima:20260316T090000\r\n');
+    expect(calendar).toContain('DTEND;TZID=America/Lima:20260316T093000\r\n');
+    expect(calendar).toContain('DTSTAMP:20260313T210000Z\r\n');
+  });
+
+  it('should render a booked meeting as an invite and bump SEQUENCE on cancel', () => {
+    const book = new AppointmentBook({
+      now,
+      title: 'Demo de Control Facilito',
+      organizer: { name: 'Ventas, Control Facilito', email: 'ventas@example.com' },
+    });
+    const [slot] = book.availableSlots({ limit: 1 });
+    const appointment = book.book({
+      start: slot.start,
+      sessionId: 's1',
+      contact: { name: 'Ana', company: 'Bodega Sol', email: 'ana@example.com' },
+      notes: 'Inventario',
+      summary: 'Rubro: bodega\nPreguntó por el plan Pro',
+    });
+
+    const invite = unfold(renderAppointmentCalendar(book, [appointment]));
+    expect(invite).toContain(`UID:${appointment.id}@business-assistant`);
+    expect(invite).toContain('SUMMARY:Demo de Control Facilito – Bodega Sol');
+    expect(invite).toContain('ORGANIZER;CN="Ventas, Control Facilito":mailto:ventas@example.com');
+    expect(invite).toContain(
+      'ATTENDEE;CN=Ana;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ana@example.com'
+    );
+    expect(invite).toContain(
+      'DESCRIPTION:Cliente: Ana (Bodega Sol)\\nContacto: ana@example.com\\nTema: Inventario\\n\\nRubro: bodega\\nPreguntó por el plan Pro'
+    );
+    expect(invite).toContain('STATUS:CONFIRMED\r\nSEQUENCE:0');
+
+    book.cancel(appointment.id, { reason: 'cliente no disponible' });
+    const cancelled = unfold(renderAppointmentCalendar(book, [appointment]));
+    expect(cancelled).toContain('STATUS:CANCELLED\r\nSEQUENCE:1');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * JSON File Tests
+ * Atomic writes and the serialized JSON writer shared by the file-backed stores
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonWriter, writeFileAtomic } from '../utils/jsonFile.js';
+
+describe('jsonFile', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should write atomically into a directory it creates', async () => {
+    const file = path.join(directory, 'nested', 'data.json');
+    await writeFileAtomic(file, '{"ok":true}');
+
+    expect(await fs.readFile(file, 'utf8')).toBe('{"ok":true}');
+    expect(await fs.readdir(path.dirname(file))).toEqual(['data.json']);
+  });
+
+  it('should leave the file with the data of the last save', async () => {
+    const file = path.join(directory, 'store.json');
+    const writer = createJsonWriter(file, 'test');
+
+    writer.save({ items: [1] });
+    writer.save({ items: [1, 2] });
+    await writer.flush();
+
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({ items: [1, 2] });
+  });
+
+  it('should log failed writes instead of throwing', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const blocked = path.join(directory, 'not-a-directory');
+    await fs.writeFile(blocked, '');
+
+    await expect(createJsonWriter(path.join(blocked, 'store.json'), 'test').save({})).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith('[test] Failed to persist store.json:', expect.any(String));
+    error.mockRestore();
+
+    await expect(createJsonWriter(null, 'test').save({})).resolves.toBeUndefined();
+  });
+});
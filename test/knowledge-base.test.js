@@ -0,0 +1,82 @@
+/**
+ * Knowledge Base Tests
+ * Parsing, chunking and BM25 retrieval of local knowledge documents
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import KnowledgeBase, { chunkText } from '../services/knowledge/KnowledgeBase.js';
+import { parseHtml } from '../services/knowledge/documentParser.js';
+import { tokenize } from '../services/knowledge/BM25Index.js';
+
+describe('KnowledgeBase', () => {
+  let directory;
+  let knowledgeBase;
+
+  beforeAll(async () => {
+    directory = mkdtempSync(path.join(tmpdir(), 'knowledge-'));
+    writeFileSync(path.join(directory, 'planes.md'), [
+      '# Planes',
+      '## Estándar',
+      'Ventas, compras e inventarios para 1 usuario y 1 sucursal.',
+      '## Empresarial',
+      'Facturación ilimitada, contabilidad y hasta 15 usuarios.'
+    ].join('\n'));
+    writeFileSync(path.join(directory, 'faq.json'), JSON.stringify({
+      title: 'Preguntas frecuentes',
+      faqs: [{ question: '¿Necesito instalar algo?', answer: 'No, funciona en la nube desde el navegador.' }]
+    }));
+    writeFileSync(path.join(directory, 'roto.json'), '{ no es json');
+
+    knowledgeBase = new KnowledgeBase({ directory, minScore: 0.1 });
+  });
+
+  afterAll(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should index valid documents and report the broken ones', async () => {
+    const { documents, passages, errors } = await knowledgeBase.load();
+
+    expect(documents).toBe(2);
+    expect(passages).toBe(3);
+    expect(errors.map(e => e.file)).toEqual(['roto.json']);
+  });
+
+  it('should rank the passage that answers the question first, with its source', () => {
+    const [best] = knowledgeBase.search('¿Cuántos usuarios incluye el plan empresarial?');
+
+    expect(best).toMatchObject({ source: 'planes.md', heading: 'Empresarial', title: 'Planes' });
+    expect(best.text).toContain('15 usuarios');
+  });
+
+  it('should match regardless of accents and plurals', () => {
+    expect(tokenize('Facturación ILIMITADA, planes')).toEqual(['facturacion', 'ilimitada', 'plan']);
+    expect(knowledgeBase.search('instalacion nube')[0].source).toBe('faq.json');
+  });
+
+  it('should return nothing for small talk', () => {
+    expect(knowledgeBase.search('hola')).toEqual([]);
+  });
+
+  it('should split long sections into overlapping chunks', () => {
+    const words = Array.from({ length: 25 }, (_, i) => `w${i}`).join(' ');
+    const chunks = chunkText(words, 10, 2);
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[1].split(' ')[0]).toBe('w8');
+    expect(chunks[2].split(' ').at(-1)).toBe('w24');
+  });
+
+  it('should extract headings and visible text from HTML', () => {
+    const { title, sections } = parseHtml(
+      '<html><head><title>Módulos</title><style>p{}</style></head><body>' +
+      '<h2>Inventarios</h2><p>Stock por sucursal &amp; alertas.</p><script>x()</script></body></html>'
+    );
+
+    expect(title).toBe('Módulos');
+    expect(sections).toEqual([{ heading: 'Inventarios', text: 'Stock por sucursal & alertas.' }]);
+  });
+});
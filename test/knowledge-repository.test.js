@@ -0,0 +1,80 @@
+/**
+ * Knowledge Repository Tests
+ * Versioned storage of the documents managed through /admin/knowledge
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import KnowledgeRepository from '../services/knowledge/KnowledgeRepository.js';
+import KnowledgeBase from '../services/knowledge/KnowledgeBase.js';
+
+describe('KnowledgeRepository', () => {
+  let directory;
+  let repository;
+
+  beforeEach(async () => {
+    directory = mkdtempSync(path.join(tmpdir(), 'knowledge-admin-'));
+    repository = await new KnowledgeRepository({ directory }).load();
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should archive the previous content on every update', async () => {
+    await repository.create('promo.md', '# Promo\nDescuento del 20%.');
+    const updated = await repository.update('promo.md', { content: '# Promo\nDescuento del 25%.' });
+
+    expect(updated.version).toBe(2);
+    expect((await repository.read('promo.md')).content).toContain('25%');
+    expect((await repository.read('promo.md', 1)).content).toContain('20%');
+
+    const restored = await repository.update('promo.md', { restoreVersion: 1 });
+    expect(restored.version).toBe(3);
+    expect((await repository.read('promo.md')).content).toContain('20%');
+  });
+
+  it('should reject unsafe ids, unsupported formats and invalid content', async () => {
+    await expect(repository.create('../fuera.md', 'x')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(repository.create('.knowledge.json', '{}')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(repository.create('notas.txt', 'hola')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(repository.create('faq.json', '{ roto')).rejects.toMatchObject({ statusCode: 400 });
+
+    await repository.create('faq.md', '# FAQ\nTexto');
+    await expect(repository.create('faq.md', '# FAQ\nOtro')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(repository.update('nada.md', { content: 'x' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should keep old versions readable after a delete and continue numbering on re-create', async () => {
+    await repository.create('promo.md', '# Promo\nPrimera');
+    await repository.remove('promo.md');
+
+    expect(existsSync(path.join(directory, 'promo.md'))).toBe(false);
+    await expect(repository.read('promo.md')).rejects.toMatchObject({ statusCode: 404 });
+    expect((await repository.read('promo.md', 1)).content).toContain('Primera');
+
+    const recreated = await repository.create('promo.md', '# Promo\nSegunda');
+    expect(recreated.version).toBe(2);
+    expect((await repository.read('promo.md', 1)).content).toContain('Primera');
+  });
+
+  it('should feed only active documents, pinned first, to the knowledge base', async () => {
+    await repository.create('resumen.md', '# Resumen\nSoftware en la nube para pymes.', { pinned: true });
+    await repository.create('promo.md', '# Promo\nDescuento en la feria.', { active: false });
+    await repository.create('planes.md', '# Planes\nEmpresarial con facturación ilimitada.');
+
+    const knowledgeBase = new KnowledgeBase({
+      directory,
+      minScore: 0.1,
+      documentOptions: (id) => repository.getMeta(id)
+    });
+    const { documents } = await knowledgeBase.load();
+    const passages = knowledgeBase.search('descuento facturación');
+
+    expect(documents).toBe(2);
+    expect(passages.map(p => p.source)).toEqual(['resumen.md', 'planes.md']);
+    expect(passages[0].pinned).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Lead Export Tests
+ * Rows, filters and CSV/JSON/NDJSON serialization of captured leads
+ */
+
+import { describe, it, expect } from 'vitest';
+import LeadArchive from '../services/leads/LeadArchive.js';
+import MemorySessionStore from '../services/sessions/MemorySessionStore.js';
+import SessionSweeper from '../services/sessions/SessionSweeper.js';
+import {
+  LEAD_EXPORT_COLUMNS,
+  buildLeadRows,
+  formatLeads,
+  toCsvCell
+} from '../services/leads/exportLeads.js';
+
+const lead = (overrides = {}) => ({
+  name: 'Begoña Núñez',
+  company: 'Ferretería "El Tornillo", S.A.C.',
+  sector: 'ferreteria',
+  currentTool: 'excel',
+  painAreas: ['inventario', 'facturacion'],
+  planInterest: 'Estándar',
+  askedPricing: true,
+  meetingRequested: true,
+  meetingRequestedAt: '2026-03-10T15:05:00.000Z',
+  contact: { email: 'bego@tornillo.pe', phone: '+51 987 654 321' },
+  createdAt: '2026-03-10T15:00:00.000Z',
+  updatedAt: '2026-03-10T15:05:00.000Z',
+  ...overrides
+});
+
+const sessions = [
+  {
+    sessionId: 'late',
+    turnCount: 1,
+    history: [{ role: 'user', content: 'Hola' }],
+    lead: lead({ name: 'Luis', createdAt: '2026-03-11T09:00:00.000Z' })
+  },
+  {
+    sessionId: 'early',
+    personaId: 'laura',
+    turnCount: 3,
+    history: [
+      { role: 'system', content: 'prompt' },
+      { role: 'user', content: 'Tengo una ferretería' },
+      { role: 'assistant', content: '¡Genial!' },
+      { role: 'user', content: 'Quiero una demo' }
+    ],
+    lead: lead()
+  },
+  { sessionId: 'no-lead', history: [] }
+];
+
+describe('Lead export', () => {
+  it('should build rows in column order, oldest lead first, filtered by capture date', () => {
+    const rows = buildLeadRows(sessions);
+
+    expect(rows.map(r => r.sessionId)).toEqual(['early', 'late']);
+    expect(Object.keys(rows[0])).toEqual(LEAD_EXPORT_COLUMNS);
+    expect(rows[0]).toMatchObject({
+      persona: 'laura',
+      meetingRequested: true,
+      email: 'bego@tornillo.pe',
+      turns: 3,
+      transcriptSummary: 'Tengo una ferretería / Quiero una demo'
+    });
+    expect(buildLeadRows(sessions, { from: '2026-03-11' }).map(r => r.sessionId)).toEqual(['late']);
+    expect(buildLeadRows(sessions, { to: '2026-03-11' }).map(r => r.sessionId)).toEqual(['early']);
+    expect(() => buildLeadRows(sessions, { from: 'ayer' })).toThrow(/Invalid date for from/);
+  });
+
+  it('should write a UTF-8 CSV with a BOM and escaped cells', () => {
+    const csv = formatLeads(buildLeadRows(sessions), 'csv');
+    const lines = csv.slice(1).split('\r\n');
+
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(lines[0]).toBe(LEAD_EXPORT_COLUMNS.join(','));
+    expect(lines[1]).toContain('Begoña Núñez,"Ferretería ""El Tornillo"", S.A.C.",ferreteria');
+    expect(lines[1]).toContain('"inventario; facturacion"');
+    expect(lines[1]).toContain(',+51 987 654 321,');
+  });
+
+  it('should neutralize spreadsheet formulas', () => {
+    expect(toCsvCell('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(toCsvCell('+51 987 654 321')).toBe('+51 987 654 321');
+    expect(toCsvCell('-cmd')).toBe("'-cmd");
+    expect(toCsvCell(null)).toBe('');
+  });
+
+  it('should write JSON and NDJSON with the same fields', () => {
+    const rows = buildLeadRows(sessions);
+    const json = JSON.parse(formatLeads(rows, 'json', { exportedAt: 'now' }));
+    const ndjson = formatLeads(rows, 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+
+    expect(json).toMatchObject({ exportedAt: 'now', count: 2, columns: LEAD_EXPORT_COLUMNS });
+    expect(ndjson).toEqual(json.leads);
+    expect(() => formatLeads(rows, 'xml')).toThrow(/format must be one of/);
+  });
+
+  it('should still export leads of sessions that expired or were deleted', async () => {
+    const store = new MemorySessionStore();
+    const archive = new LeadArchive();
+    store.set('morning', {
+      ...sessions[1],
+      lastActivity: '2026-03-10T15:05:00.000Z'
+    });
+    store.set('afternoon', {
+      ...sessions[0],
+      lastActivity: '2026-03-11T09:00:00.000Z'
+    });
+    const sweeper = new SessionSweeper({
+      store,
+      idleTtlMs: 60 * 60 * 1000,
+      onExpire: session => archive.archive(session, 'expired')
+    });
+
+    expect(await sweeper.sweep(new Date('2026-03-11T09:30:00.000Z').getTime())).toEqual(['morning']);
+    const rows = buildLeadRows(archive.withLiveSessions(store.values()));
+
+    expect(rows.map(r => r.sessionId)).toEqual(['morning', 'afternoon']);
+    expect(rows[0]).toMatchObject({
+      persona: 'laura',
+      turns: 3,
+      transcriptSummary: 'Tengo una ferretería / Quiero una demo'
+    });
+
+    // A reused id gets a new lead; both are exported
+    store.set('morning', {
+      sessionId: 'morning',
+      lead: lead({ name: 'Ana', createdAt: '2026-03-11T10:00:00.000Z' })
+    });
+    archive.archive(store.get('morning'), 'deleted');
+    await store.delete('morning');
+    expect(buildLeadRows(archive.withLiveSessions(store.values())).map(r => r.name))
+      .toEqual(['Begoña Núñez', 'Luis', 'Ana']);
+  });
+});
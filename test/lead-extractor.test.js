@@ -0,0 +1,134 @@
+/**
+ * Lead Extractor Tests
+ * Structured lead data extracted from the visitor's messages
+ */
+
+import { describe, it, expect } from 'vitest';
+import LeadExtractor from '../services/leads/LeadExtractor.js';
+
+describe('LeadExtractor', () => {
+  const extractor = new LeadExtractor();
+
+  it('should extract name, company, sector and current tool', () => {
+    expect(extractor.extract('Hola, me llamo ana pérez y tengo una ferretería')).toEqual({
+      name: 'Ana Pérez',
+      sector: 'ferreteria'
+    });
+    expect(extractor.extract('Mi negocio se llama Ferretería El Tornillo, llevamos todo en Excel')).toEqual({
+      company: 'Ferretería El Tornillo',
+      sector: 'ferreteria',
+      currentTool: 'excel'
+    });
+    expect(extractor.extract('Soy Carlos, dueño de un minimarket')).toMatchObject({
+      name: 'Carlos',
+      sector: 'supermercado'
+    });
+    expect(extractor.extract('Soy Rosa Díaz de Bodega Rosita')).toMatchObject({
+      name: 'Rosa Díaz',
+      company: 'Bodega Rosita'
+    });
+    expect(extractor.extract('Soy dueño de un restaurante').name).toBeUndefined();
+    expect(extractor.extract('Soy Gerente de Ventas')).toEqual({});
+  });
+
+  it('should detect pain areas, plan interest and contact details', () => {
+    expect(extractor.extract('tenemos problemas con el inventario y la facturación').painAreas)
+      .toEqual(['inventario', 'facturacion']);
+    expect(extractor.extract('¿Cuánto cuesta el plan Estándar Facturador?')).toEqual({
+      planInterest: 'Estándar Facturador',
+      askedPricing: true
+    });
+    expect(extractor.extract('mi correo es Ana@Tornillo.pe y mi cel +51 987 654 321')).toEqual({
+      email: 'ana@tornillo.pe',
+      phone: '+51 987 654 321'
+    });
+  });
+
+  it('should record when the visitor asks for a meeting', () => {
+    const session = {};
+    extractor.update(session, '¿Me pueden agendar una demo el jueves?');
+
+    expect(session.lead.meetingRequested).toBe(true);
+    expect(session.lead.meetingRequestedAt).toBe(session.lead.updatedAt);
+    expect(extractor.extract('no quiero una reunión, solo mirar')).toEqual({});
+  });
+
+  it('should only take explicit requests as meeting requests', () => {
+    [
+      'Quiero agendar una reunión',
+      '¿Podemos hacer una llamada mañana?',
+      'Llámenme al 987654321',
+      'Me gustaría ver una demo con un asesor'
+    ].forEach(message => expect(extractor.extract(message).meetingRequested).toBe(true));
+    [
+      'Hola asesora, ¿qué módulos tienen?',
+      'No tengo agenda hoy',
+      '¿Tienen una demo en video?',
+      'La cita con mi contador es el lunes'
+    ].forEach(message => expect(extractor.extract(message).meetingRequested).toBeUndefined());
+  });
+
+  it('should read a bare area as a pain point when answering the assistant', () => {
+    expect(extractor.extract('el inventario')).toEqual({});
+    expect(
+      extractor.extract('el inventario', { previousAssistant: '¿Qué área te cuesta más controlar?' })
+    ).toEqual({ painAreas: ['inventario'] });
+  });
+
+  it('should merge turns into the session lead and report what changed', () => {
+    const session = {};
+    expect(extractor.update(session, 'hola')).toEqual([]);
+    expect(session.lead).toBeUndefined();
+
+    extractor.update(session, 'me llamo Ana, tengo un super');
+    extractor.update(session, 'me complica el stock');
+    const changed = extractor.update(session, 'llevo las ventas en cuaderno, me preocupan. ana@super.pe');
+
+    expect(changed).toEqual(['currentTool', 'painAreas', 'email', 'qualified']);
+    expect(session.lead).toMatchObject({
+      name: 'Ana',
+      sector: 'supermercado',
+      currentTool: 'papel',
+      painAreas: ['inventario', 'ventas'],
+      contact: { email: 'ana@super.pe', phone: null }
+    });
+    expect(session.lead.qualifiedAt).toBe(session.lead.updatedAt);
+    expect(extractor.update(session, 'mi cel es 987654321')).toEqual(['phone']);
+    expect(extractor.facts(session.lead)).toContain('Rubro: supermercado');
+  });
+
+  it('should not read questions and figures of speech as lead data', () => {
+    expect(extractor.extract('¿Cómo se llama el plan más barato?').company).toBeUndefined();
+    expect(extractor.extract('Es súper fácil de usar?').sector).toBeUndefined();
+    expect(extractor.extract('quiero saber más del sistema').currentTool).toBeUndefined();
+    expect(extractor.extract('usamos un programa contable').currentTool).toBe('sistema');
+    expect(extractor.extract('La factura es del 2023-10-19').phone).toBeUndefined();
+    expect(extractor.extract('¿el sistema es a medida que crece?')).toEqual({});
+    expect(extractor.extract('Queremos algo a medida').planInterest).toBe('Personalizado');
+    expect(extractor.extract('Tengo una ferretería. ¿Sirve también para un restaurante?').sector)
+      .toBe('ferreteria');
+  });
+
+  it('should only take numbers given as a phone', () => {
+    const session = {};
+    expect(extractor.update(session, 'Vendemos unos 2500000 bolivianos al año en la tienda'))
+      .toEqual(['sector']);
+    expect(session.lead.contact.phone).toBeNull();
+    expect(session.lead.qualifiedAt).toBeNull();
+
+    expect(extractor.extract('Tenemos 1200000 unidades en stock').phone).toBeUndefined();
+    expect(extractor.extract('Facturamos 3 500 000 Bs por año').phone).toBeUndefined();
+    expect(extractor.extract('Mi número es 71234567, vendemos 2500000 $us').phone).toBe('71234567');
+    expect(extractor.extract('Escríbeme al WhatsApp 712-345-67').phone).toBe('712 345 67');
+  });
+
+  it('should not let a question overwrite what the visitor already said', () => {
+    const session = {};
+    extractor.update(session, 'Tengo una ferretería');
+    expect(extractor.update(session, '¿Sirve también para un restaurante?')).toEqual([]);
+    expect(session.lead.sector).toBe('ferreteria');
+
+    expect(extractor.update(session, 'En realidad ahora tengo un restaurante')).toEqual(['sector']);
+    expect(session.lead.sector).toBe('restaurante');
+  });
+});
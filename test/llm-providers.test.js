@@ -0,0 +1,75 @@
+/**
+ * LLM Provider Tests
+ * Provider resolution from the environment, unknown providers and the
+ * scripted provider used for tests and offline demos
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import LLMProviderRegistry from '../services/llm/LLMProviderRegistry.js';
+import ScriptedProvider from '../services/llm/ScriptedProvider.js';
+
+describe('LLMProviderRegistry', () => {
+  it('should resolve the default provider and providers by name', () => {
+    const registry = LLMProviderRegistry.fromEnv({ LLM_PROVIDER: 'scripted' });
+
+    expect(registry.names()).toEqual(['openai', 'scripted']);
+    expect(registry.resolve().name).toBe('scripted');
+    expect(registry.resolve('openai').name).toBe('openai');
+    expect(registry.describe().default).toBe('scripted');
+  });
+
+  it('should register the local provider only when it has a base URL', () => {
+    const registry = LLMProviderRegistry.fromEnv({
+      LLM_PROVIDER: 'local',
+      LOCAL_LLM_BASE_URL: 'http://127.0.0.1:11434/v1',
+      LOCAL_LLM_MODEL: 'qwen2.5'
+    });
+
+    expect(registry.names()).toEqual(['openai', 'local']);
+    expect(registry.resolve()).toMatchObject({ name: 'local', model: 'qwen2.5', supportsTools: false });
+  });
+
+  it('should only offer the scripted provider when it is configured', () => {
+    expect(LLMProviderRegistry.fromEnv({}).names()).toEqual(['openai']);
+    expect(LLMProviderRegistry.fromEnv({}).resolve('scripted')).toBeNull();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(LLMProviderRegistry.fromEnv({ LLM_SCRIPT_FILE: '/nonexistent.json' }).names())
+      .toEqual(['openai', 'scripted']);
+    warn.mockRestore();
+  });
+
+  it('should return null for unknown providers and fall back from an unknown default', () => {
+    const registry = LLMProviderRegistry.fromEnv({ LLM_PROVIDER: 'local' });
+
+    expect(registry.resolve('claude')).toBeNull();
+    expect(registry.has('local')).toBe(false);
+    expect(registry.defaultProvider).toBe('openai');
+    expect(registry.resolve().name).toBe('openai');
+  });
+});
+
+describe('ScriptedProvider', () => {
+  it('should replay the script, then echo the last user turn', async () => {
+    const provider = new ScriptedProvider({
+      replies: ['{"messages": []}', { toolCalls: [{ name: 'list_slots', arguments: { days: 2 } }] }]
+    });
+    const messages = [{ role: 'user', content: 'Hola' }];
+
+    expect((await provider.complete({ messages })).content).toBe('{"messages": []}');
+    expect((await provider.complete({ messages })).toolCalls).toEqual([
+      { id: 'call_1', name: 'list_slots', arguments: '{"days":2}' }
+    ]);
+    const echo = JSON.parse((await provider.complete({ messages })).content);
+    expect(echo.messages[0].text).toBe('Recibí tu mensaje: "Hola"');
+  });
+
+  it('should only keep the most recent calls', async () => {
+    const provider = new ScriptedProvider({ maxRecordedCalls: 3 });
+
+    for (let i = 0; i < 10; i++) {
+      await provider.complete({ messages: [{ role: 'user', content: `turno ${i}` }] });
+    }
+
+    expect(provider.calls.map(call => call.messages[0].content)).toEqual(['turno 7', 'turno 8', 'turno 9']);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Persona Registry Tests
+ * Loading, validation, default selection across reloads and prompt
+ * rendering of persona files
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import PersonaRegistry from '../services/PersonaRegistry.js';
+
+const personaYaml = (version, prompt = 'Eres {{name}} de {{company}}. Visita {{website}}.') => `
+id: sofia
+version: ${version}
+name: Sofía
+company: Tiendas Norte
+variables:
+  website: https://example.com
+systemPrompt: "${prompt}"
+`;
+
+describe('PersonaRegistry', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'personas-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should load YAML and JSON personas and fall back to the first as default', () => {
+    writeFileSync(path.join(directory, 'sofia.yaml'), personaYaml('1'));
+    writeFileSync(
+      path.join(directory, 'marco.json'),
+      JSON.stringify({ id: 'marco', version: '2', name: 'Marco', systemPrompt: 'Hola' })
+    );
+
+    const registry = new PersonaRegistry({ directory, defaultPersona: 'missing' });
+    registry.load();
+
+    expect(registry.names().sort()).toEqual(['marco', 'sofia']);
+    expect(registry.has(registry.defaultPersona)).toBe(true);
+    expect(registry.resolve('marco').expressions.length).toBeGreaterThan(0);
+  });
+
+  it('should return to the configured default when its file comes back', () => {
+    const marco = JSON.stringify({ id: 'marco', version: '1', name: 'Marco', systemPrompt: 'Hola' });
+    writeFileSync(path.join(directory, 'sofia.yaml'), personaYaml('1'));
+    writeFileSync(path.join(directory, 'marco.json'), marco);
+    const registry = new PersonaRegistry({ directory, defaultPersona: 'marco' });
+    registry.load();
+    expect(registry.defaultPersona).toBe('marco');
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    rmSync(path.join(directory, 'marco.json'));
+    registry.load();
+    expect(registry.defaultPersona).toBe('sofia');
+    expect(registry.resolve().id).toBe('sofia');
+    warn.mockRestore();
+
+    writeFileSync(path.join(directory, 'marco.json'), marco);
+    registry.load();
+    expect(registry.defaultPersona).toBe('marco');
+    expect(registry.describe()).toMatchObject({ default: 'marco', configuredDefault: 'marco' });
+  });
+
+  it('should render template variables into the system prompt', () => {
+    writeFileSync(path.join(directory, 'sofia.yaml'), personaYaml('1'));
+    const registry = new PersonaRegistry({ directory });
+    registry.load();
+
+    expect(registry.renderSystemPrompt(registry.resolve('sofia'))).toBe(
+      'Eres Sofía de Tiendas Norte. Visita https://example.com.'
+    );
+  });
+
+  it('should keep the last good version when a file becomes invalid', () => {
+    const file = path.join(directory, 'sofia.yaml');
+    writeFileSync(file, personaYaml('1'));
+    const registry = new PersonaRegistry({ directory });
+    registry.load();
+
+    writeFileSync(file, 'id: sofia\nversion: 2\nname: Sofía\n');
+    const { errors } = registry.load();
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error).toContain('systemPrompt');
+    expect(registry.resolve('sofia').version).toBe('1');
+  });
+});
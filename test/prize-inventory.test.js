@@ -0,0 +1,87 @@
+/**
+ * Prize Inventory Tests
+ * Stock, redemption codes and persistence of trivia prizes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import PrizeInventory, { normalizeCode } from '../services/prizes/PrizeInventory.js';
+import TriviaEngine from '../services/trivia/TriviaEngine.js';
+
+const prizes = [
+  { id: 'sticker', name: 'Sticker', stock: 2 },
+  { id: 'taza', name: 'Taza', stock: 0 }
+];
+
+describe('PrizeInventory', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'prizes-'));
+    file = path.join(directory, 'prizes.json');
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should issue unique short codes until the stock runs out', () => {
+    const inventory = new PrizeInventory({ prizes });
+
+    const first = inventory.award('sticker', { sessionId: 'a' });
+    const second = inventory.award('sticker', { sessionId: 'b' });
+
+    expect(first.code).toMatch(/^[A-Z2-9]{6}$/);
+    expect(second.code).not.toBe(first.code);
+    expect(inventory.award('sticker', { sessionId: 'c' })).toBeNull();
+    expect(inventory.award('taza')).toBeNull();
+    expect(inventory.list()[0]).toMatchObject({ stock: 2, awarded: 2, remaining: 0 });
+  });
+
+  it('should redeem a code once and reject unknown ones', () => {
+    const inventory = new PrizeInventory({ prizes });
+    const { code } = inventory.award('sticker', { sessionId: 'a' });
+
+    const typed = `${code.slice(0, 3).toLowerCase()}-${code.slice(3)}`;
+    expect(normalizeCode(typed)).toBe(code);
+    expect(inventory.redeem(typed, { redeemedBy: 'stand 1' })).toMatchObject({ code, redeemedBy: 'stand 1' });
+    expect(() => inventory.redeem(code)).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => inventory.redeem('ZZZZZZ')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(inventory.list()[0].redeemed).toBe(1);
+  });
+
+  it('should keep awards and remaining stock across restarts', async () => {
+    const inventory = new PrizeInventory({ prizes, file });
+    const { code } = inventory.award('sticker', { sessionId: 'a' });
+    await inventory.flush();
+
+    const restarted = new PrizeInventory({ prizes, file });
+    expect(await restarted.load()).toBe(1);
+    expect(restarted.find(code).sessionId).toBe('a');
+    expect(restarted.remaining('sticker')).toBe(1);
+  });
+
+  it('should let the trivia engine skip prizes that are out of stock', () => {
+    const inventory = new PrizeInventory({ prizes });
+    const engine = new TriviaEngine({
+      bank: {
+        levels: [{ id: 'facil', name: 'fácil', points: 10, prize: 'taza' }],
+        questions: [{ id: 'q', level: 'facil', question: '¿Nube?', answer: 'nube' }]
+      },
+      isPrizeAvailable: id => inventory.isAvailable(id),
+      prizeName: id => inventory.nameOf(id)
+    });
+    const session = { sessionId: 's' };
+    engine.handleTurn(session, 'quiero jugar');
+
+    expect(engine.handleTurn(session, 'nube')).toMatchObject({
+      correct: true,
+      prize: null,
+      prizeOutOfStock: true
+    });
+    expect(session.trivia.prizes).toEqual([]);
+  });
+});
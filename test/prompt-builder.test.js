@@ -0,0 +1,91 @@
+/**
+ * Prompt Builder Tests
+ * Ordering and budgeting of the messages sent to the LLM for each turn
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildPrompt } from '../utils/promptBuilder.js';
+import { countMessageTokens } from '../utils/tokenCounter.js';
+
+const system = { role: 'system', content: 'Eres Laura, asesora comercial.' };
+const turns = [
+  { role: 'user', content: 'Hola, tengo una ferretería' },
+  { role: 'assistant', content: '¡Qué bien! ¿Cómo controlan su inventario?' },
+  { role: 'user', content: '¿Cuánto cuesta?' }
+];
+
+describe('buildPrompt', () => {
+  it('should include the current user message exactly once', () => {
+    const { messages } = buildPrompt({ systemMessages: [system], turns });
+    const occurrences = messages.filter(m => m.content === '¿Cuánto cuesta?');
+
+    expect(occurrences).toHaveLength(1);
+    expect(messages).toHaveLength(4);
+  });
+
+  it('should order system prompt, summary, history and notes', () => {
+    const { messages } = buildPrompt({
+      systemMessages: [system],
+      summary: 'Cliente: Juan, Ferretería El Tornillo.',
+      turns,
+      notes: ['IMPORTANTE: la conversación llega a su límite.']
+    });
+
+    expect(messages.map(m => m.role)).toEqual([
+      'system', 'system', 'user', 'assistant', 'user', 'system'
+    ]);
+    expect(messages[0]).toEqual(system);
+    expect(messages[1].content).toContain('Ferretería El Tornillo');
+    expect(messages[4].content).toBe('¿Cuánto cuesta?');
+    expect(messages[5].content).toContain('límite');
+  });
+
+  it('should place retrieved context after the summary and before the turns', () => {
+    const { messages } = buildPrompt({
+      systemMessages: [system],
+      summary: 'Cliente: Juan.',
+      context: ['[1] Planes y precios: inician en 480 $us anuales.'],
+      turns
+    });
+
+    expect(messages[2]).toEqual({
+      role: 'system',
+      content: '[1] Planes y precios: inician en 480 $us anuales.'
+    });
+    expect(messages[3]).toEqual(turns[0]);
+  });
+
+  it('should strip extra fields such as usage from history entries', () => {
+    const { messages } = buildPrompt({
+      systemMessages: [system],
+      turns: [{ role: 'assistant', content: 'Hola', usage: { totalTokens: 10 } }, turns[2]]
+    });
+
+    messages.forEach(m => expect(Object.keys(m).sort()).toEqual(['content', 'role']));
+  });
+
+  it('should drop the oldest turns first when over budget', () => {
+    const minimal = countMessageTokens([system, turns[2]]);
+    const { messages, dropped, tokens } = buildPrompt({
+      systemMessages: [system],
+      turns,
+      tokenBudget: minimal + countMessageTokens([turns[1]]) - 3
+    });
+
+    expect(dropped).toBe(1);
+    expect(messages).toEqual([system, turns[1], turns[2]]);
+    expect(tokens).toBeLessThanOrEqual(minimal + countMessageTokens([turns[1]]) - 3);
+  });
+
+  it('should keep system messages, notes and the latest user turn even on a tiny budget', () => {
+    const { messages, dropped } = buildPrompt({
+      systemMessages: [system],
+      turns,
+      notes: ['nota'],
+      tokenBudget: 1
+    });
+
+    expect(dropped).toBe(2);
+    expect(messages.map(m => m.content)).toEqual([system.content, '¿Cuánto cuesta?', 'nota']);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Session Query Tests
+ * Filters, sorting and pagination behind GET /sessions
+ */
+
+import { describe, it, expect } from 'vitest';
+import querySessions from '../services/sessions/querySessions.js';
+
+const sessions = [
+  { sessionId: 'a', turnCount: 2, totalTokens: 900, messageCount: 4, createdAt: '2026-03-10T09:00:00.000Z', lastActivity: '2026-03-10T09:10:00.000Z' },
+  { sessionId: 'b', turnCount: 8, totalTokens: 5200, messageCount: 16, createdAt: '2026-03-10T11:00:00.000Z', lastActivity: '2026-03-10T12:30:00.000Z' },
+  { sessionId: 'c', turnCount: 5, totalTokens: 2400, messageCount: 10, createdAt: '2026-03-11T08:00:00.000Z', lastActivity: '2026-03-11T08:20:00.000Z' },
+  { sessionId: 'd', turnCount: 0, totalTokens: 0, messageCount: 0, createdAt: '2026-03-11T10:00:00.000Z', lastActivity: '2026-03-11T10:00:00.000Z' }
+];
+
+const ids = result => result.sessions.map(s => s.sessionId);
+
+describe('querySessions', () => {
+  it('should sort by last activity, newest first, by default', () => {
+    const result = querySessions(sessions);
+
+    expect(ids(result)).toEqual(['d', 'c', 'b', 'a']);
+    expect(result).toMatchObject({ total: 4, limit: 50, offset: 0 });
+    expect(ids(querySessions(sessions, { sortBy: 'totalTokens', order: 'asc' })))
+      .toEqual(['d', 'a', 'c', 'b']);
+  });
+
+  it('should filter by turns, tokens and dates', () => {
+    expect(ids(querySessions(sessions, { minTurns: '2', maxTurns: '5' }))).toEqual(['c', 'a']);
+    expect(ids(querySessions(sessions, { minTokens: '1000' }))).toEqual(['c', 'b']);
+    expect(ids(querySessions(sessions, { activeSince: '2026-03-10T12:00:00Z', activeBefore: '2026-03-11T09:00:00Z' })))
+      .toEqual(['c', 'b']);
+    expect(ids(querySessions(sessions, { createdBefore: '2026-03-11' }))).toEqual(['b', 'a']);
+  });
+
+  it('should paginate after filtering and report the total', () => {
+    const page = querySessions(sessions, { minTurns: '1', limit: '2', offset: '1' });
+
+    expect(ids(page)).toEqual(['b', 'a']);
+    expect(page).toMatchObject({ total: 3, limit: 2, offset: 1 });
+    expect(querySessions(sessions, { offset: '10' }).sessions).toEqual([]);
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(() => querySessions(sessions, { sortBy: 'name' })).toThrow(/sortBy must be one of/);
+    expect(() => querySessions(sessions, { order: 'up' })).toThrow(/order must be asc or desc/);
+    expect(() => querySessions(sessions, { limit: '0' })).toThrow(/limit must be an integer >= 1/);
+    expect(() => querySessions(sessions, { minTurns: 'dos' })).toThrow(/minTurns/);
+    expect(() => querySessions(sessions, { activeSince: 'ayer' })).toThrow(/Invalid date for activeSince/);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Realtime Gateway Tests
+ * WebSocket transport for avatar conversations, exercised with a local client
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import WebSocket from 'ws';
+import RealtimeGateway from '../services/RealtimeGateway.js';
+
+const connect = (port, query = '') => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/ws${query}`);
+  const events = [];
+  socket.on('message', raw => events.push(JSON.parse(raw.toString())));
+  socket.once('open', () => resolve({ socket, events }));
+  socket.once('error', reject);
+});
+
+const waitFor = async (events, type, count = 1) => {
+  for (let i = 0; i < 200; i++) {
+    if (events.filter(e => e.type === type).length >= count) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${type}`);
+};
+
+describe('RealtimeGateway', () => {
+  let server;
+  let gateway;
+  let port;
+  let sessions;
+  let sockets;
+
+  beforeEach(async () => {
+    sessions = new Map();
+    sockets = [];
+    server = http.createServer();
+    gateway = new RealtimeGateway({
+      server,
+      audioChunkSize: 4,
+      describeSession: sessionId => ({ messageCount: sessions.get(sessionId) || 0 }),
+      runTurn: async ({ userMessage, sessionId, onMessage, onAudio }) => {
+        if (userMessage === 'boom') throw new Error('provider down');
+        sessions.set(sessionId, (sessions.get(sessionId) || 0) + 2);
+        const messages = [
+          { text: `eco: ${userMessage}`, facialExpression: 'smile', animation: 'Talking_1' },
+          { text: 'segundo', facialExpression: 'surprised', animation: 'Talking_2' }
+        ];
+        messages.forEach(onMessage);
+        messages.forEach((m, i) => {
+          m.audio = 'QUJDREVGR0g=';
+          m.audioMime = 'audio/mpeg';
+          onAudio(m, i);
+        });
+        const response = { messages, provider: 'scripted', sessionId };
+        if (sessions.get(sessionId) >= 4) {
+          response.resetSuggested = true;
+          response.newSessionId = `${sessionId}_next`;
+        }
+        return response;
+      }
+    }).start();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    sockets.forEach(s => s.close());
+    await gateway.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should stream messages, expression changes and audio chunks for a turn', async () => {
+    const client = await connect(port, '?sessionId=kiosk_1');
+    sockets.push(client.socket);
+    await waitFor(client.events, 'session');
+
+    client.socket.send(JSON.stringify({ type: 'user_turn', message: 'hola', turnId: 't1' }));
+    await waitFor(client.events, 'turn_complete');
+
+    const types = client.events.map(e => e.type);
+    expect(types[0]).toBe('session');
+    expect(client.events.filter(e => e.type === 'message').map(e => e.text))
+      .toEqual(['eco: hola', 'segundo']);
+    expect(client.events.filter(e => e.type === 'expression_change').map(e => e.facialExpression))
+      .toEqual(['smile', 'surprised']);
+
+    const chunks = client.events.filter(e => e.type === 'audio_chunk' && e.index === 0);
+    expect(chunks.map(c => c.data).join('')).toBe('QUJDREVGR0g=');
+    expect(chunks[chunks.length - 1].final).toBe(true);
+    expect(client.events.find(e => e.type === 'turn_complete')).toMatchObject({
+      turnId: 't1',
+      sessionId: 'kiosk_1',
+      messageCount: 2
+    });
+  });
+
+  it('should answer pings and report errors without closing the socket', async () => {
+    const client = await connect(port);
+    sockets.push(client.socket);
+
+    client.socket.send(JSON.stringify({ type: 'ping' }));
+    await waitFor(client.events, 'pong');
+
+    client.socket.send('not json');
+    client.socket.send(JSON.stringify({ type: 'user_turn', message: 'boom' }));
+    await waitFor(client.events, 'error', 2);
+
+    expect(client.events.filter(e => e.type === 'error')[1].error).toBe('provider down');
+    expect(client.socket.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should reject frames that are valid JSON but not objects', async () => {
+    const client = await connect(port);
+    sockets.push(client.socket);
+
+    ['null', '42', '"hola"', '[]'].forEach(frame => client.socket.send(frame));
+    await waitFor(client.events, 'error', 4);
+
+    expect(client.events.filter(e => e.type === 'error').map(e => e.error))
+      .toEqual(Array(4).fill('Frame must be a JSON object'));
+
+    client.socket.send(JSON.stringify({ type: 'ping' }));
+    await waitFor(client.events, 'pong');
+    expect(client.socket.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('should resume the same session on reconnect and announce session resets', async () => {
+    const first = await connect(port);
+    sockets.push(first.socket);
+    first.socket.send(JSON.stringify({ type: 'hello', sessionId: 'kiosk_2' }));
+    first.socket.send(JSON.stringify({ type: 'user_turn', message: 'uno' }));
+    await waitFor(first.events, 'turn_complete');
+    first.socket.close();
+
+    const second = await connect(port);
+    sockets.push(second.socket);
+    second.socket.send(JSON.stringify({ type: 'hello', sessionId: 'kiosk_2' }));
+    await waitFor(second.events, 'session');
+    expect(second.events[0]).toMatchObject({ sessionId: 'kiosk_2', resumed: true, messageCount: 2 });
+
+    second.socket.send(JSON.stringify({ type: 'user_turn', message: 'dos' }));
+    await waitFor(second.events, 'session_reset');
+    expect(second.events.find(e => e.type === 'session_reset')).toMatchObject({
+      previousSessionId: 'kiosk_2',
+      newSessionId: 'kiosk_2_next'
+    });
+  });
+});
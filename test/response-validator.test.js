@@ -0,0 +1,77 @@
+/**
+ * Response Validator Tests
+ * Schema validation and repair of the LLM reply before it reaches the avatar
+ */
+
+import { describe, it, expect } from 'vitest';
+import ResponseValidator from '../utils/ResponseValidator.js';
+
+describe('ResponseValidator', () => {
+  const validator = new ResponseValidator();
+
+  it('should accept a well-formed { messages } reply untouched', () => {
+    const result = validator.process(JSON.stringify({
+      messages: [{ text: 'Hola', facialExpression: 'smile', animation: 'Talking_1' }]
+    }));
+
+    expect(result.ok).toBe(true);
+    expect(result.repairs).toEqual([]);
+    expect(result.messages).toEqual([
+      { text: 'Hola', facialExpression: 'smile', animation: 'Talking_1' }
+    ]);
+  });
+
+  it('should accept a bare array and fenced JSON', () => {
+    const content = '```json\n[{"text":"Hola","facialExpression":"sad","animation":"Idle"}]\n```';
+    const result = validator.process(content);
+
+    expect(result.ok).toBe(true);
+    expect(result.messages[0].animation).toBe('Idle');
+  });
+
+  it('should coerce unknown expressions and animations to defaults', () => {
+    const result = validator.process(JSON.stringify({
+      messages: [{ text: 'Hola', facialExpression: 'happy', animation: 'Dancing' }]
+    }));
+
+    expect(result.ok).toBe(true);
+    expect(result.messages[0]).toEqual({
+      text: 'Hola',
+      facialExpression: 'default',
+      animation: 'Talking_0'
+    });
+    expect(result.repairs).toHaveLength(2);
+  });
+
+  it('should drop empty messages and truncate to three', () => {
+    const messages = ['uno', '', 'dos', 'tres', 'cuatro'].map(text => ({
+      text,
+      facialExpression: 'smile',
+      animation: 'Talking_0'
+    }));
+    const result = validator.process(JSON.stringify({ messages }));
+
+    expect(result.ok).toBe(true);
+    expect(result.messages.map(m => m.text)).toEqual(['uno', 'dos', 'tres']);
+  });
+
+  it('should report unparseable or empty replies as not ok', () => {
+    expect(validator.process('{"messages": [').ok).toBe(false);
+    expect(validator.process(JSON.stringify({ messages: [{ text: '  ' }] })).ok).toBe(false);
+    expect(validator.process(JSON.stringify({ foo: 'bar' })).ok).toBe(false);
+  });
+
+  it('should list every schema violation in strict validation', () => {
+    const { valid, errors } = validator.validate({
+      messages: [{ text: '', facialExpression: 'x', animation: 'y' }]
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should salvage plain text but not JSON fragments', () => {
+    expect(validator.fromPlainText('Claro, te cuento.')).toHaveLength(1);
+    expect(validator.fromPlainText('{"messages": [')).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Session Rollover Tests
+ * Following retired sessions, linking the successor with the carried-over
+ * summary and state, concurrent rollovers of the same session and sessions
+ * deleted while the summary is generated
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import MemorySessionStore from '../services/sessions/MemorySessionStore.js';
+import SessionRollover, { SessionRetiredError } from '../services/sessions/SessionRollover.js';
+
+const userTurns = ['Hola', 'Tengo una ferretería', '¿Cuánto cuesta?'].flatMap(content => [
+  { role: 'user', content },
+  { role: 'assistant', content: 'ok' }
+]);
+
+// Provider answering after `ms`, like a real summary call
+const summaryProvider = (content, ms = 10) => ({
+  complete: async () => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return { content };
+  }
+});
+
+describe('SessionRollover', () => {
+  let store;
+  let rollover;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    rollover = new SessionRollover({ store, carryOverFields: ['trivia', 'lead'] });
+    store.set('kiosk_1', { history: [...userTurns], trivia: { score: 2 }, lead: { name: 'Ana' } });
+    store.set('kiosk_2', { history: [] });
+  });
+
+  it('should move the summary and carried-over state to the successor', () => {
+    expect(rollover.link('kiosk_1', 'kiosk_2', 'Ana, ferretería')).toBe('kiosk_2');
+
+    const from = store.get('kiosk_1');
+    const to = store.get('kiosk_2');
+    expect(from).toMatchObject({ rolledOverTo: 'kiosk_2' });
+    expect(from.trivia).toBeUndefined();
+    expect(to).toMatchObject({
+      previousSessionId: 'kiosk_1',
+      carryOverSummary: 'Ana, ferretería',
+      trivia: { score: 2 },
+      lead: { name: 'Ana' }
+    });
+    expect(to.history[0].role).toBe('system');
+    expect(to.history[0].content).toContain('Ana, ferretería');
+  });
+
+  it('should redirect or reject turns for retired sessions', () => {
+    store.set('kiosk_3', { history: [] });
+    rollover.link('kiosk_1', 'kiosk_2', 'uno');
+    rollover.link('kiosk_2', 'kiosk_3', 'dos');
+
+    expect(rollover.resolve('kiosk_3')).toEqual({ sessionId: 'kiosk_3' });
+    expect(rollover.resolve('kiosk_1')).toEqual({ sessionId: 'kiosk_3', redirectedFrom: 'kiosk_1' });
+
+    const strict = new SessionRollover({ store, policy: 'reject' });
+    expect(() => strict.resolve('kiosk_1')).toThrow(SessionRetiredError);
+    let retired;
+    try {
+      strict.resolve('kiosk_2');
+    } catch (error) {
+      retired = error;
+    }
+    expect(retired).toMatchObject({ statusCode: 409, newSessionId: 'kiosk_3' });
+  });
+
+  it('should keep the first successor when two turns roll over at once', async () => {
+    store.set('kiosk_2b', { history: [] });
+    const rollOver = async successor => {
+      const summary = await rollover.summarize(
+        store.get('kiosk_1'),
+        summaryProvider('{"summary": "Ana, ferretería"}')
+      );
+      return rollover.link('kiosk_1', successor, summary);
+    };
+
+    const successors = await Promise.all([rollOver('kiosk_2'), rollOver('kiosk_2b')]);
+
+    expect(successors).toEqual(['kiosk_2', 'kiosk_2']);
+    expect(store.get('kiosk_1').rolledOverTo).toBe('kiosk_2');
+    expect(store.get('kiosk_2')).toMatchObject({ trivia: { score: 2 }, lead: { name: 'Ana' } });
+    expect(store.get('kiosk_2b')).toEqual(expect.objectContaining({ history: [] }));
+  });
+
+  it('should create the successor with the retired session\'s persona', async () => {
+    store.get('kiosk_1').personaId = 'laura';
+    const created = [];
+    const successor = await rollover.rollOver('kiosk_1', 'kiosk_9', summaryProvider('{"summary": "Ana"}'), {
+      createSuccessor: (id, personaId) => {
+        created.push([id, personaId]);
+        store.set(id, { history: [] });
+      }
+    });
+
+    expect(successor).toBe('kiosk_9');
+    expect(created).toEqual([['kiosk_9', 'laura']]);
+    expect(store.get('kiosk_9')).toMatchObject({ previousSessionId: 'kiosk_1', lead: { name: 'Ana' } });
+  });
+
+  it('should not roll over a session deleted while the summary is pending', async () => {
+    const createSuccessor = vi.fn();
+    const pending = rollover.rollOver('kiosk_1', 'kiosk_9', summaryProvider('{"summary": "Ana"}'), {
+      createSuccessor
+    });
+    store.delete('kiosk_1');
+
+    await expect(pending).resolves.toBeNull();
+    expect(createSuccessor).not.toHaveBeenCalled();
+    expect(store.get('kiosk_9')).toBeUndefined();
+    await expect(rollover.rollOver('kiosk_1', 'kiosk_9', summaryProvider('{}'))).resolves.toBeNull();
+  });
+
+  it('should fall back to the visitor\'s own messages when the summary fails', async () => {
+    const summary = await rollover.summarize(
+      store.get('kiosk_1'),
+      summaryProvider('not json', 0),
+      ['Rubro: ferreteria']
+    );
+
+    expect(summary).toContain('- Tengo una ferretería');
+    expect(summary).not.toContain('ok');
+    expect(summary).toContain('- Rubro: ferreteria');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Session Store Tests
+ * File-backed persistence across restarts, safe file names for client ids
+ * and store selection from the environment
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import FileSessionStore from '../services/sessions/FileSessionStore.js';
+import MemorySessionStore from '../services/sessions/MemorySessionStore.js';
+import createSessionStore from '../services/sessions/createSessionStore.js';
+
+describe('FileSessionStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should persist sessions and reload them after a restart', async () => {
+    const store = new FileSessionStore(directory);
+    await store.load();
+    store.set('kiosk_1', { history: [{ role: 'user', content: 'Hola' }] });
+    store.get('kiosk_1').history.push({ role: 'assistant', content: '¡Hola!' });
+    store.save('kiosk_1');
+    await store.flush();
+
+    const restarted = new FileSessionStore(directory);
+    expect(await restarted.load()).toBe(1);
+    expect(restarted.get('kiosk_1')).toMatchObject({
+      sessionId: 'kiosk_1',
+      history: [
+        { role: 'user', content: 'Hola' },
+        { role: 'assistant', content: '¡Hola!' }
+      ]
+    });
+    expect(restarted.get('kiosk_1').updatedAt).toBeTruthy();
+  });
+
+  it('should delete the session file', async () => {
+    const store = new FileSessionStore(directory);
+    store.set('kiosk_1', { history: [] });
+    await store.flush();
+
+    expect(await store.delete('kiosk_1')).toBe(true);
+    expect(await fs.readdir(directory)).toEqual([]);
+    expect(await store.delete('kiosk_1')).toBe(false);
+  });
+
+  it('should keep client ids inside the directory and skip unreadable files', async () => {
+    const store = new FileSessionStore(directory);
+    store.set('../../etc/passwd', { history: [] });
+    store.set('.hidden', { history: [] });
+    await store.flush();
+    await fs.writeFile(path.join(directory, 'broken.json'), '{ not json', 'utf8');
+
+    for (const id of ['../../etc/passwd', '.hidden']) {
+      expect(path.dirname(store.fileFor(id))).toBe(directory);
+    }
+    const restarted = new FileSessionStore(directory);
+    expect(await restarted.load()).toBe(2);
+    expect(restarted.keys().sort()).toEqual(['../../etc/passwd', '.hidden']);
+  });
+});
+
+describe('createSessionStore', () => {
+  it('should pick the store from SESSION_STORE', () => {
+    expect(createSessionStore('/srv/app', { SESSION_STORE: 'memory' })).toBeInstanceOf(MemorySessionStore);
+    expect(createSessionStore('/srv/app', { SESSION_STORE: 'memory' })).not.toBeInstanceOf(FileSessionStore);
+
+    const file = createSessionStore('/srv/app', { SESSION_STORE_DIR: 'data/sessions' });
+    expect(file).toBeInstanceOf(FileSessionStore);
+    expect(file.describe()).toEqual({ type: 'file', sessions: 0, directory: '/srv/app/data/sessions' });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Session Sweeper Tests
+ * Expiry of idle sessions, the expire hook and disabled expiry
+ */
+
+import { describe, it, expect } from 'vitest';
+import MemorySessionStore from '../services/sessions/MemorySessionStore.js';
+import SessionSweeper from '../services/sessions/SessionSweeper.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T18:00:00.000Z').getTime();
+
+const storeWith = (idleHours) => {
+  const store = new MemorySessionStore();
+  for (const [sessionId, hours] of Object.entries(idleHours)) {
+    store.set(sessionId, {
+      history: [],
+      lastActivity: new Date(NOW - hours * HOUR).toISOString()
+    });
+  }
+  return store;
+};
+
+describe('SessionSweeper', () => {
+  it('should expire sessions idle for longer than the TTL', async () => {
+    const store = storeWith({ morning: 5, lunch: 2.5, active: 0.1 });
+    const expired = [];
+    const sweeper = new SessionSweeper({
+      store,
+      idleTtlMs: 2 * HOUR,
+      onExpire: session => expired.push(session.sessionId)
+    });
+
+    expect(await sweeper.sweep(NOW)).toEqual(['morning', 'lunch']);
+    expect(store.keys()).toEqual(['active']);
+    expect(expired).toEqual(['morning', 'lunch']);
+    expect(sweeper.describe()).toMatchObject({ expiredTotal: 2, lastSweepAt: new Date(NOW).toISOString() });
+    expect(sweeper.expiresAt(store.get('active')))
+      .toBe(new Date(NOW - 0.1 * HOUR + 2 * HOUR).toISOString());
+  });
+
+  it('should keep expiring when the expire hook fails', async () => {
+    const store = storeWith({ a: 3, b: 3 });
+    const sweeper = new SessionSweeper({
+      store,
+      idleTtlMs: HOUR,
+      onExpire: async () => {
+        throw new Error('webhook down');
+      }
+    });
+
+    expect(await sweeper.sweep(NOW)).toEqual(['a', 'b']);
+    expect(store.size).toBe(0);
+  });
+
+  it('should never expire sessions when the TTL is 0', async () => {
+    const store = storeWith({ old: 1000 });
+    const sweeper = new SessionSweeper({ store, idleTtlMs: 0 }).start();
+
+    expect(await sweeper.sweep(NOW)).toEqual([]);
+    expect(store.size).toBe(1);
+    expect(sweeper.expiresAt(store.get('old'))).toBeNull();
+    expect(sweeper.describe().running).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Token Counter Tests
+ * Token estimates for prompt budgets and normalized per-turn usage
+ */
+
+import { describe, it, expect } from 'vitest';
+import { countTokens, countMessageTokens, normalizeUsage } from '../utils/tokenCounter.js';
+
+describe('tokenCounter', () => {
+  it('should estimate tokens by word length and punctuation', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens('Hola, ¿cómo estás?')).toBe(7); // "estás" splits in two
+    expect(countTokens('facturación')).toBe(3); // 11 characters
+    expect(countMessageTokens([{ role: 'user', content: 'Hola' }])).toBe(3 + 4 + 1);
+  });
+
+  it('should normalize usage reported by the provider', () => {
+    expect(normalizeUsage({ prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }, [], 'x'))
+      .toEqual({ promptTokens: 120, completionTokens: 30, totalTokens: 150, estimated: false });
+    expect(normalizeUsage({ prompt_tokens: 120 }, [], 'x'))
+      .toEqual({ promptTokens: 120, completionTokens: 0, totalTokens: 120, estimated: false });
+  });
+
+  it('should estimate usage when the provider reports none', () => {
+    const messages = [{ role: 'system', content: 'Eres Laura' }, { role: 'user', content: 'Hola' }];
+
+    expect(normalizeUsage(null, messages, '¡Hola!')).toEqual({
+      promptTokens: countMessageTokens(messages),
+      completionTokens: 3,
+      totalTokens: countMessageTokens(messages) + 3,
+      estimated: true
+    });
+    expect(normalizeUsage({ total_tokens: 'n/a' }, [], '').estimated).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Trivia Engine Tests
+ * Game flow, answer checking, restarts and leaderboard of the fair trivia
+ */
+
+import { describe, it, expect } from 'vitest';
+import TriviaEngine from '../services/trivia/TriviaEngine.js';
+
+const bank = {
+  levels: [
+    { id: 'facil', name: 'fácil', points: 10, prize: 'Sticker' },
+    { id: 'intermedio', name: 'intermedio', points: 20, prize: 'Llavero' },
+    { id: 'bonus', name: 'bonus', points: 50, prize: 'Mes gratis', requiresPerfectRun: true }
+  ],
+  questions: [
+    {
+      id: 'f1',
+      level: 'facil',
+      question: '¿Funciona en la nube?',
+      options: ['Se instala', 'Funciona en la nube'],
+      answer: 'Funciona en la nube',
+      acceptedAnswers: ['nube', 'online']
+    },
+    {
+      id: 'f2',
+      level: 'facil',
+      question: '¿Para quién es?',
+      options: ['Bancos', 'Pymes'],
+      answer: 'Pymes',
+      acceptedAnswers: ['pyme', 'emprendedores']
+    },
+    {
+      id: 'i1',
+      level: 'intermedio',
+      question: '¿Cuántas facturas incluye el Estándar Facturador?',
+      options: ['400 facturas', '4000 facturas'],
+      answer: '4000 facturas',
+      acceptedAnswers: ['4000', 'cuatro mil']
+    },
+    { id: 'b1', level: 'bonus', question: '¿Qué plan es a medida?', answer: 'Personalizado' }
+  ]
+};
+
+const newEngine = () => new TriviaEngine({ bank, random: () => 0 });
+
+describe('TriviaEngine', () => {
+  it('should only start a game when the visitor asks to play', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+
+    expect(engine.handleTurn(session, '¿Cuánto cuesta?')).toBeNull();
+    const event = engine.handleTurn(session, '¡Quiero jugar!');
+
+    expect(event.type).toBe('started');
+    expect(event.question).toEqual({
+      id: 'f1',
+      level: 'facil',
+      question: '¿Funciona en la nube?',
+      options: ['Se instala', 'Funciona en la nube']
+    });
+    expect(session.trivia.status).toBe('playing');
+  });
+
+  it('should grade answers in code, award each level prize once and advance levels', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+    engine.handleTurn(session, 'juguemos');
+
+    const first = engine.handleTurn(session, 'Creo que en la NUBE');
+    expect(first).toMatchObject({ type: 'answered', correct: true, prize: 'Sticker', pointsEarned: 10 });
+    expect(first.nextQuestion.level).toBe('intermedio');
+
+    const second = engine.handleTurn(session, '4.000');
+    expect(second).toMatchObject({ correct: true, prize: 'Llavero' });
+    expect(second.nextQuestion.id).toBe('b1');
+
+    const third = engine.handleTurn(session, 'ni idea');
+    expect(third).toMatchObject({ correct: false, expectedAnswer: 'Personalizado', finished: true, score: 30 });
+
+    // A second game does not repeat questions nor hand out the same prize again
+    const replay = engine.handleTurn(session, 'otra ronda, quiero jugar');
+    expect(replay.question.id).toBe('f2');
+    const again = engine.handleTurn(session, 'la b');
+    expect(again).toMatchObject({ correct: true, prize: null, prizeAlreadyWon: true });
+    expect(session.trivia.prizes.map(p => p.prize)).toEqual(['Sticker', 'Llavero']);
+  });
+
+  it('should skip the bonus level after a wrong answer', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+    engine.handleTurn(session, 'trivia');
+    engine.handleTurn(session, 'se instala');
+    const event = engine.handleTurn(session, '4000');
+
+    expect(event.finished).toBe(true);
+    expect(event.nextQuestion).toBeNull();
+  });
+
+  it('should not grade an unrelated question and should let the visitor quit', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+    engine.handleTurn(session, 'quiero jugar');
+
+    expect(engine.handleTurn(session, '¿Y cuánto cuesta el plan?').type).toBe('pending');
+    expect(session.trivia.answered).toBe(0);
+    expect(engine.handleTurn(session, 'ya no quiero jugar').type).toBe('stopped');
+  });
+
+  it('should only grade replies that look like an answer', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+    engine.handleTurn(session, 'quiero jugar');
+
+    ['Hola, soy Ana', 'Tengo una ferretería', 'jaja qué difícil'].forEach(message =>
+      expect(engine.handleTurn(session, message).type).toBe('pending'));
+    expect(session.trivia.answered).toBe(0);
+
+    expect(engine.checkAnswer(bank.questions[0], 'opción 2')).toBe(true);
+    expect(engine.checkAnswer(bank.questions[0], 'la primera')).toBe(false);
+    expect(engine.checkAnswer(bank.questions[1], 'pymess')).toBe(true);
+    expect(engine.checkAnswer(bank.questions[1], 'banco')).toBe(false);
+    expect(engine.handleTurn(session, 'Funciona en la nub')).toMatchObject({ type: 'answered', correct: true });
+  });
+
+  it('should only restart a game on an explicit request', () => {
+    const engine = newEngine();
+    const session = { sessionId: 's1' };
+    engine.handleTurn(session, 'trivia');
+
+    expect(engine.handleTurn(session, '¿El juego tiene premios?').type).toBe('pending');
+    expect(engine.handleTurn(session, '¿Me repites la pregunta otra vez?').type).toBe('pending');
+    expect(session.trivia.gamesPlayed).toBe(1);
+    expect(engine.handleTurn(session, 'Quiero jugar de nuevo').type).toBe('started');
+    expect(session.trivia.gamesPlayed).toBe(2);
+
+    engine.handleTurn(session, 'me rindo');
+    expect(engine.handleTurn(session, 'Estuvo bueno el juego del concurso')).toBeNull();
+    expect(engine.handleTurn(session, 'reiniciar').type).toBe('started');
+    expect(session.trivia.gamesPlayed).toBe(3);
+  });
+
+  it('should reject answers that mention a wrong option too', () => {
+    const engine = newEngine();
+    const question = bank.questions[2];
+
+    expect(engine.checkAnswer(question, '400 facturas o 4000 facturas')).toBe(false);
+    expect(engine.checkAnswer(question, 'cuatro mil')).toBe(true);
+    expect(engine.checkAnswer(question, 'hola')).toBeNull();
+  });
+
+  it('should rank sessions by best score', () => {
+    const engine = newEngine();
+    const a = { sessionId: 'a' };
+    const b = { sessionId: 'b' };
+    engine.handleTurn(a, 'jugar');
+    engine.handleTurn(a, 'nube');
+    engine.handleTurn(b, 'jugar');
+    engine.handleTurn(b, 'nube');
+    engine.handleTurn(b, '4000');
+
+    const board = engine.leaderboard([a, b, { sessionId: 'c' }]);
+    expect(board.map(e => [e.rank, e.sessionId, e.score])).toEqual([[1, 'b', 30], [2, 'a', 10]]);
+  });
+});
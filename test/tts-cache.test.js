@@ -0,0 +1,135 @@
+/**
+ * TTS Cache Tests
+ * Content-addressed keys, hits through the provider chain, LRU eviction,
+ * expiry, purge and restoring the index after a restart
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import TTSCache from '../services/tts/TTSCache.js';
+import TTSProviderRegistry from '../services/tts/TTSProviderRegistry.js';
+import SilentTTSProvider from '../services/tts/SilentTTSProvider.js';
+
+// Provider writing "<voice>:<text>" so each clip is recognizable
+const echoProvider = (name = 'elevenlabs') => ({
+  name,
+  extension: 'mp3',
+  mimeType: 'audio/mpeg',
+  calls: 0,
+  isConfigured: () => true,
+  cacheSettings: ({ voice } = {}) => ({ voice: voice || 'default-voice' }),
+  async synthesize(text, outputBase, { voice } = {}) {
+    this.calls++;
+    const file = `${outputBase}.mp3`;
+    writeFileSync(file, `${voice || 'default-voice'}:${text}`);
+    return { success: true, file };
+  },
+  describe: () => ({ name }),
+});
+
+describe('TTSCache', () => {
+  let directory;
+  let cacheDir;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'tts-cache-'));
+    cacheDir = path.join(directory, 'cache');
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should key clips by provider, voice settings and normalized text', () => {
+    const cache = new TTSCache({ directory: cacheDir });
+    const key = (provider, settings, text) => cache.keyFor({ provider, settings, text });
+
+    expect(key('elevenlabs', { voice: 'a' }, '¡Hola  de nuevo!\n')).toBe(
+      key('elevenlabs', { voice: 'a' }, '¡Hola de nuevo!')
+    );
+    expect(key('elevenlabs', { voice: 'a', model: 'm' }, 'Hola')).toBe(
+      key('elevenlabs', { model: 'm', voice: 'a' }, 'Hola')
+    );
+    expect(key('elevenlabs', { voice: 'a' }, 'Hola')).not.toBe(key('elevenlabs', { voice: 'b' }, 'Hola'));
+    expect(key('elevenlabs', { voice: 'a' }, 'Hola')).not.toBe(key('openai', { voice: 'a' }, 'Hola'));
+  });
+
+  it('should serve repeated phrases from the cache', async () => {
+    const cache = new TTSCache({ directory: cacheDir });
+    const registry = new TTSProviderRegistry(['elevenlabs'], { cache });
+    const provider = echoProvider();
+    registry.register(provider);
+
+    const first = await registry.synthesize('¿En qué más puedo ayudarte?', path.join(directory, 'm1'));
+    const second = await registry.synthesize('¿En qué más  puedo ayudarte?', path.join(directory, 'm2'));
+    const otherVoice = await registry.synthesize('¿En qué más puedo ayudarte?', path.join(directory, 'm3'), {
+      voices: { elevenlabs: 'laura' },
+    });
+
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ success: true, cached: true, file: path.join(directory, 'm2.mp3') });
+    expect(readFileSync(second.file, 'utf8')).toBe('default-voice:¿En qué más puedo ayudarte?');
+    expect(otherVoice.cached).toBe(false);
+    expect(provider.calls).toBe(2);
+    expect(cache.describe()).toMatchObject({ entries: 2, hits: 1, misses: 2, writes: 2, hitRate: 0.333 });
+  });
+
+  it('should never cache the silent stub', async () => {
+    const cache = new TTSCache({ directory: cacheDir });
+    const registry = new TTSProviderRegistry(['silent'], { cache });
+    registry.register(new SilentTTSProvider());
+
+    await registry.synthesize('Hola', path.join(directory, 's1'));
+    const again = await registry.synthesize('Hola', path.join(directory, 's2'));
+
+    expect(again.cached).toBe(false);
+    expect(cache.describe()).toMatchObject({ entries: 0, hits: 0, misses: 0 });
+  });
+
+  it('should evict the least recently used clips over the size limit', async () => {
+    const cache = new TTSCache({ directory: cacheDir, maxBytes: 20 });
+    const clip = (name) => {
+      const file = path.join(directory, `${name}.mp3`);
+      writeFileSync(file, '0123456789'); // 10 bytes
+      return file;
+    };
+    const meta = { provider: 'elevenlabs', extension: 'mp3', mimeType: 'audio/mpeg' };
+
+    await cache.put('a', clip('a'), meta);
+    await cache.put('b', clip('b'), meta);
+    expect(await cache.get('a', path.join(directory, 'out'))).not.toBeNull(); // "b" is now the oldest
+    await cache.put('c', clip('c'), meta);
+
+    expect(Array.from(cache.entries.keys())).toEqual(['a', 'c']);
+    expect(cache.describe()).toMatchObject({ bytes: 20, evictions: 1 });
+    expect(existsSync(path.join(cacheDir, 'b.mp3'))).toBe(false);
+  });
+
+  it('should expire old clips, purge and restore the index after a restart', async () => {
+    const cache = new TTSCache({ directory: cacheDir, maxAgeMs: 60_000 });
+    const file = path.join(directory, 'x.mp3');
+    writeFileSync(file, 'audio');
+    const meta = { provider: 'elevenlabs', extension: 'mp3', mimeType: 'audio/mpeg' };
+    await cache.put('fresh', file, meta);
+    await cache.put('old', file, meta);
+    cache.entries.get('old').createdAt = new Date(Date.now() - 120_000).toISOString();
+
+    expect(await cache.get('old', path.join(directory, 'o'))).toBeNull();
+    expect(cache.describe().expired).toBe(1);
+    await cache.flush();
+
+    // Restart: the index comes back and stray files are removed
+    writeFileSync(path.join(cacheDir, 'orphan.mp3'), 'x');
+    const restored = new TTSCache({ directory: cacheDir, maxAgeMs: 60_000 });
+    expect(await restored.load()).toBe(1);
+    expect(await restored.get('fresh', path.join(directory, 'r'))).toMatchObject({
+      mimeType: 'audio/mpeg',
+    });
+    expect(readdirSync(cacheDir).sort()).toEqual(['fresh.mp3', 'index.json']);
+
+    expect(await restored.purge()).toEqual({ removed: 1, freedBytes: 5 });
+    expect(readdirSync(cacheDir)).toEqual(['index.json']);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * TTS Provider Tests
+ * Ordered fallback between providers, the silent stub and the local
+ * command adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import TTSProviderRegistry from '../services/tts/TTSProviderRegistry.js';
+import SilentTTSProvider from '../services/tts/SilentTTSProvider.js';
+import CommandTTSProvider from '../services/tts/CommandTTSProvider.js';
+
+// Provider that always answers with the same result and records its calls
+const fakeProvider = (name, result) => ({
+  name,
+  extension: 'mp3',
+  mimeType: 'audio/mpeg',
+  calls: [],
+  isConfigured: () => true,
+  async synthesize(text, outputBase, options) {
+    this.calls.push({ text, outputBase, options });
+    return result.success ? { ...result, file: `${outputBase}.mp3` } : result;
+  },
+  describe: () => ({ name }),
+});
+
+describe('TTSProviderRegistry', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(path.join(tmpdir(), 'tts-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should fall back to the next provider on non-retryable errors', async () => {
+    const registry = new TTSProviderRegistry(['elevenlabs', 'openai', 'silent']);
+    const elevenlabs = fakeProvider('elevenlabs', {
+      success: false,
+      errorCode: 'QUOTA_EXCEEDED',
+      retryable: false,
+    });
+    const openai = fakeProvider('openai', { success: true });
+    registry.register(elevenlabs);
+    registry.register(openai);
+    registry.register(new SilentTTSProvider());
+
+    const result = await registry.synthesize('Hola', path.join(directory, 'm'), {
+      voices: { elevenlabs: 'voice-1', openai: 'nova' },
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'openai',
+      mimeType: 'audio/mpeg',
+      file: path.join(directory, 'm.mp3'),
+      attempts: [{ provider: 'elevenlabs', errorCode: 'QUOTA_EXCEEDED' }],
+    });
+    expect(elevenlabs.calls[0].options.voice).toBe('voice-1');
+    expect(openai.calls[0].options.voice).toBe('nova');
+  });
+
+  it('should fall back on retryable errors once retries are exhausted', async () => {
+    const registry = new TTSProviderRegistry(['elevenlabs', 'openai']);
+    registry.register(
+      fakeProvider('elevenlabs', {
+        success: false,
+        error: 'rate limited',
+        errorCode: 'RATE_LIMITED',
+        retryable: true,
+      })
+    );
+    const openai = fakeProvider('openai', { success: true });
+    registry.register(openai);
+
+    const result = await registry.synthesize('Hola', path.join(directory, 'm'));
+
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'openai',
+      attempts: [{ provider: 'elevenlabs', errorCode: 'RATE_LIMITED' }],
+    });
+    expect(openai.calls).toHaveLength(1);
+  });
+
+  it('should skip unconfigured providers and filter by format', async () => {
+    const registry = TTSProviderRegistry.fromEnv(
+      { TTS_PROVIDERS: 'elevenlabs, local, silent, nope' },
+      { elevenLabsService: { apiKey: undefined } }
+    );
+    expect(registry.chain).toEqual(['elevenlabs', 'local', 'silent']);
+    expect(registry.isConfigured()).toBe(true);
+
+    const result = await registry.synthesize('Hola', path.join(directory, 'm'));
+    expect(result).toMatchObject({ success: true, provider: 'silent', mimeType: 'audio/wav' });
+
+    const mp3Only = await registry.synthesize('Hola', path.join(directory, 'd'), {
+      extensions: ['mp3'],
+    });
+    expect(mp3Only).toMatchObject({ success: false, errorCode: 'NO_TTS_PROVIDER' });
+  });
+
+  it('should write a silent WAV sized to the text', async () => {
+    const provider = new SilentTTSProvider({ msPerChar: 100 });
+    const { file } = await provider.synthesize('Hola mundo', path.join(directory, 's'));
+    const wav = readFileSync(file);
+
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+    // 10 caracteres * 100 ms = 1 s a 16 kHz, 16 bits
+    expect(wav.readUInt32LE(40)).toBe(32000);
+  });
+
+  it('should run a local command with the text on stdin', async () => {
+    const provider = new CommandTTSProvider({ command: 'tee {output}' });
+    const result = await provider.synthesize('Hola, soy Laura', path.join(directory, 'c'));
+
+    expect(result).toEqual({ success: true, file: path.join(directory, 'c.wav') });
+    expect(readFileSync(result.file, 'utf8')).toBe('Hola, soy Laura');
+
+    const missing = new CommandTTSProvider({ command: 'no-such-synthesizer {output}' });
+    expect(await missing.synthesize('Hola', path.join(directory, 'x'))).toMatchObject({
+      success: false,
+      errorCode: 'COMMAND_NOT_FOUND',
+      retryable: false,
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * TTS Resilience Tests
+ * Retry policy (jittered backoff, attempts, deadline), circuit breaker
+ * states and how the provider chain uses both
+ */
+
+import { describe, it, expect } from 'vitest';
+import RetryPolicy from '../utils/RetryPolicy.js';
+import CircuitBreaker from '../utils/CircuitBreaker.js';
+import TTSProviderRegistry from '../services/tts/TTSProviderRegistry.js';
+
+const noWait = () => Promise.resolve();
+
+// Provider replaying the given results (the last one repeats)
+const scriptedProvider = (name, results) => ({
+  name,
+  extension: 'mp3',
+  mimeType: 'audio/mpeg',
+  calls: 0,
+  isConfigured: () => true,
+  async synthesize(text, outputBase) {
+    const result = results[Math.min(this.calls, results.length - 1)];
+    this.calls++;
+    return result.success ? { ...result, file: `${outputBase}.mp3` } : result;
+  },
+  describe: () => ({ name }),
+});
+
+const RATE_LIMITED = { success: false, errorCode: 'RATE_LIMITED', retryable: true };
+const SERVER_ERROR = { success: false, errorCode: 'SERVER_ERROR', retryable: true };
+const OK = { success: true };
+
+describe('RetryPolicy', () => {
+  it('should retry retryable failures with jittered exponential backoff', async () => {
+    const delays = [];
+    const policy = new RetryPolicy({
+      maxAttempts: 4,
+      baseDelayMs: 100,
+      random: () => 0.5,
+      sleep: async (ms) => delays.push(ms),
+    });
+    const results = [RATE_LIMITED, SERVER_ERROR, OK];
+
+    const result = await policy.run(async (attempt) => results[attempt - 1]);
+
+    expect(result).toEqual({ success: true, attempts: 3 });
+    expect(delays).toEqual([50, 100]); // half of 100, then half of 200
+  });
+
+  it('should stop on non-retryable failures and after the last attempt', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, sleep: noWait });
+    let calls = 0;
+
+    const quota = await policy.run(async () => {
+      calls++;
+      return { success: false, errorCode: 'QUOTA_EXCEEDED', retryable: false };
+    });
+    expect(quota.attempts).toBe(1);
+
+    const limited = await policy.run(async () => {
+      calls++;
+      return RATE_LIMITED;
+    });
+    expect(limited).toMatchObject({ errorCode: 'RATE_LIMITED', attempts: 3 });
+    expect(calls).toBe(4);
+  });
+
+  it('should not start a retry past the deadline', async () => {
+    const policy = new RetryPolicy({
+      maxAttempts: 10,
+      baseDelayMs: 1000,
+      deadlineMs: 500,
+      random: () => 1,
+      sleep: noWait,
+    });
+
+    const result = await policy.run(async () => SERVER_ERROR);
+
+    expect(result).toMatchObject({ attempts: 1, deadlineExceeded: true });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should open after repeated failures and half-open after the cooldown', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+
+    breaker.recordFailure('SERVER_ERROR');
+    breaker.recordFailure('SERVER_ERROR');
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure('SERVER_ERROR');
+    expect(breaker.describe()).toMatchObject({ state: 'open', opens: 1, lastError: 'SERVER_ERROR' });
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 1000;
+    expect(breaker.canRequest()).toBe(true); // the probe
+    expect(breaker.describe().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false); // one probe at a time
+
+    breaker.recordFailure('SERVER_ERROR');
+    expect(breaker.describe()).toMatchObject({ state: 'open', opens: 2 });
+
+    now = 2500;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.describe()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
+
+describe('TTSProviderRegistry resilience', () => {
+  it('should retry a transient failure on the same provider', async () => {
+    const registry = new TTSProviderRegistry(['elevenlabs', 'openai'], {
+      retryPolicy: new RetryPolicy({ maxAttempts: 3, sleep: noWait }),
+    });
+    const elevenlabs = scriptedProvider('elevenlabs', [RATE_LIMITED, OK]);
+    const openai = scriptedProvider('openai', [OK]);
+    registry.register(elevenlabs);
+    registry.register(openai);
+
+    const result = await registry.synthesize('Hola', '/tmp/r');
+
+    expect(result).toMatchObject({ success: true, provider: 'elevenlabs' });
+    expect(elevenlabs.calls).toBe(2);
+    expect(openai.calls).toBe(0);
+  });
+
+  it('should fall back to the next provider once retries are exhausted', async () => {
+    const registry = new TTSProviderRegistry(['elevenlabs', 'openai'], {
+      retryPolicy: new RetryPolicy({ maxAttempts: 3, sleep: noWait }),
+    });
+    const elevenlabs = scriptedProvider('elevenlabs', [{ success: false, errorCode: 'NETWORK_ERROR', retryable: true }]);
+    const openai = scriptedProvider('openai', [OK]);
+    registry.register(elevenlabs);
+    registry.register(openai);
+
+    const result = await registry.synthesize('Hola', '/tmp/r');
+
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'openai',
+      attempts: [{ provider: 'elevenlabs', errorCode: 'NETWORK_ERROR', tries: 3 }],
+    });
+    expect(elevenlabs.calls).toBe(3);
+
+    // Without a provider left, the last failure is returned
+    const alone = new TTSProviderRegistry(['elevenlabs'], {
+      retryPolicy: new RetryPolicy({ maxAttempts: 2, sleep: noWait }),
+    });
+    alone.register(scriptedProvider('elevenlabs', [SERVER_ERROR]));
+    expect(await alone.synthesize('Hola', '/tmp/r')).toMatchObject({
+      success: false,
+      provider: 'elevenlabs',
+      errorCode: 'SERVER_ERROR',
+    });
+  });
+
+  it('should skip a provider with an open circuit and fall back', async () => {
+    let now = 0;
+    const registry = new TTSProviderRegistry(['elevenlabs', 'openai'], {
+      retryPolicy: new RetryPolicy({ maxAttempts: 2, sleep: noWait }),
+      breaker: { failureThreshold: 2, cooldownMs: 30000, now: () => now },
+    });
+    const elevenlabs = scriptedProvider('elevenlabs', [SERVER_ERROR]);
+    const openai = scriptedProvider('openai', [OK]);
+    registry.register(elevenlabs);
+    registry.register(openai);
+
+    // Persistent 5xx: retried, then the next provider; counted once per call
+    expect(await registry.synthesize('Uno', '/tmp/r')).toMatchObject({ success: true, provider: 'openai' });
+    expect(await registry.synthesize('Dos', '/tmp/r')).toMatchObject({ success: true, provider: 'openai' });
+    expect(elevenlabs.calls).toBe(4);
+    expect(registry.openCircuits()).toEqual(['elevenlabs']);
+
+    const fallback = await registry.synthesize('Tres', '/tmp/r');
+    expect(fallback).toMatchObject({
+      success: true,
+      provider: 'openai',
+      attempts: [{ provider: 'elevenlabs', errorCode: 'CIRCUIT_OPEN' }],
+    });
+    expect(elevenlabs.calls).toBe(4);
+
+    const health = registry.describe().providers.find((p) => p.name === 'elevenlabs');
+    expect(health.circuit).toMatchObject({ state: 'open', failures: 2 });
+
+    // After the cooldown one probe goes through and closes the circuit
+    elevenlabs.synthesize = scriptedProvider('elevenlabs', [OK]).synthesize;
+    now = 30000;
+    expect(await registry.synthesize('Cuatro', '/tmp/r')).toMatchObject({ provider: 'elevenlabs' });
+    expect(registry.openCircuits()).toEqual([]);
+  });
+});
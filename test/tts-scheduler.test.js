@@ -0,0 +1,76 @@
+/**
+ * TTS Scheduler Tests
+ * Global concurrency cap, per-session order and fair sharing between sessions
+ */
+
+import { describe, it, expect } from 'vitest';
+import TTSScheduler from '../services/tts/TTSScheduler.js';
+
+// Job that records when it starts and finishes after `ms`
+const tracker = () => {
+  const started = [];
+  let running = 0;
+  let peak = 0;
+  const job = (label, ms = 10) => async () => {
+    started.push(label);
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    running--;
+    return label;
+  };
+  return { job, started, peak: () => peak };
+};
+
+describe('TTSScheduler', () => {
+  it('should never run more jobs than the concurrency cap', async () => {
+    const scheduler = new TTSScheduler({ concurrency: 2 });
+    const { job, peak } = tracker();
+
+    const results = await Promise.all(
+      ['a', 'b', 'c', 'd', 'e'].map((label) => scheduler.run('s1', job(label)))
+    );
+
+    expect(results).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(peak()).toBe(2);
+    expect(scheduler.describe()).toMatchObject({ running: 0, queued: 0, completed: 5 });
+  });
+
+  it('should run the messages of a turn concurrently', async () => {
+    const scheduler = new TTSScheduler({ concurrency: 3 });
+    const { job } = tracker();
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3].map((i) => scheduler.run('s1', job(i, 50))));
+
+    expect(Date.now() - start).toBeLessThan(140);
+  });
+
+  it('should alternate between sessions instead of draining one first', async () => {
+    const scheduler = new TTSScheduler({ concurrency: 1 });
+    const { job, started } = tracker();
+
+    const chatty = ['a1', 'a2', 'a3', 'a4'].map((label) => scheduler.run('kiosk-a', job(label)));
+    const quiet = ['b1', 'b2'].map((label) => scheduler.run('kiosk-b', job(label)));
+    const late = scheduler.run('kiosk-c', job('c1'));
+    await Promise.all([...chatty, ...quiet, late]);
+
+    expect(started).toEqual(['a1', 'b1', 'c1', 'a2', 'b2', 'a3', 'a4']);
+  });
+
+  it('should free the slot and reject only the failing job', async () => {
+    const scheduler = new TTSScheduler({ concurrency: 1 });
+    const failing = scheduler.run('s1', async () => {
+      throw new Error('tts down');
+    });
+    const next = scheduler.run('s1', async () => 'ok');
+
+    await expect(failing).rejects.toThrow('tts down');
+    await expect(next).resolves.toBe('ok');
+    expect(scheduler.describe()).toMatchObject({ completed: 1, failed: 1, running: 0 });
+  });
+
+  it('should reject invalid concurrency', () => {
+    expect(() => new TTSScheduler({ concurrency: 0 })).toThrow(/positive integer/);
+  });
+});
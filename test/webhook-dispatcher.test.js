@@ -0,0 +1,149 @@
+/**
+ * Webhook Dispatcher Tests
+ * Signed deliveries, retries with jittered backoff and the persisted delivery log,
+ * against a local HTTP receiver
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import WebhookDispatcher, { signPayload } from '../services/webhooks/WebhookDispatcher.js';
+
+describe('WebhookDispatcher', () => {
+  let server;
+  let url;
+  let received;
+  let responses;
+  let directory;
+
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+    directory = mkdtempSync(path.join(tmpdir(), 'webhooks-'));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should deliver signed events to the subscribed endpoints', async () => {
+    const dispatcher = new WebhookDispatcher({
+      endpoints: [
+        { url, secret: 's3cret', events: ['lead.qualified'] },
+        { url: `${url}?prizes`, events: ['trivia.prize_won'] }
+      ]
+    });
+
+    dispatcher.emit('lead.qualified', { sessionId: 'a', lead: { name: 'Begoña' } });
+    await dispatcher.drain();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(headers['x-webhook-event']).toBe('lead.qualified');
+    expect(JSON.parse(body)).toMatchObject({ type: 'lead.qualified', data: { lead: { name: 'Begoña' } } });
+    expect(dispatcher.list()[0]).toMatchObject({ status: 'delivered', attempts: [{ status: 204 }] });
+  });
+
+  it('should retry server errors with exponential backoff and give up on client errors', async () => {
+    const dispatcher = new WebhookDispatcher({ endpoints: [{ url }], baseDelayMs: 10, maxAttempts: 4, random: () => 0.5 });
+    expect([1, 2, 3, 4].map(n => dispatcher.retryDelay(n))).toEqual([10, 20, 40, 80]);
+
+    responses.push(500, 503);
+    const [retried] = dispatcher.emit('meeting.requested', { sessionId: 'a' });
+    await dispatcher.drain();
+    expect(retried.attempts.map(a => a.status)).toEqual([500, 503, 204]);
+    expect(retried.status).toBe('delivered');
+
+    responses.push(400);
+    const [rejected] = dispatcher.emit('session.ended', { sessionId: 'a' });
+    await dispatcher.drain();
+    expect(rejected.status).toBe('failed');
+    expect(rejected.attempts).toHaveLength(1);
+  });
+
+  it('should stop after the maximum attempts when the receiver is down', async () => {
+    const down = createServer();
+    await new Promise(resolve => down.listen(0, '127.0.0.1', resolve));
+    const { port } = down.address();
+    await new Promise(resolve => down.close(resolve));
+    const dispatcher = new WebhookDispatcher({
+      endpoints: [{ url: `http://127.0.0.1:${port}/down` }],
+      baseDelayMs: 5,
+      maxAttempts: 3
+    });
+
+    const [delivery] = dispatcher.emit('webhook.test', {});
+    await dispatcher.drain();
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toHaveLength(3);
+    expect(delivery.attempts[0].error).toBe('ECONNREFUSED');
+  });
+
+  it('should persist the log and resume pending deliveries after a restart', async () => {
+    const file = path.join(directory, 'webhooks.json');
+    const first = new WebhookDispatcher({ endpoints: [{ url }], file, baseDelayMs: 60000 });
+    responses.push(500);
+    const [delivery] = first.emit('trivia.prize_won', { code: 'ABC234' });
+    while (delivery.attempts.length === 0) await new Promise(r => setTimeout(r, 5));
+    first.stop();
+    await first.flush();
+
+    const restarted = new WebhookDispatcher({ endpoints: [{ url }], file });
+    expect(await restarted.load()).toBe(1);
+    await restarted.drain();
+
+    expect(received).toHaveLength(2);
+    expect(restarted.list()[0].attempts.map(a => a.status)).toEqual([500, 204]);
+    expect(restarted.describe()).toMatchObject({ delivered: 1, pending: 0 });
+  });
+
+  it('should add up to 20% jitter to the retry delay', () => {
+    const delayWith = random =>
+      new WebhookDispatcher({ endpoints: [{ url }], baseDelayMs: 1000, random }).retryDelay(2);
+
+    expect(delayWith(() => 0)).toBe(1600);
+    expect(delayWith(() => 0.999999)).toBe(2400);
+    expect(new WebhookDispatcher({ endpoints: [{ url }], baseDelayMs: 1000, maxDelayMs: 1500, random: () => 0.999999 })
+      .retryDelay(5)).toBe(1800);
+  });
+
+  it('should warn about endpoints whose deliveries go out unsigned', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    new WebhookDispatcher({ endpoints: [{ url }, { url: `${url}?signed`, secret: 'k' }] });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/\/hook has no secret/);
+
+    new WebhookDispatcher({ endpoints: [{ url }], secret: 'default' });
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it('should reject unknown events', () => {
+    expect(() => new WebhookDispatcher({ endpoints: [{ url, events: ['lead.lost'] }] })).toThrow(/unknown event/);
+    expect(() => new WebhookDispatcher().emit('lead.lost', {})).toThrow(/Unknown webhook event/);
+    expect(() => new WebhookDispatcher({
+      endpoints: [{ url, events: ['meeting.booked', 'meeting.cancelled'] }]
+    })).not.toThrow();
+    expect(signPayload('k', '{}', 1)).toMatch(/^t=1,v1=[0-9a-f]{64}$/);
+  });
+});
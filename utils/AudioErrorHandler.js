@@ -259,12 +259,17 @@ class AudioErrorHandler {
   /**
    * Cleans up temporary audio files
    * @param {Array<string>} filePaths - Array of file paths to clean up
+   * @param {Object} [options]
+   * @param {boolean} [options.quiet] - Skip the per-file log (routine removals)
+   * @returns {Promise<number>} Files actually removed
    */
-  async cleanupAudioFiles(filePaths) {
+  async cleanupAudioFiles(filePaths, { quiet = false } = {}) {
+    let removed = 0;
     for (const filePath of filePaths) {
       try {
         await fs.unlink(filePath);
-        console.log(`Cleaned up audio file: ${filePath}`);
+        removed++;
+        if (!quiet) console.log(`Cleaned up audio file: ${filePath}`);
       } catch (error) {
         // File might not exist or already be deleted, which is fine
         if (error.code !== 'ENOENT') {
@@ -272,6 +277,7 @@ class AudioErrorHandler {
         }
       }
     }
+    return removed;
   }
 
 
@@ -0,0 +1,98 @@
+/**
+ * Circuit breaker for an external service. After `failureThreshold`
+ * consecutive failures it opens and callers skip the service; once
+ * `cooldownMs` has passed it half-opens and lets a single probe through,
+ * which closes the circuit on success or opens it again on failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Service name for logs
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - Time open before a probe is allowed
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({
+    name = "service",
+    failureThreshold = 5,
+    cooldownMs = 30000,
+    now = Date.now,
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+    this.opens = 0;
+  }
+
+  /**
+   * Whether a call may go through now. In half-open state only one probe
+   * is allowed at a time.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === "open" && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      console.log(`[circuit] ${this.name} closed`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  // Ends a call that says nothing about the service's health (e.g. bad input)
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * @param {string} [error] - Error code or message, reported in describe()
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error || null;
+    this.probing = false;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") this.opens++;
+      this.state = "open";
+      this.openedAt = this.now();
+      console.warn(
+        `[circuit] ${this.name} open for ${this.cooldownMs}ms after ${this.failures} failure(s): ${this.lastError}`
+      );
+    }
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      opens: this.opens,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + this.cooldownMs).toISOString()
+          : null,
+    };
+  }
+}
+
+export default CircuitBreaker;
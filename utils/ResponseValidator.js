@@ -0,0 +1,235 @@
+/**
+ * Response Validator for the avatar reply JSON produced by the LLM
+ */
+
+export const FACIAL_EXPRESSIONS = [
+  "smile",
+  "sad",
+  "angry",
+  "surprised",
+  "funnyFace",
+  "default",
+];
+
+export const ANIMATIONS = [
+  "Talking_0",
+  "Talking_1",
+  "Talking_2",
+  "Laughing",
+  "Rumba",
+  "Idle",
+  "Terrified",
+  "Angry",
+];
+
+class ResponseValidator {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} [options.expressions] - Allowed facial expressions
+   * @param {Array<string>} [options.animations] - Allowed animations
+   * @param {number} [options.maxMessages] - Maximum messages per reply
+   * @param {string} [options.defaultExpression] - Replacement for unknown expressions
+   * @param {string} [options.defaultAnimation] - Replacement for unknown animations
+   */
+  constructor({
+    expressions = FACIAL_EXPRESSIONS,
+    animations = ANIMATIONS,
+    maxMessages = 3,
+    defaultExpression = "default",
+    defaultAnimation = "Talking_0",
+  } = {}) {
+    this.expressions = expressions;
+    this.animations = animations;
+    this.maxMessages = maxMessages;
+    this.defaultExpression = defaultExpression;
+    this.defaultAnimation = defaultAnimation;
+  }
+
+  /**
+   * Parses the raw completion content
+   * @param {string} content - Raw model output
+   * @returns {{ok: boolean, value?: any, error?: string}}
+   */
+  parse(content) {
+    if (typeof content !== "string" || content.trim().length === 0) {
+      return { ok: false, error: "Empty response content" };
+    }
+
+    // Some models wrap JSON in markdown fences even in JSON mode
+    const unfenced = content
+      .trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/\s*```$/, "");
+
+    try {
+      return { ok: true, value: JSON.parse(unfenced) };
+    } catch (error) {
+      return { ok: false, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  /**
+   * Checks a parsed payload against the strict schema without modifying it
+   * @param {any} payload - Parsed model output
+   * @returns {{valid: boolean, errors: Array<string>}}
+   */
+  validate(payload) {
+    const errors = [];
+    const messages = this.extractMessages(payload);
+
+    if (!messages) {
+      return { valid: false, errors: ["Expected an array or { messages: [] }"] };
+    }
+    if (messages.length === 0) errors.push("No messages in reply");
+    if (messages.length > this.maxMessages) {
+      errors.push(
+        `Too many messages (${messages.length}, max ${this.maxMessages})`
+      );
+    }
+
+    messages.forEach((message, i) => {
+      if (!message || typeof message !== "object") {
+        errors.push(`messages[${i}] is not an object`);
+        return;
+      }
+      if (typeof message.text !== "string" || !message.text.trim()) {
+        errors.push(`messages[${i}].text must be a non-empty string`);
+      }
+      if (!this.expressions.includes(message.facialExpression)) {
+        errors.push(
+          `messages[${i}].facialExpression "${message.facialExpression}" is not allowed`
+        );
+      }
+      if (!this.animations.includes(message.animation)) {
+        errors.push(
+          `messages[${i}].animation "${message.animation}" is not allowed`
+        );
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Coerces a parsed payload into the schema: unknown expressions and
+   * animations fall back to defaults, empty messages are dropped and extra
+   * messages are truncated
+   * @param {any} payload - Parsed model output
+   * @returns {{messages: Array<Object>, repairs: Array<string>}}
+   */
+  repair(payload) {
+    const repairs = [];
+    const source = this.extractMessages(payload) || [];
+    const messages = [];
+
+    source.forEach((raw, i) => {
+      const message =
+        typeof raw === "string" ? { text: raw } : raw && typeof raw === "object" ? raw : null;
+      if (typeof raw === "string") repairs.push(`messages[${i}] wrapped from string`);
+
+      const text =
+        message && message.text !== undefined && message.text !== null
+          ? String(message.text).trim()
+          : "";
+      if (!text) {
+        repairs.push(`messages[${i}] dropped: empty text`);
+        return;
+      }
+
+      let { facialExpression, animation } = message;
+      if (!this.expressions.includes(facialExpression)) {
+        repairs.push(
+          `messages[${i}].facialExpression "${facialExpression}" -> "${this.defaultExpression}"`
+        );
+        facialExpression = this.defaultExpression;
+      }
+      if (!this.animations.includes(animation)) {
+        repairs.push(
+          `messages[${i}].animation "${animation}" -> "${this.defaultAnimation}"`
+        );
+        animation = this.defaultAnimation;
+      }
+
+      messages.push({ text, facialExpression, animation });
+    });
+
+    if (messages.length > this.maxMessages) {
+      repairs.push(
+        `truncated ${messages.length - this.maxMessages} extra message(s)`
+      );
+      messages.length = this.maxMessages;
+    }
+
+    return { messages, repairs };
+  }
+
+  /**
+   * Parses, validates and repairs the raw completion content
+   * @param {string} content - Raw model output
+   * @returns {{ok: boolean, messages: Array<Object>, repairs: Array<string>, error?: string}}
+   */
+  process(content) {
+    const parsed = this.parse(content);
+    if (!parsed.ok) {
+      return { ok: false, messages: [], repairs: [], error: parsed.error };
+    }
+
+    const { valid } = this.validate(parsed.value);
+    if (valid) {
+      return {
+        ok: true,
+        messages: this.extractMessages(parsed.value).map((m) => ({
+          ...m,
+          text: m.text.trim(),
+        })),
+        repairs: [],
+      };
+    }
+
+    const { messages, repairs } = this.repair(parsed.value);
+    if (messages.length === 0) {
+      return {
+        ok: false,
+        messages,
+        repairs,
+        error: "Reply has no usable messages",
+      };
+    }
+    return { ok: true, messages, repairs };
+  }
+
+  /**
+   * Last-resort conversion of a non-JSON reply into a single spoken message
+   * @param {string} content - Raw model output
+   * @returns {Array<Object>} Messages, empty if the content has no usable text
+   */
+  fromPlainText(content) {
+    const text = typeof content === "string" ? content.trim() : "";
+    // Bare JSON fragments are not something the avatar should read aloud
+    if (!text || /^[[{]/.test(text)) return [];
+    return [
+      {
+        text: text.slice(0, 1000),
+        facialExpression: this.defaultExpression,
+        animation: this.defaultAnimation,
+      },
+    ];
+  }
+
+  /**
+   * Accepts the shapes models actually return: an array, `{ messages }`
+   * or a single message object
+   * @param {any} payload - Parsed model output
+   * @returns {Array|null}
+   */
+  extractMessages(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.messages)) return payload.messages;
+    if (payload && typeof payload === "object" && "text" in payload) {
+      return [payload];
+    }
+    return null;
+  }
+}
+
+export default ResponseValidator;
@@ -0,0 +1,73 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retries operations that report failures as result objects
+ * (`{ success: false, errorCode, retryable }`, the shape used by the TTS
+ * providers) with exponential backoff and full jitter, a maximum number of
+ * attempts and an overall deadline. Non-retryable failures return at once.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts including the first
+   * @param {number} [options.baseDelayMs] - Backoff ceiling before the first retry (doubles each time)
+   * @param {number} [options.maxDelayMs] - Upper bound of the backoff ceiling
+   * @param {number} [options.deadlineMs] - Time budget for all attempts; no retry starts past it
+   * @param {Function} [options.isRetryable] - (result) => boolean
+   * @param {Function} [options.random] - Random source in [0, 1), for tests
+   * @param {Function} [options.sleep] - Delay implementation, for tests
+   */
+  constructor({
+    maxAttempts = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 4000,
+    deadlineMs = 15000,
+    isRetryable = (result) => result.retryable === true,
+    random = Math.random,
+    sleep: wait = sleep,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.deadlineMs = deadlineMs;
+    this.isRetryable = isRetryable;
+    this.random = random;
+    this.sleep = wait;
+  }
+
+  /**
+   * Full jitter: a random delay up to base * 2^(attempt - 1), capped
+   * @param {number} attempt - Attempts made so far (>= 1)
+   * @returns {number} Milliseconds
+   */
+  delayFor(attempt) {
+    const ceiling = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Runs the operation until it succeeds, fails for good or runs out of
+   * attempts or time
+   * @param {Function} operation - (attempt) => Promise<{success: boolean, ...}>
+   * @returns {Promise<Object>} Last result, with `attempts`
+   */
+  async run(operation) {
+    const startedAt = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      const result = await operation(attempt);
+      if (result.success || !this.isRetryable(result)) {
+        return { ...result, attempts: attempt };
+      }
+      if (attempt >= this.maxAttempts) {
+        return { ...result, attempts: attempt };
+      }
+      const delay = this.delayFor(attempt);
+      if (Date.now() - startedAt + delay >= this.deadlineMs) {
+        return { ...result, attempts: attempt, deadlineExceeded: true };
+      }
+      await this.sleep(delay);
+    }
+  }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,34 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+const digest = (value) => createHash("sha256").update(String(value)).digest();
+
+/**
+ * Express middleware that guards admin endpoints with a bearer token.
+ * Without a configured token the admin API stays disabled (503), so a
+ * booth never runs with open admin endpoints by accident.
+ * @param {Function|string} token - Admin token, or a getter read on every request
+ * @param {Object} [options]
+ * @param {string} [options.queryParam] - Also accept the token in this query
+ *   parameter, for clients that cannot send headers (calendar subscriptions)
+ * @returns {Function} Express middleware
+ */
+export const requireAdminToken = (token, { queryParam } = {}) => (req, res, next) => {
+  const expected = typeof token === "function" ? token() : token;
+  if (!expected) {
+    return res.status(503).send({
+      error: "Admin API disabled. Set ADMIN_TOKEN to enable it.",
+    });
+  }
+
+  const match = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  const queryToken = queryParam ? req.query[queryParam] : undefined;
+  const provided = match
+    ? match[1].trim()
+    : typeof queryToken === "string" && queryToken;
+  // Hashing first keeps the comparison constant-time for any token length
+  if (!provided || !timingSafeEqual(digest(provided), digest(expected))) {
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    return res.status(401).send({ error: "Unauthorized" });
+  }
+  next();
+};
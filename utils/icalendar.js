@@ -0,0 +1,220 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for meeting invites: events with
+ * organizer, attendees and a VTIMEZONE, folded and escaped as the RFC
+ * requires so Google Calendar, Outlook and Apple Calendar import them.
+ */
+import {
+  formatOffset,
+  offsetTransitions,
+  timezoneOffset,
+} from "./timezone.js";
+
+const PRODUCT_ID = "-//Business Assistant//Appointments//ES";
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {*} value - Text
+ * @returns {string}
+ */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Parameter values with separators must be quoted; DQUOTE is not allowed inside
+const paramValue = (value) => {
+  const clean = String(value).replace(/"/g, "'").replace(/[\r\n]+/g, " ");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Folds a content line at 75 octets without splitting UTF-8 characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} Line with CRLF + space continuations
+ */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * @param {number|string} instant - Date
+ * @returns {string} UTC date-time, e.g. "20260316T140000Z"
+ */
+export const formatUtc = (instant) =>
+  new Date(instant).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * @param {number|string} instant - Date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Local date-time without zone, e.g. "20260316T090000"
+ */
+export const formatLocal = (instant, timeZone) => {
+  const time = new Date(instant).getTime();
+  const local = new Date(time + timezoneOffset(time, timeZone));
+  return (
+    `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(local.getUTCDate())}` +
+    `T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}${pad(local.getUTCSeconds())}`
+  );
+};
+
+/**
+ * VTIMEZONE for the years the events fall in. Zones without DST get a single
+ * STANDARD component; DST zones get one component per transition.
+ * @param {string} timeZone - IANA timezone
+ * @param {Array<number>} years - Calendar years to cover
+ * @returns {Array<string>} Content lines
+ */
+export const buildTimezone = (timeZone, years) => {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const transitions = years.flatMap((year) => offsetTransitions(timeZone, year));
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(timezoneOffset(Date.UTC(years[0], 0, 1), timeZone));
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      "END:STANDARD"
+    );
+  }
+  for (const { at, from, to } of transitions) {
+    const type = to > from ? "DAYLIGHT" : "STANDARD";
+    // DTSTART is the local time right before the change, in the old offset
+    const local = new Date(at + from);
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatUtc(local).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+/**
+ * Content lines of a VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Globally unique id
+ * @param {string|number} event.start - Start
+ * @param {string|number} event.end - End
+ * @param {string} event.timeZone - TZID for start/end (needs a matching VTIMEZONE)
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Plain text description
+ * @param {string} [event.location] - Location or video call link
+ * @param {string} [event.url] - Link to the event
+ * @param {{name?: string, email: string}} [event.organizer] - Organizer
+ * @param {Array<{name?: string, email: string}>} [event.attendees] - Attendees
+ * @param {string} [event.status] - CONFIRMED | TENTATIVE | CANCELLED
+ * @param {number} [event.sequence] - Revision, incremented on every change
+ * @param {string} [event.created] - Creation date
+ * @param {string} [event.lastModified] - Last change
+ * @param {number} [event.stamp] - DTSTAMP, defaults to now
+ * @returns {Array<string>}
+ */
+export const buildEvent = ({
+  uid,
+  start,
+  end,
+  timeZone,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  status = "CONFIRMED",
+  sequence = 0,
+  created,
+  lastModified,
+  stamp = Date.now(),
+}) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(start, timeZone)}`,
+    `DTEND;TZID=${timeZone}:${formatLocal(end, timeZone)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) {
+    const cn = organizer.name ? `;CN=${paramValue(organizer.name)}` : "";
+    lines.push(`ORGANIZER${cn}:mailto:${organizer.email}`);
+  }
+  for (const attendee of attendees) {
+    if (!attendee?.email) continue;
+    const cn = attendee.name ? `;CN=${paramValue(attendee.name)}` : "";
+    lines.push(
+      `ATTENDEE${cn};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`
+    );
+  }
+  lines.push(`STATUS:${status}`, `SEQUENCE:${sequence}`);
+  if (created) lines.push(`CREATED:${formatUtc(created)}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatUtc(lastModified)}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Serializes a VCALENDAR with its timezone and events
+ * @param {Object} calendar
+ * @param {Array<Object>} calendar.events - Events for buildEvent (same timeZone)
+ * @param {string} calendar.timeZone - IANA timezone of the events
+ * @param {string} [calendar.name] - Calendar name shown by subscribing clients
+ * @param {string} [calendar.method] - iTIP method
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({
+  events,
+  timeZone,
+  name,
+  method = "PUBLISH",
+}) => {
+  const years = new Set(
+    events.flatMap((event) => [
+      new Date(event.start).getUTCFullYear(),
+      new Date(event.end).getUTCFullYear(),
+    ])
+  );
+  if (years.size === 0) years.add(new Date().getUTCFullYear());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...buildTimezone(timeZone, [...years].sort()),
+    ...events.flatMap((event) => buildEvent({ ...event, timeZone })),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,51 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Persistence helpers for the JSON files behind the file-backed stores.
+ * A write goes to a temp file that is then renamed over the target, so a
+ * crash never leaves a half-written file.
+ */
+
+/**
+ * Writes a file atomically, creating its directory when missing
+ * @param {string} file - Target path
+ * @param {string} content - File contents
+ * @returns {Promise<void>}
+ */
+export const writeFileAtomic = async (file, content) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, content, "utf8");
+  await fs.rename(tmp, file);
+};
+
+/**
+ * Serialized writer for one JSON file: each save is queued after the
+ * previous one, so the file always ends up with the latest data. Failures
+ * are logged, never thrown, so a full disk does not break the request path.
+ * @param {string|null} file - JSON file (saves are no-ops when null)
+ * @param {string} label - Log prefix of the owning store
+ * @returns {{save: function(Object): Promise<void>, flush: function(): Promise<void>}}
+ */
+export const createJsonWriter = (file, label) => {
+  let chain = Promise.resolve();
+  return {
+    save(data) {
+      if (!file) return chain;
+      const content = JSON.stringify(data, null, 2);
+      chain = chain.then(() =>
+        writeFileAtomic(file, content).catch((error) => {
+          console.error(
+            `[${label}] Failed to persist ${path.basename(file)}:`,
+            error.message
+          );
+        })
+      );
+      return chain;
+    },
+    flush() {
+      return chain;
+    },
+  };
+};
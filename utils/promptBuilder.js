@@ -0,0 +1,64 @@
+import { countMessageTokens, countTokens } from "./tokenCounter.js";
+
+// Same per-message overhead countMessageTokens applies
+const messageTokens = (m) => 4 + countTokens(m.content);
+
+/**
+ * Assembles the messages sent to the LLM for one turn, in this order:
+ * system prompt(s) -> pinned summary -> retrieved context -> conversation
+ * turns -> per-turn notes.
+ *
+ * The current user message must already be the last entry of `turns`; it is
+ * never appended a second time. When the prompt exceeds `tokenBudget` the
+ * oldest turns are dropped, but system messages, the summary, the context,
+ * the notes and the latest user turn are always kept.
+ *
+ * @param {Object} parts
+ * @param {Array<{role: string, content: string}>} parts.systemMessages - System prompt and pinned context
+ * @param {string} [parts.summary] - Rolling summary of older turns
+ * @param {Array<string>} [parts.context] - Reference material for this turn (e.g. knowledge passages)
+ * @param {Array<{role: string, content: string}>} parts.turns - User/assistant turns in order
+ * @param {Array<string>} [parts.notes] - System notes injected for this turn only
+ * @param {number} [parts.tokenBudget] - Maximum prompt tokens (Infinity disables trimming)
+ * @returns {{messages: Array<{role: string, content: string}>, tokens: number, dropped: number}}
+ */
+export const buildPrompt = ({
+  systemMessages = [],
+  summary = null,
+  context = [],
+  turns = [],
+  notes = [],
+  tokenBudget = Infinity,
+}) => {
+  const head = systemMessages.map(({ role, content }) => ({ role, content }));
+  if (summary) {
+    head.push({
+      role: "system",
+      content: `Resumen de lo conversado hasta ahora con este cliente:\n${summary}`,
+    });
+  }
+  for (const content of context) head.push({ role: "system", content });
+  const tail = notes.map((content) => ({ role: "system", content }));
+
+  const history = turns.map(({ role, content }) => ({ role, content }));
+  const lastUserIndex = history.map((m) => m.role).lastIndexOf("user");
+  const pinned = lastUserIndex === -1 ? [] : history.slice(lastUserIndex);
+  const older = lastUserIndex === -1 ? history : history.slice(0, lastUserIndex);
+
+  let tokens = countMessageTokens([...head, ...pinned, ...tail]);
+
+  // Keep as many of the most recent older turns as the budget allows
+  const keptOlder = [];
+  for (let i = older.length - 1; i >= 0; i--) {
+    const cost = messageTokens(older[i]);
+    if (tokens + cost > tokenBudget) break;
+    tokens += cost;
+    keptOlder.unshift(older[i]);
+  }
+
+  return {
+    messages: [...head, ...keptOlder, ...pinned, ...tail],
+    tokens,
+    dropped: older.length - keptOlder.length,
+  };
+};
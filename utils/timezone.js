@@ -0,0 +1,91 @@
+/**
+ * Timezone helpers built on Intl, so business hours and calendar invites can
+ * use any IANA zone without a date library.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Milliseconds to add to UTC to get local wall time
+ */
+export const timezoneOffset = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(instant))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallTime - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Converts a local wall time in a timezone to an instant
+ * @param {{year: number, month: number, day: number}} date - Local date (month 1-12)
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Epoch milliseconds
+ */
+export const zonedTimeToInstant = ({ year, month, day }, minutes, timeZone) => {
+  const wallTime = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+  const guess = wallTime - timezoneOffset(wallTime, timeZone);
+  // Second pass covers instants on the other side of a DST change
+  return wallTime - timezoneOffset(guess, timeZone);
+};
+
+/**
+ * Formats an offset as used by iCalendar and ISO dates without the colon
+ * @param {number} offset - Milliseconds (see timezoneOffset)
+ * @returns {string} e.g. "-0500"
+ */
+export const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${offset < 0 ? "-" : "+"}${hh}${mm}`;
+};
+
+/**
+ * Instants in a year when the zone's UTC offset changes (DST)
+ * @param {string} timeZone - IANA timezone
+ * @param {number} year - Calendar year
+ * @returns {Array<{at: number, from: number, to: number}>} Transition instant and offsets
+ */
+export const offsetTransitions = (timeZone, year) => {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  const step = 24 * 60 * MINUTE;
+  for (let t = Date.UTC(year, 0, 1); t < end; t += step) {
+    const from = timezoneOffset(t, timeZone);
+    const next = Math.min(t + step, end);
+    if (timezoneOffset(next, timeZone) === from) continue;
+    // Narrow the change down to the minute
+    let low = t;
+    let high = next;
+    while (high - low > MINUTE) {
+      const mid = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+      if (timezoneOffset(mid, timeZone) === from) low = mid;
+      else high = mid;
+    }
+    transitions.push({ at: high, from, to: timezoneOffset(high, timeZone) });
+  }
+  return transitions;
+};
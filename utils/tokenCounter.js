@@ -0,0 +1,63 @@
+/**
+ * Token counting helpers used to budget prompts without a tokenizer dependency.
+ * Estimates follow BPE behaviour closely enough for budgeting: short words are
+ * one token, long words split every ~4 characters and punctuation counts alone.
+ */
+
+// Fixed overhead the chat format adds per message and per request
+const MESSAGE_OVERHEAD = 4;
+const REQUEST_OVERHEAD = 3;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export const countTokens = (text = "") => {
+  const pieces = String(text).match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu);
+  if (!pieces) return 0;
+  return pieces.reduce(
+    (sum, piece) => sum + Math.max(1, Math.ceil(piece.length / 4)),
+    0
+  );
+};
+
+/**
+ * Estimates the prompt tokens of a list of chat messages
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {number} Estimated token count
+ */
+export const countMessageTokens = (messages = []) =>
+  messages.reduce(
+    (sum, m) => sum + MESSAGE_OVERHEAD + countTokens(m.content),
+    REQUEST_OVERHEAD
+  );
+
+/**
+ * Normalizes provider usage (OpenAI `completion.usage`) or estimates it
+ * when the provider does not report any
+ * @param {Object|null} usage - Provider usage object
+ * @param {Array<Object>} promptMessages - Messages that were sent
+ * @param {string} completionText - Text that came back
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+ */
+export const normalizeUsage = (usage, promptMessages, completionText) => {
+  if (usage && Number.isFinite(usage.prompt_tokens)) {
+    const completionTokens = usage.completion_tokens || 0;
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? usage.prompt_tokens + completionTokens,
+      estimated: false,
+    };
+  }
+
+  const promptTokens = countMessageTokens(promptMessages);
+  const completionTokens = countTokens(completionText);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+};